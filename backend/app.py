@@ -1,4 +1,4 @@
-from fastapi import FastAPI, UploadFile, File, HTTPException
+from fastapi import FastAPI, UploadFile, File, HTTPException, Query
 from fastapi.middleware.cors import CORSMiddleware
 from contextlib import asynccontextmanager
 import tensorflow as tf
@@ -6,6 +6,8 @@ import numpy as np
 from PIL import Image
 import io
 import os
+import time
+from typing import Optional
 
 # ==========================
 # Configuration
@@ -106,14 +108,23 @@ def health():
 
 
 @app.post("/predict")
-async def predict(file: UploadFile = File(...)):
+async def predict(
+    file: UploadFile = File(...),
+    top_k: Optional[int] = Query(None, ge=0, description="Also return the k most likely classes; 0 returns every class"),
+):
     if model is None:
         raise HTTPException(status_code=500, detail="Model not loaded")
 
     try:
         # Read image
         contents = await file.read()
+        timings = {}
+        start = time.perf_counter()
+
         image = Image.open(io.BytesIO(contents)).convert("RGB")
+        mark = time.perf_counter()
+        timings["decode_ms"] = (mark - start) * 1000
+
         image = image.resize(IMAGE_SIZE)
 
         # Convert to numpy array
@@ -125,9 +136,17 @@ async def predict(file: UploadFile = File(...)):
         # Add batch dimension
         img_array = np.expand_dims(img_array, axis=0)
 
+        now = time.perf_counter()
+        timings["preprocess_ms"] = (now - mark) * 1000
+        mark = now
+
         # Predict
         predictions = model.predict(img_array)[0]
 
+        now = time.perf_counter()
+        timings["inference_ms"] = (now - mark) * 1000
+        mark = now
+
         # Get top 5 predictions
         top_5_indices = np.argsort(predictions)[-5:][::-1]
 
@@ -139,12 +158,32 @@ async def predict(file: UploadFile = File(...)):
             for i in top_5_indices
         ]
 
-        return {
+        # Optional longer ranking, e.g. for occlusion heatmaps that track one breed's confidence
+        top_k_predictions = None
+        if top_k is not None:
+            k = len(class_names) if top_k == 0 else min(top_k, len(class_names))
+            top_k_predictions = [
+                {
+                    "breed": class_names[i],
+                    "confidence": round(float(predictions[i]) * 100, 2)
+                }
+                for i in np.argsort(predictions)[::-1][:k]
+            ]
+
+        now = time.perf_counter()
+        timings["postprocess_ms"] = (now - mark) * 1000
+        timings["total_ms"] = (now - start) * 1000
+
+        response = {
             "predicted_breed": top_5[0]["breed"],
             "confidence": top_5[0]["confidence"],
             "top_5_predictions": top_5,
-            "filename": file.filename
+            "filename": file.filename,
+            "timings": {key: round(value, 2) for key, value in timings.items()}
         }
+        if top_k_predictions is not None:
+            response["top_k_predictions"] = top_k_predictions
+        return response
 
     except Exception as e:
         raise HTTPException(status_code=400, detail=str(e))
\ No newline at end of file
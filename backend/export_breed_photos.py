@@ -0,0 +1,117 @@
+"""Build the details modal's breed reference photos from the training set.
+
+For every class folder in dataset/train, writes one 400 x 260 JPEG to
+frontend/public/breeds/<slug>.jpg, where the slug is the class name in lowercase
+with runs of other characters replaced by dashes (same as breedSlug() in
+frontend/src/utils/breedInfo.js).
+
+It also checks the class names against the bundled breed descriptions in
+breedInfo.js and lists classes without a description, and descriptions that
+match no class. Run with --check to only do the comparison.
+"""
+
+import os
+import re
+import sys
+
+from PIL import Image, ImageOps
+
+# ==========================
+# Configuration
+# ==========================
+
+DATASET_PATH = "dataset/train"
+OUTPUT_DIR = "../frontend/public/breeds"
+BREED_INFO_PATH = "../frontend/src/utils/breedInfo.js"
+PHOTO_SIZE = (400, 260)
+JPEG_QUALITY = 82
+IMAGE_EXTENSIONS = {".jpg", ".jpeg", ".png", ".webp", ".bmp"}
+
+
+def slug(name):
+    return re.sub(r"[^a-z0-9]+", "-", name.lower()).strip("-")
+
+
+def normalize(name):
+    # Same as normalizeLabel() in frontend/src/utils/labels.js
+    return re.sub(r"[^a-z0-9]", "", name.lower())
+
+
+def class_names():
+    return sorted(
+        d for d in os.listdir(DATASET_PATH)
+        if os.path.isdir(os.path.join(DATASET_PATH, d))
+    )
+
+
+def described_breeds():
+    """Normalized name/alias -> display name for every BREEDS entry in breedInfo.js."""
+    with open(BREED_INFO_PATH, encoding="utf-8") as f:
+        source = f.read()
+    keys = {}
+    for entry in re.finditer(r"\{ name: '([^']+)'(?:, aliases: \[([^\]]*)\])?", source):
+        name, aliases = entry.group(1), entry.group(2) or ""
+        for key in [name, *re.findall(r"'([^']+)'", aliases)]:
+            keys[normalize(key)] = name
+    return keys
+
+
+def check_names(classes):
+    described = described_breeds()
+    matched = set()
+    missing = []
+    for name in classes:
+        if normalize(name) in described:
+            matched.add(described[normalize(name)])
+        else:
+            missing.append(name)
+    unused = sorted(set(described.values()) - matched)
+
+    for name in missing:
+        print(f"⚠️  No description in breedInfo.js for class '{name}'")
+    for name in unused:
+        print(f"⚠️  breedInfo.js describes '{name}', which is not a dataset class")
+    return not missing
+
+
+def representative_photo(class_dir):
+    """First readable landscape photo in the folder, else the first readable one."""
+    fallback = None
+    for filename in sorted(os.listdir(class_dir)):
+        if os.path.splitext(filename)[1].lower() not in IMAGE_EXTENSIONS:
+            continue
+        try:
+            image = ImageOps.exif_transpose(Image.open(os.path.join(class_dir, filename))).convert("RGB")
+        except Exception:
+            continue
+        if image.width >= image.height:
+            return image
+        fallback = fallback or image
+    return fallback
+
+
+def export_photos(classes):
+    os.makedirs(OUTPUT_DIR, exist_ok=True)
+    for name in classes:
+        image = representative_photo(os.path.join(DATASET_PATH, name))
+        if image is None:
+            print(f"⚠️  No readable image for class '{name}'")
+            continue
+        # Center crop to the card's aspect ratio, then scale down
+        photo = ImageOps.fit(image, PHOTO_SIZE, Image.Resampling.LANCZOS)
+        path = os.path.join(OUTPUT_DIR, f"{slug(name)}.jpg")
+        photo.save(path, "JPEG", quality=JPEG_QUALITY, optimize=True)
+        print(f"✅ {name} → {path}")
+
+
+def main():
+    classes = class_names()
+    names_ok = check_names(classes)
+    if "--check" not in sys.argv:
+        export_photos(classes)
+    if not names_ok:
+        sys.exit(1)
+
+
+if __name__ == "__main__":
+    main()
@@ -0,0 +1,78 @@
+"""Export the trained Keras model for in-browser inference with TensorFlow.js.
+
+Writes a TF.js graph model plus metadata.json (the class order) to
+frontend/public/model/, where the frontend's "Browser" inference mode loads it.
+
+Requires the converter, which is not needed by the API itself:
+    pip install tensorflowjs
+"""
+
+import json
+import os
+import tempfile
+
+import tensorflow as tf
+import tensorflowjs as tfjs
+
+# ==========================
+# Configuration
+# ==========================
+
+MODEL_PATH = "model/cattle_classifier.keras"
+DATASET_PATH = "dataset/train"
+OUTPUT_DIR = "../frontend/public/model"
+IMAGE_SIZE = (224, 224)
+
+
+def load_model():
+    # Same Dense.from_config patch as app.py for models saved by newer Keras versions
+    _original_dense_from_config = tf.keras.layers.Dense.from_config.__func__
+
+    @classmethod
+    def _patched_dense_from_config(cls, config):
+        config.pop("quantization_config", None)
+        return _original_dense_from_config(cls, config)
+
+    tf.keras.layers.Dense.from_config = _patched_dense_from_config
+
+    return tf.keras.models.load_model(MODEL_PATH, compile=False, safe_mode=False)
+
+
+def main():
+    if not os.path.exists(MODEL_PATH):
+        raise FileNotFoundError(f"Model not found at {MODEL_PATH}")
+
+    model = load_model()
+
+    # Same class order as app.py: sorted dataset directory names
+    class_names = sorted(
+        [
+            d for d in os.listdir(DATASET_PATH)
+            if os.path.isdir(os.path.join(DATASET_PATH, d))
+        ]
+    )
+
+    os.makedirs(OUTPUT_DIR, exist_ok=True)
+
+    # Keras 3 models convert most reliably through a SavedModel
+    with tempfile.TemporaryDirectory() as saved_model_dir:
+        model.export(saved_model_dir)
+        tfjs.converters.convert_tf_saved_model(saved_model_dir, OUTPUT_DIR)
+
+    with open(os.path.join(OUTPUT_DIR, "metadata.json"), "w") as f:
+        json.dump(
+            {
+                "class_names": class_names,
+                "image_size": list(IMAGE_SIZE),
+                # Pixels are scaled to [-1, 1] as in app.py: x / 127.5 - 1
+                "normalization": "mobilenet_v2",
+            },
+            f,
+            indent=2,
+        )
+
+    print(f"✅ Exported TF.js model with {len(class_names)} classes to {OUTPUT_DIR}")
+
+
+if __name__ == "__main__":
+    main()
@@ -0,0 +1,155 @@
+import { BROWSER_MODEL_URL } from '../config';
+import { ApiError, BrowserModelError, abortError } from './errors';
+import { createCanvas } from '../utils/preprocessImage';
+
+// In-browser inference with a TensorFlow.js export of the MobileNetV2 model. Mirrors
+// POST /predict in app.py: resize to 224×224, scale pixels to [-1, 1], and answer with
+// the same { predicted_breed, confidence, top_5_predictions, timings } body.
+// Loaded inside the first image worker (see utils/imageWorkers.js), so the model and its
+// WebGL context live off the main thread.
+
+const INPUT_SIZE = 224;
+
+/**
+ * @typedef {Object} BrowserModel
+ * @property {typeof import('@tensorflow/tfjs')} tf
+ * @property {import('@tensorflow/tfjs').GraphModel} model
+ * @property {string[]} classNames Index-aligned with the model output
+ * @property {string} backend TF.js backend in use, e.g. 'webgl' or 'cpu'
+ */
+
+let loaded = null;
+
+const throwIfAborted = (signal) => {
+  if (signal?.aborted) throw abortError();
+};
+
+// metadata.json sits next to model.json and holds the class order used in training
+const fetchMetadata = async (modelUrl) => {
+  const url = new URL('metadata.json', new URL(modelUrl, globalThis.location.href));
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`${url.pathname} returned HTTP ${response.status}`);
+  const metadata = await response.json();
+  if (!Array.isArray(metadata.class_names)) throw new Error('metadata.json has no class_names');
+  return metadata;
+};
+
+/**
+ * Class list of the browser model without downloading its weights
+ * @param {string} [modelUrl]
+ * @returns {Promise<{ class_names: string[] }>}
+ */
+export const getBrowserModelInfo = async (modelUrl = BROWSER_MODEL_URL) => {
+  try {
+    return await fetchMetadata(modelUrl);
+  } catch (err) {
+    throw new BrowserModelError(`The in-browser model at ${modelUrl} is not available.`, err.message || String(err));
+  }
+};
+
+const load = async (modelUrl) => {
+  const tf = await import('@tensorflow/tfjs');
+  await tf.ready();
+  const [model, metadata] = await Promise.all([tf.loadGraphModel(modelUrl), fetchMetadata(modelUrl)]);
+
+  const outputs = model.outputs[0]?.shape?.at(-1);
+  if (outputs && outputs !== metadata.class_names.length) {
+    throw new Error(`Model has ${outputs} outputs but metadata lists ${metadata.class_names.length} classes`);
+  }
+
+  // The first run compiles the WebGL shaders; do it now rather than on the first photo
+  const warmup = tf.zeros([1, INPUT_SIZE, INPUT_SIZE, 3]);
+  const result = model.predict(warmup);
+  await result.data();
+  tf.dispose([warmup, result]);
+
+  return { tf, model, classNames: metadata.class_names, backend: tf.getBackend() };
+};
+
+/**
+ * Downloads and prepares the model once per URL; later calls share the same promise.
+ * A failed load is forgotten so the next call tries again.
+ * @param {string} [modelUrl]
+ * @returns {Promise<BrowserModel>}
+ */
+export const loadBrowserModel = (modelUrl = BROWSER_MODEL_URL) => {
+  if (loaded?.url !== modelUrl) {
+    const promise = load(modelUrl).catch(err => {
+      if (loaded?.promise === promise) loaded = null;
+      throw new BrowserModelError(
+        `Could not load the in-browser model from ${modelUrl}. Export it with backend/export_tfjs.py.`,
+        err.message || String(err)
+      );
+    });
+    loaded = { url: modelUrl, promise };
+  }
+  return loaded.promise;
+};
+
+// Same resampling as PIL's resize in app.py: the whole image stretched to 224×224
+const toInputPixels = (bitmap) => {
+  const ctx = createCanvas(INPUT_SIZE, INPUT_SIZE).getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(bitmap, 0, 0, INPUT_SIZE, INPUT_SIZE);
+  return ctx.getImageData(0, 0, INPUT_SIZE, INPUT_SIZE);
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Classifies one image in the browser. Resolves like client.predict so callers can
+ * treat both paths the same; `timing.uploadEnd` equals `timing.start` as nothing is sent.
+ * @param {Blob} file
+ * @param {{ modelUrl?: string, signal?: AbortSignal, filename?: string, topK?: number }} [options]
+ *   topK adds `top_k_predictions` like the backend's ?top_k= (0 means every class)
+ * @returns {Promise<{ data: import('./client').PredictResponse, timing: import('./client').RequestTiming, backend: string }>}
+ */
+export const predictInBrowser = async (file, { modelUrl, signal, filename, topK } = {}) => {
+  const { tf, model, classNames, backend } = await loadBrowserModel(modelUrl);
+  throwIfAborted(signal);
+
+  const start = performance.now();
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(file);
+  } catch (err) {
+    throw new ApiError('The browser could not read this image.', { kind: 'bad-request', detail: err.message || null });
+  }
+  const decoded = performance.now();
+
+  const pixels = toInputPixels(bitmap);
+  bitmap.close();
+  const input = tf.tidy(() => tf.browser.fromPixels(pixels).toFloat().div(127.5).sub(1).expandDims(0));
+  const preprocessed = performance.now();
+
+  const output = model.predict(input);
+  const probabilities = await output.data();
+  tf.dispose([input, output]);
+  const inferred = performance.now();
+  throwIfAborted(signal);
+
+  const ranked = Array.from(probabilities, (probability, index) => ({ probability, index }))
+    .sort((a, b) => b.probability - a.probability)
+    .map(({ probability, index }) => ({ breed: classNames[index], confidence: round(probability * 100) }));
+  const top5 = ranked.slice(0, 5);
+  const end = performance.now();
+
+  return {
+    data: {
+      predicted_breed: top5[0].breed,
+      confidence: top5[0].confidence,
+      top_5_predictions: top5,
+      ...(topK === undefined ? {} : { top_k_predictions: topK === 0 ? ranked : ranked.slice(0, topK) }),
+      filename: filename || file.name,
+      timings: {
+        decode_ms: round(decoded - start),
+        preprocess_ms: round(preprocessed - decoded),
+        inference_ms: round(inferred - preprocessed),
+        postprocess_ms: round(end - inferred),
+        total_ms: round(end - start)
+      }
+    },
+    timing: { start, uploadEnd: start, responseStart: null, end },
+    backend
+  };
+};
@@ -0,0 +1,218 @@
+import { preprocessInWorker, predictInWorker, augmentInWorker } from '../utils/imageWorkers';
+import { formatBytes } from '../utils/format';
+import { predict } from './client';
+import { TTA_VARIANTS } from '../config';
+
+const seconds = (ms) => Math.round(ms) / 1000;
+
+// Server failures that the browser model can stand in for in 'auto' mode
+const FALLBACK_KINDS = ['network', 'timeout', 'model-unavailable', 'not-found'];
+
+// Builds the detection pipeline from what was actually measured: browser-side
+// preprocessing and upload, plus the per-phase timings reported by the server
+// (or measured locally when the browser model answered).
+const buildDetectionStages = (prepared, timing, serverTimings, source) => {
+  const uploadMs = timing.uploadEnd - timing.start;
+  const roundTripMs = timing.end - timing.start;
+  const stages = [];
+
+  if (!prepared.skipped) {
+    stages.push({ stage: "Client Preprocessing", source: "browser", time: seconds(prepared.durationMs), description: "EXIF orientation, resize and re-encode in the browser" });
+  }
+  if (source === 'browser') {
+    stages.push(
+      { stage: "Decode", source: "browser", time: seconds(serverTimings.decode_ms), description: "Decoding the image to a bitmap" },
+      { stage: "Resize & Normalize", source: "browser", time: seconds(serverTimings.preprocess_ms), description: "Resizing to 224×224 and scaling pixels to [-1, 1]" },
+      { stage: "Model Inference", source: "browser", time: seconds(serverTimings.inference_ms), description: "MobileNetV2 forward pass in TensorFlow.js" },
+      { stage: "Post-processing", source: "browser", time: seconds(serverTimings.postprocess_ms), description: "Ranking the top 5 breeds" }
+    );
+    return stages;
+  }
+  stages.push({ stage: "Upload", source: "browser", time: seconds(uploadMs), description: `Sending ${formatBytes(prepared.uploadedBytes)} to the server` });
+
+  if (serverTimings) {
+    stages.push(
+      { stage: "Decode", source: "server", time: seconds(serverTimings.decode_ms), description: "Decoding the uploaded image to RGB" },
+      { stage: "Resize & Normalize", source: "server", time: seconds(serverTimings.preprocess_ms), description: "Resizing to 224×224 and scaling pixels to [-1, 1]" },
+      { stage: "Model Inference", source: "server", time: seconds(serverTimings.inference_ms), description: "MobileNetV2 forward pass, softmax across 50 breeds" },
+      { stage: "Post-processing", source: "server", time: seconds(serverTimings.postprocess_ms), description: "Ranking the top 5 breeds" },
+      { stage: "Network Overhead", source: "browser", time: seconds(Math.max(0, roundTripMs - uploadMs - serverTimings.total_ms)), description: "Latency, request handling and response download" }
+    );
+  } else {
+    // Older backends do not report phases; only show what the browser could measure
+    stages.push({ stage: "Server Processing", source: "browser", time: seconds(roundTripMs - uploadMs), description: "Waiting for the response (server did not report phase timings)" });
+  }
+
+  return stages;
+};
+
+const runInBrowser = async (file, { signal, filename, topK, onProgress }) => {
+  onProgress?.({ phase: 'inferring', uploadProgress: 0 });
+  return { ...await predictInWorker(file, { signal, filename, topK }), source: 'browser' };
+};
+
+// Sends the image to the engine picked by `inference`; resolves like client.predict
+// plus the `source` that answered
+const runPrediction = async (file, { inference, baseUrl, signal, retries, filename, topK, onProgress }) => {
+  if (inference === 'browser') return runInBrowser(file, { signal, filename, topK, onProgress });
+
+  try {
+    const response = await predict(file, {
+      baseUrl,
+      signal,
+      retries,
+      filename,
+      topK,
+      onUploadProgress: (fraction) => {
+        onProgress?.({ phase: fraction < 1 ? 'uploading' : 'processing', uploadProgress: fraction });
+      }
+    });
+    return { ...response, source: 'server' };
+  } catch (err) {
+    if (inference !== 'auto' || !FALLBACK_KINDS.includes(err.kind)) throw err;
+    return { ...await runInBrowser(file, { signal, filename, topK, onProgress }), fallbackReason: err.message };
+  }
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Test-time augmentation: classifies every TTA_VARIANTS copy of the image, one after the
+// other, and averages the probability vectors. Resolves like runPrediction (engine and
+// timing of the original variant) plus an `augmentation` summary per variant.
+const runAugmented = async (file, options) => {
+  const start = performance.now();
+  const inputs = await augmentInWorker(file, TTA_VARIANTS, { signal: options.signal });
+
+  const responses = [];
+  for (const [index, input] of inputs.entries()) {
+    responses.push(await runPrediction(input, {
+      ...options,
+      // The original variant picks the engine (in auto mode, server or the browser fallback); the others
+      // use the same one, so the average never mixes models and an unreachable server is only waited on once
+      inference: index === 0 ? options.inference : responses[0].source,
+      // Every class, so breeds outside one variant's top 5 still count towards the average
+      topK: 0,
+      onProgress: (progress) => options.onProgress?.({ ...progress, variant: index + 1, variants: inputs.length })
+    }));
+  }
+
+  // A breed missing from a ranking (older backends only return the top 5) counts as 0%
+  const rankings = responses.map(({ data }) => new Map(
+    (data.top_k_predictions || data.top_5_predictions).map(({ breed, confidence }) => [breed, confidence])
+  ));
+  const breeds = new Set(rankings.flatMap(ranking => Array.from(ranking.keys())));
+  const averaged = Array.from(breeds, breed => ({
+    breed,
+    confidence: round(rankings.reduce((sum, ranking) => sum + (ranking.get(breed) ?? 0), 0) / rankings.length)
+  })).sort((a, b) => b.confidence - a.confidence);
+  const top5 = averaged.slice(0, 5);
+
+  const variants = TTA_VARIANTS.map(({ id, label }, index) => ({
+    id,
+    label,
+    breed: responses[index].data.predicted_breed,
+    confidence: responses[index].data.confidence,
+    // What this variant gave the final (averaged) breed
+    finalConfidence: rankings[index].get(top5[0].breed) ?? 0
+  }));
+
+  const [original] = responses;
+  return {
+    ...original,
+    data: {
+      ...original.data,
+      predicted_breed: top5[0].breed,
+      confidence: top5[0].confidence,
+      top_5_predictions: top5
+    },
+    augmentation: {
+      variants,
+      agreeing: variants.filter(variant => variant.breed === top5[0].breed).length,
+      durationMs: performance.now() - start
+    }
+  };
+};
+
+// Classifies one image and maps the response to the result shape the UI renders.
+// inference: 'server' (backend /predict), 'browser' (TensorFlow.js) or 'auto'
+// (server first, browser model when the server is unreachable or has no model).
+// preprocess: options for preprocessImage (run in an image worker); omit to send the file as-is.
+// retries: client-level retries; leave at 0 when an outer queue already retries.
+// highAccuracy: test-time augmentation, one prediction per TTA_VARIANTS entry.
+// onProgress is called with { phase, uploadProgress } as the request moves along
+// (plus { variant, variants } in high accuracy mode).
+// Failures reject with the typed errors from ./errors (or an AbortError).
+export const analyzeImage = async (imageFile, imageId, { baseUrl, inference = 'server', signal, retries = 0, preprocess, highAccuracy = false, onProgress } = {}) => {
+  onProgress?.({ phase: 'preprocessing', uploadProgress: 0 });
+  const prepared = preprocess
+    ? await preprocessInWorker(imageFile, preprocess, { signal })
+    : { file: imageFile, originalBytes: imageFile.size, uploadedBytes: imageFile.size, skipped: true };
+
+  if (inference !== 'browser') onProgress?.({ phase: 'uploading', uploadProgress: 0 });
+  const { data, timing, source, backend, fallbackReason, augmentation } = await (highAccuracy ? runAugmented : runPrediction)(prepared.file, {
+    inference,
+    baseUrl,
+    signal,
+    retries,
+    filename: prepared.file.name || imageFile.name,
+    onProgress
+  });
+
+  const roundTrip = seconds(timing.end - timing.start);
+  const preparedSize = prepared.skipped
+    ? `${formatBytes(prepared.uploadedBytes)} (unprocessed)`
+    : `${formatBytes(prepared.uploadedBytes)} (${prepared.width} × ${prepared.height})`;
+
+  const calculations = source === 'browser'
+    ? {
+      inputResolution: "224 × 224 (50,176 pixels)",
+      inferenceEngine: `Browser (TensorFlow.js, ${backend})${fallbackReason ? ' — server unavailable' : ''}`,
+      processingTime: roundTrip.toFixed(2) + "s",
+      modelArchitecture: "MobileNetV2",
+      totalClasses: "50 Indian cattle breeds",
+      originalSize: formatBytes(prepared.originalBytes),
+      classifiedSize: preparedSize
+    }
+    : {
+      inputResolution: "224 × 224 (50,176 pixels)",
+      inferenceEngine: "Server (FastAPI)",
+      roundTripTime: roundTrip.toFixed(2) + "s",
+      uploadTime: seconds(timing.uploadEnd - timing.start).toFixed(2) + "s",
+      serverTime: data.timings ? (data.timings.total_ms / 1000).toFixed(3) + "s" : "not reported",
+      modelArchitecture: "MobileNetV2",
+      totalClasses: "50 Indian cattle breeds",
+      originalSize: formatBytes(prepared.originalBytes),
+      uploadedSize: preparedSize
+    };
+
+  // The stages and timings above describe the original variant; add what the others cost
+  const detectionStages = buildDetectionStages(prepared, timing, data.timings, source);
+  if (augmentation) {
+    const { variants, agreeing, durationMs } = augmentation;
+    calculations.testTimeAugmentation = `${variants.length} variants, ${agreeing} agree`;
+    detectionStages.push({
+      stage: "Test-time Augmentation",
+      source: "browser",
+      time: seconds(durationMs - (timing.end - timing.start)),
+      description: `${variants.length - 1} flipped, cropped and brightness-shifted copies classified and averaged with the original`
+    });
+  }
+
+  // Map backend response to component model
+  return {
+    id: imageId,
+    breed: data.predicted_breed,
+    confidence: data.confidence.toFixed(1),
+    top5: data.top_5_predictions,
+    source,
+    ...(augmentation ? { augmentation } : {}),
+    detectionStages,
+    timing: {
+      roundTripMs: augmentation ? augmentation.durationMs : timing.end - timing.start,
+      uploadMs: timing.uploadEnd - timing.start,
+      serverMs: source === 'server' ? data.timings?.total_ms ?? null : null
+    },
+    calculations
+  };
+};
+
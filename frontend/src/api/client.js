@@ -0,0 +1,203 @@
+import { DEFAULT_API_BASE } from '../config';
+import { NetworkError, TimeoutError, HttpError, InvalidResponseError, isRetryableError, abortError } from './errors';
+
+/**
+ * @typedef {Object} RootResponse
+ * @property {string} message
+ * @property {number} total_classes
+ * @property {string[]} class_names
+ */
+
+/**
+ * @typedef {Object} HealthResponse
+ * @property {string} status
+ * @property {boolean} model_loaded
+ * @property {number} num_classes
+ */
+
+/**
+ * @typedef {Object} BreedPrediction
+ * @property {string} breed
+ * @property {number} confidence Percentage, 0–100
+ */
+
+/**
+ * @typedef {Object} ServerTimings
+ * @property {number} decode_ms
+ * @property {number} preprocess_ms
+ * @property {number} inference_ms
+ * @property {number} postprocess_ms
+ * @property {number} total_ms
+ */
+
+/**
+ * @typedef {Object} PredictResponse
+ * @property {string} predicted_breed
+ * @property {number} confidence
+ * @property {BreedPrediction[]} top_5_predictions
+ * @property {BreedPrediction[]} [top_k_predictions] Only when `topK` was requested
+ * @property {ServerTimings} [timings] Missing on older backends
+ */
+
+/**
+ * performance.now() marks for one request
+ * @typedef {Object} RequestTiming
+ * @property {number} start
+ * @property {number} uploadEnd
+ * @property {number | null} responseStart
+ * @property {number} end
+ */
+
+/**
+ * @typedef {Object} RequestOptions
+ * @property {string} [baseUrl] Defaults to DEFAULT_API_BASE
+ * @property {AbortSignal} [signal] Aborting rejects with a DOMException named 'AbortError'
+ * @property {number} [timeout] Milliseconds per attempt
+ * @property {number} [retries] Extra attempts after network errors, timeouts and 5xx responses
+ * @property {number} [retryDelay] Base backoff in milliseconds, doubled on every retry
+ */
+
+const GET_TIMEOUT = 8000;
+const PREDICT_TIMEOUT = 60000;
+
+// "http://lab-server:8000/" → "http://lab-server:8000"; blank falls back to the default
+export const normalizeBaseUrl = (baseUrl) => (baseUrl || '').trim().replace(/\/+$/, '') || DEFAULT_API_BASE;
+
+// XMLHttpRequest instead of fetch: fetch cannot report when the request body has
+// finished uploading, and we want to show upload time separately from server time.
+const send = (method, url, { body, signal, timeout, onUploadProgress } = {}) => new Promise((resolve, reject) => {
+  const xhr = new XMLHttpRequest();
+  const timing = { start: performance.now(), uploadEnd: null, responseStart: null, end: null };
+
+  const abort = () => xhr.abort();
+  if (signal) {
+    if (signal.aborted) {
+      reject(abortError());
+      return;
+    }
+    signal.addEventListener('abort', abort, { once: true });
+  }
+  const cleanup = () => signal?.removeEventListener('abort', abort);
+
+  if (body) {
+    xhr.upload.onprogress = (e) => {
+      if (e.lengthComputable) onUploadProgress?.(e.loaded / e.total);
+    };
+    xhr.upload.onload = () => {
+      timing.uploadEnd = performance.now();
+      onUploadProgress?.(1);
+    };
+  }
+  xhr.onreadystatechange = () => {
+    if (xhr.readyState === XMLHttpRequest.HEADERS_RECEIVED) {
+      timing.responseStart = performance.now();
+    }
+  };
+  xhr.onload = () => {
+    cleanup();
+    timing.end = performance.now();
+    // Small bodies may finish without an upload load event
+    timing.uploadEnd ??= timing.responseStart ?? timing.end;
+    if (xhr.status < 200 || xhr.status >= 300) {
+      reject(new HttpError(xhr.status, xhr.responseText));
+      return;
+    }
+    resolve({ text: xhr.responseText, timing });
+  };
+  xhr.onerror = () => {
+    cleanup();
+    reject(new NetworkError(url));
+  };
+  xhr.ontimeout = () => {
+    cleanup();
+    reject(new TimeoutError(timeout));
+  };
+  xhr.onabort = () => {
+    cleanup();
+    reject(abortError());
+  };
+
+  xhr.open(method, url);
+  if (timeout) xhr.timeout = timeout;
+  xhr.send(body ?? null);
+});
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(abortError());
+    return;
+  }
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(abortError());
+  };
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+const parseJson = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new InvalidResponseError(text.slice(0, 200));
+  }
+};
+
+// Sends the request, retrying retryable failures with exponential backoff
+const request = async (method, path, { baseUrl, signal, timeout, retries = 0, retryDelay = 500, body, onUploadProgress } = {}) => {
+  const url = `${normalizeBaseUrl(baseUrl)}${path}`;
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      const { text, timing } = await send(method, url, { body, signal, timeout, onUploadProgress });
+      return { data: parseJson(text), timing };
+    } catch (err) {
+      if (attempt >= retries || !isRetryableError(err)) throw err;
+      await wait(retryDelay * 2 ** attempt, signal);
+    }
+  }
+};
+
+/**
+ * Model metadata and class list (GET /)
+ * @param {RequestOptions} [options]
+ * @returns {Promise<RootResponse>}
+ */
+export const getModelInfo = async (options = {}) => {
+  const { data } = await request('GET', '/', { timeout: GET_TIMEOUT, retries: 2, ...options });
+  if (!Array.isArray(data.class_names)) throw new InvalidResponseError('Missing class_names');
+  return data;
+};
+
+/**
+ * Backend liveness (GET /health); not retried so polling reflects the current state
+ * @param {RequestOptions} [options]
+ * @returns {Promise<HealthResponse>}
+ */
+export const getHealth = async (options = {}) => {
+  const { data } = await request('GET', '/health', { timeout: GET_TIMEOUT, ...options });
+  if (typeof data.model_loaded !== 'boolean') throw new InvalidResponseError('Missing model_loaded');
+  return data;
+};
+
+/**
+ * Classifies one image (POST /predict)
+ * @param {Blob} file
+ * @param {RequestOptions & { filename?: string, topK?: number, onUploadProgress?: (fraction: number) => void }} [options]
+ *   topK also asks for that many ranked classes in `top_k_predictions`; 0 means all of them
+ * @returns {Promise<{ data: PredictResponse, timing: RequestTiming }>}
+ */
+export const predict = async (file, { filename, topK, ...options } = {}) => {
+  const formData = new FormData();
+  formData.append('file', file, filename || file.name || 'image.jpg');
+
+  const path = topK === undefined ? '/predict' : `/predict?top_k=${topK}`;
+  const response = await request('POST', path, { timeout: PREDICT_TIMEOUT, retries: 1, ...options, body: formData });
+  const { data } = response;
+  if (typeof data.predicted_breed !== 'string' || !Array.isArray(data.top_5_predictions)) {
+    throw new InvalidResponseError('Missing predicted_breed or top_5_predictions');
+  }
+  return response;
+};
@@ -0,0 +1,112 @@
+/**
+ * @typedef {'network' | 'timeout' | 'bad-request' | 'not-found' | 'too-large' | 'invalid-request'
+ *   | 'model-unavailable' | 'server' | 'invalid-response' | 'browser-model'} ApiErrorKind
+ */
+
+// Base class for every failure the API client reports. `message` is written for the
+// user; `detail` keeps whatever the server said, for logs and tooltips.
+export class ApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ kind: ApiErrorKind, status?: number | null, detail?: string | null, retryable?: boolean }} info
+   */
+  constructor(message, { kind, status = null, detail = null, retryable = false }) {
+    super(message);
+    this.name = 'ApiError';
+    this.kind = kind;
+    this.status = status;
+    this.detail = detail;
+    this.retryable = retryable;
+  }
+}
+
+// The request never got an HTTP response (backend down, wrong URL, CORS, offline)
+export class NetworkError extends ApiError {
+  constructor(url) {
+    super('Could not reach the classifier backend. Check that it is running and that the API URL is correct.', {
+      kind: 'network',
+      detail: url,
+      retryable: true
+    });
+    this.name = 'NetworkError';
+  }
+}
+
+export class TimeoutError extends ApiError {
+  constructor(timeoutMs) {
+    super(`The backend did not respond within ${Math.round(timeoutMs / 1000)}s.`, {
+      kind: 'timeout',
+      retryable: true
+    });
+    this.name = 'TimeoutError';
+  }
+}
+
+// FastAPI errors look like {"detail": "..."}, or {"detail": [{ "loc": [...], "msg": "..." }]} for validation
+export const parseErrorDetail = (text) => {
+  if (!text) return null;
+  try {
+    const { detail } = JSON.parse(text);
+    if (typeof detail === 'string') return detail;
+    if (Array.isArray(detail)) return detail.map(item => item.msg || JSON.stringify(item)).join('; ');
+    if (detail) return JSON.stringify(detail);
+  } catch {
+    // Not JSON (e.g. a proxy error page); fall through to the raw text
+  }
+  return text.length > 200 ? `${text.slice(0, 200)}…` : text;
+};
+
+const httpErrorInfo = (status, detail) => {
+  if (status === 400) {
+    return { kind: 'bad-request', message: `The server could not read this image${detail ? `: ${detail}` : '.'}` };
+  }
+  if (status === 404) {
+    return { kind: 'not-found', message: 'API endpoint not found. Is the API URL pointing at the classifier backend?' };
+  }
+  if (status === 413) {
+    return { kind: 'too-large', message: 'The image is too large for the server to accept.' };
+  }
+  if (status === 415 || status === 422) {
+    return { kind: 'invalid-request', message: `The server rejected the request${detail ? `: ${detail}` : '.'}` };
+  }
+  if (status >= 500 && /model not loaded/i.test(detail || '')) {
+    return { kind: 'model-unavailable', message: 'The backend is running but has no model loaded.' };
+  }
+  if (status >= 500) {
+    return { kind: 'server', message: `The server failed while handling the request (HTTP ${status}).` };
+  }
+  return { kind: 'invalid-request', message: `Request failed (HTTP ${status})${detail ? `: ${detail}` : ''}` };
+};
+
+// Non-2xx response; only 5xx failures (other than a missing model) are worth retrying
+export class HttpError extends ApiError {
+  constructor(status, responseText) {
+    const detail = parseErrorDetail(responseText);
+    const { kind, message } = httpErrorInfo(status, detail);
+    super(message, { kind, status, detail, retryable: kind === 'server' });
+    this.name = 'HttpError';
+  }
+}
+
+export class InvalidResponseError extends ApiError {
+  constructor(detail) {
+    super('The backend returned a response this app does not understand. Is the API URL correct?', {
+      kind: 'invalid-response',
+      detail
+    });
+    this.name = 'InvalidResponseError';
+  }
+}
+
+// The TensorFlow.js model could not be loaded or run in this browser
+export class BrowserModelError extends ApiError {
+  constructor(message, detail = null) {
+    super(message, { kind: 'browser-model', detail });
+    this.name = 'BrowserModelError';
+  }
+}
+
+// What fetch and XMLHttpRequest callers expect from a cancelled request (err.name === 'AbortError')
+export const abortError = (message = 'Request aborted') => new DOMException(message, 'AbortError');
+
+export const isRetryableError = (err) => err instanceof ApiError && err.retryable;
@@ -0,0 +1,107 @@
+import { predict } from './client';
+import { preprocessInWorker, occludeInWorker, predictInWorker } from '../utils/imageWorkers';
+import { OCCLUSION } from '../config';
+
+// Occlusion sensitivity: paint one grid cell gray, classify again, and record how much
+// each breed's confidence drops. Cells whose masking costs a breed the most are the
+// parts of the photo the model relied on for that breed.
+
+/**
+ * @typedef {Object} Explanation
+ * @property {number} grid Cells per side
+ * @property {Blob} image The region that was explained (crop applied), as the model saw it
+ * @property {Object<string, number>} baseline Unmasked confidence per breed, 0–100
+ * @property {Object<string, number[]>} drops Confidence drop per cell and breed, row by row, in points
+ * @property {'server' | 'browser'} source
+ * @property {number} durationMs
+ */
+
+// Confidence per breed from a response that ranks every class
+const toConfidenceMap = (data) => Object.fromEntries(
+  (data.top_k_predictions || data.top_5_predictions).map(({ breed, confidence }) => [breed, confidence])
+);
+
+// Runs `task` over `items` with at most `limit` in flight, keeping results in order.
+// Stops taking new items once any task fails; the failure is the one that rejects.
+const mapConcurrent = async (items, limit, task) => {
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+  const worker = async () => {
+    while (next < items.length && !failed) {
+      const index = next++;
+      try {
+        results[index] = await task(items[index], index);
+      } catch (err) {
+        failed = true;
+        throw err;
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
+
+/**
+ * Builds occlusion heatmaps for `breeds` (usually the top 5) with the same engine that
+ * produced the prediction.
+ * @param {Blob} file Original image
+ * @param {{ breeds: string[], crop?: object | null, source?: 'server' | 'browser', baseUrl?: string,
+ *   grid?: number, signal?: AbortSignal, onProgress?: (progress: { done: number, total: number }) => void }} options
+ * @returns {Promise<Explanation>}
+ */
+export const explainPrediction = async (file, { breeds, crop = null, source = 'server', baseUrl, grid = OCCLUSION.grid, signal, onProgress }) => {
+  // Aborted by the caller or by the first failed prediction, so no requests outlive the run
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  if (signal?.aborted) abort();
+  signal?.addEventListener('abort', abort, { once: true });
+  let settled = false;
+  const report = (progress) => {
+    if (!settled) onProgress?.(progress);
+  };
+
+  try {
+    const start = performance.now();
+    const { file: image } = await preprocessInWorker(file, {
+      enabled: true,
+      maxSize: OCCLUSION.inputSize,
+      format: 'image/jpeg',
+      quality: 0.92,
+      crop
+    }, { signal: controller.signal });
+    const variants = await occludeInWorker(image, grid, { signal: controller.signal });
+
+    const inputs = [image, ...variants];
+    let done = 0;
+    report({ done, total: inputs.length });
+
+    const classify = async (blob) => {
+      const { data } = source === 'browser'
+        ? await predictInWorker(blob, { topK: 0, signal: controller.signal, filename: 'occlusion.jpg' })
+        : await predict(blob, { baseUrl, topK: 0, signal: controller.signal, filename: 'occlusion.jpg' });
+      done += 1;
+      report({ done, total: inputs.length });
+      return toConfidenceMap(data);
+    };
+
+    // The browser model runs in one worker anyway, so only the server gets parallel requests
+    const [baselineMap, ...maskedMaps] = await mapConcurrent(inputs, source === 'browser' ? 1 : OCCLUSION.concurrency, classify);
+
+    // A breed missing from a ranking (older backends only return the top 5) counts as 0%
+    const baseline = Object.fromEntries(breeds.map(breed => [breed, baselineMap[breed] ?? 0]));
+    const drops = Object.fromEntries(breeds.map(breed => [
+      breed,
+      maskedMaps.map(masked => Math.round((baseline[breed] - (masked[breed] ?? 0)) * 100) / 100)
+    ]));
+
+    return { grid, image, baseline, drops, source, durationMs: performance.now() - start };
+  } catch (err) {
+    // Cancel the requests still in flight alongside the one that failed
+    abort();
+    throw err;
+  } finally {
+    settled = true;
+    signal?.removeEventListener('abort', abort);
+  }
+};
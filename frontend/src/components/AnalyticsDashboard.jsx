@@ -0,0 +1,232 @@
+import React, { useState } from 'react';
+import { BarChart3, ChevronDown, ChevronUp, AlertTriangle, Scale } from 'lucide-react';
+import { getBreedDistribution, getConfidenceHistogram, getCloseCalls, getLowConfidence, getTopMargin, getImageLabel } from '../utils/stats';
+
+const panelStyle = {
+  padding: '1.25rem',
+  background: 'rgba(255, 255, 255, 0.03)',
+  borderRadius: '12px',
+  border: '1px solid rgba(255, 255, 255, 0.1)'
+};
+
+const headingStyle = {
+  fontSize: '1rem',
+  color: '#DEB887',
+  margin: '0 0 1rem 0',
+  fontWeight: '700',
+  display: 'flex',
+  alignItems: 'center',
+  gap: '0.5rem'
+};
+
+const bucketColor = (from) => (from >= 80 ? '#4CAF50' : from >= 50 ? '#CD853F' : '#FF9800');
+
+export default function AnalyticsDashboard({ images, lowConfidence, closeMargin, selectedBreed, onSelectBreed, onOpenImage }) {
+  const [open, setOpen] = useState(true);
+
+  const analyzed = images.filter(img => img.result);
+  if (analyzed.length === 0) return null;
+
+  const distribution = getBreedDistribution(images);
+  const histogram = getConfidenceHistogram(images);
+  const maxBucket = Math.max(1, ...histogram.map(b => b.count));
+  const maxBreedCount = Math.max(1, ...distribution.map(d => d.count));
+  const lowConfidenceImages = getLowConfidence(images, lowConfidence);
+  const closeCalls = getCloseCalls(images, closeMargin);
+  const closeCallShare = (closeCalls.length / analyzed.length) * 100;
+
+  return (
+    <div style={{
+      background: 'rgba(255, 255, 255, 0.05)',
+      backdropFilter: 'blur(20px)',
+      borderRadius: '20px',
+      padding: '1.5rem',
+      border: '1px solid rgba(255, 255, 255, 0.1)',
+      marginBottom: '2rem',
+      animation: 'fadeIn 0.6s ease-out'
+    }}>
+      <button
+        onClick={() => setOpen(prev => !prev)}
+        style={{
+          width: '100%',
+          background: 'transparent',
+          border: 'none',
+          padding: 0,
+          cursor: 'pointer',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between',
+          color: '#DEB887',
+          fontSize: '1.3rem',
+          fontWeight: '700'
+        }}
+      >
+        <span style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+          <BarChart3 size={22} /> Batch Analytics
+        </span>
+        {open ? <ChevronUp size={22} /> : <ChevronDown size={22} />}
+      </button>
+
+      {open && (
+        <div style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(auto-fit, minmax(320px, 1fr))',
+          gap: '1rem',
+          marginTop: '1.25rem'
+        }}>
+          {/* Breed Histogram */}
+          <div style={panelStyle}>
+            <h3 style={headingStyle}>Breeds in this batch</h3>
+            <div style={{ maxHeight: '280px', overflow: 'auto', paddingRight: '0.25rem' }}>
+              {distribution.map(({ breed, count }) => {
+                const selected = selectedBreed === breed;
+                return (
+                  <button
+                    key={breed}
+                    onClick={() => onSelectBreed(selected ? null : breed)}
+                    title={selected ? 'Show all images' : `Show only ${breed}`}
+                    style={{
+                      width: '100%',
+                      display: 'grid',
+                      gridTemplateColumns: '120px 1fr 32px',
+                      alignItems: 'center',
+                      gap: '0.5rem',
+                      padding: '0.3rem 0.4rem',
+                      marginBottom: '0.25rem',
+                      background: selected ? 'rgba(205, 133, 63, 0.25)' : 'transparent',
+                      border: 'none',
+                      borderRadius: '6px',
+                      cursor: 'pointer',
+                      textAlign: 'left'
+                    }}
+                  >
+                    <span style={{ color: 'white', fontSize: '0.8rem', fontWeight: '600', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                      {breed}
+                    </span>
+                    <span style={{ height: '10px', background: 'rgba(255, 255, 255, 0.1)', borderRadius: '5px', overflow: 'hidden' }}>
+                      <span style={{
+                        display: 'block',
+                        height: '100%',
+                        width: `${(count / maxBreedCount) * 100}%`,
+                        background: selected
+                          ? 'linear-gradient(90deg, #4CAF50 0%, #66BB6A 100%)'
+                          : 'linear-gradient(90deg, #CD853F 0%, #DEB887 100%)',
+                        borderRadius: '5px',
+                        transition: 'width 0.6s ease'
+                      }} />
+                    </span>
+                    <span style={{ color: 'rgba(255, 255, 255, 0.8)', fontSize: '0.8rem', fontWeight: '700', textAlign: 'right' }}>
+                      {count}
+                    </span>
+                  </button>
+                );
+              })}
+            </div>
+          </div>
+
+          {/* Confidence Distribution */}
+          <div style={panelStyle}>
+            <h3 style={headingStyle}>Confidence distribution</h3>
+            <div style={{ display: 'flex', alignItems: 'flex-end', gap: '4px', height: '180px' }}>
+              {histogram.map(bucket => (
+                <div
+                  key={bucket.from}
+                  title={`${bucket.from}–${bucket.to}%: ${bucket.count} image${bucket.count === 1 ? '' : 's'}`}
+                  style={{ flex: 1, display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'flex-end', height: '100%' }}
+                >
+                  <span style={{ fontSize: '0.7rem', color: 'rgba(255, 255, 255, 0.7)', marginBottom: '0.2rem' }}>
+                    {bucket.count || ''}
+                  </span>
+                  <div style={{
+                    width: '100%',
+                    height: `${(bucket.count / maxBucket) * 100}%`,
+                    minHeight: bucket.count ? '4px' : 0,
+                    background: bucketColor(bucket.from),
+                    borderRadius: '4px 4px 0 0',
+                    opacity: bucket.from < lowConfidence ? 0.75 : 1,
+                    transition: 'height 0.6s ease'
+                  }} />
+                </div>
+              ))}
+            </div>
+            <div style={{ display: 'flex', gap: '4px', marginTop: '0.3rem' }}>
+              {histogram.map(bucket => (
+                <span key={bucket.from} style={{ flex: 1, textAlign: 'center', fontSize: '0.65rem', color: 'rgba(255, 255, 255, 0.5)' }}>
+                  {bucket.from}
+                </span>
+              ))}
+            </div>
+          </div>
+
+          {/* Review Queue */}
+          <div style={panelStyle}>
+            <h3 style={headingStyle}>
+              <AlertTriangle size={18} /> Low confidence (&lt; {lowConfidence}%)
+            </h3>
+            {lowConfidenceImages.length === 0 ? (
+              <p style={{ color: 'rgba(255, 255, 255, 0.6)', fontSize: '0.85rem', margin: 0 }}>
+                Every result is at or above {lowConfidence}% confidence.
+              </p>
+            ) : (
+              <div style={{ maxHeight: '180px', overflow: 'auto' }}>
+                {lowConfidenceImages.map(img => (
+                  <button
+                    key={img.id}
+                    onClick={() => onOpenImage(img.id)}
+                    style={{
+                      width: '100%',
+                      display: 'flex',
+                      alignItems: 'center',
+                      gap: '0.6rem',
+                      padding: '0.3rem',
+                      marginBottom: '0.25rem',
+                      background: 'transparent',
+                      border: 'none',
+                      borderRadius: '6px',
+                      cursor: 'pointer',
+                      textAlign: 'left'
+                    }}
+                    onMouseEnter={(e) => e.currentTarget.style.background = 'rgba(255, 255, 255, 0.08)'}
+                    onMouseLeave={(e) => e.currentTarget.style.background = 'transparent'}
+                  >
+                    <img
+                      src={img.cropPreview || img.preview}
+                      alt=""
+                      style={{ width: '40px', height: '30px', objectFit: 'cover', borderRadius: '4px', flexShrink: 0 }}
+                    />
+                    <span style={{ flex: 1, color: 'white', fontSize: '0.8rem', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                      {getImageLabel(img)}
+                    </span>
+                    <span style={{ color: '#FF9800', fontSize: '0.8rem', fontWeight: '700' }}>
+                      {img.result.breed} · {img.result.confidence}%
+                    </span>
+                  </button>
+                ))}
+              </div>
+            )}
+
+            <h3 style={{ ...headingStyle, marginTop: '1.25rem' }}>
+              <Scale size={18} /> Close calls
+            </h3>
+            <p style={{ color: 'white', fontSize: '0.9rem', margin: 0 }}>
+              <strong style={{ fontSize: '1.4rem', color: closeCallShare > 20 ? '#FF9800' : '#66BB6A' }}>
+                {closeCallShare.toFixed(0)}%
+              </strong>
+              {' '}of results ({closeCalls.length} of {analyzed.length}) have a runner-up within {closeMargin} points of the winner.
+            </p>
+            {closeCalls.length > 0 && (
+              <p style={{ color: 'rgba(255, 255, 255, 0.6)', fontSize: '0.8rem', margin: '0.5rem 0 0 0' }}>
+                Closest: {closeCalls
+                  .slice()
+                  .sort((a, b) => getTopMargin(a.result) - getTopMargin(b.result))
+                  .slice(0, 3)
+                  .map(img => `${img.result.top5[0].breed} vs ${img.result.top5[1].breed}`)
+                  .join(', ')}
+              </p>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
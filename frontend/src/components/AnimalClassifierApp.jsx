@@ -1,76 +1,171 @@
-import React, { useState, useRef, useEffect } from 'react';
-import { Camera, Upload, Loader, CheckCircle, Trash2, Sparkles, Brain, Eye, Target, X, Plus, BarChart3 } from 'lucide-react';
+import React, { useState, useRef, useEffect, useCallback } from 'react';
+import { Camera, Video, Upload, Loader, CheckCircle, Sparkles, Brain, Target, X, Plus, Settings, Crop, AlertTriangle, BadgeCheck, PenLine, FolderOpen, BookOpen, Columns2, WifiOff } from 'lucide-react';
+import CameraCapture from './CameraCapture';
+import LiveClassifier from './LiveClassifier';
+import SettingsPanel from './SettingsPanel';
+import CropEditor from './CropEditor';
+import BatchProgress from './BatchProgress';
+import SessionBar from './SessionBar';
+import Toast from './Toast';
+import ExportMenu from './ExportMenu';
+import ReportView from './ReportView';
+import AnalyticsDashboard from './AnalyticsDashboard';
+import BackendStatus from './BackendStatus';
+import BreedPicker from './BreedPicker';
+import EvaluationView from './EvaluationView';
+import ComparisonView from './ComparisonView';
+import BreedInfoCard from './BreedInfoCard';
+import ExplanationView from './ExplanationView';
+import AugmentationSummary from './AugmentationSummary';
+import ImageCard from './ImageCard';
+import GridToolbar from './GridToolbar';
+import VirtualGrid from './VirtualGrid';
+import { analyzeImage } from '../api/classifier';
+import { isRetryableError } from '../api/errors';
+import { inspectImage, preprocessInWorker } from '../utils/imageWorkers';
+import { getObjectUrl, releaseObjectUrl } from '../utils/objectUrls';
+import { createJobQueue } from '../utils/jobQueue';
+import { getBatchStats, isUncertain } from '../utils/stats';
+import { applyGridView, countStatuses, DEFAULT_GRID_VIEW } from '../utils/gridView';
+import { validateFiles } from '../utils/validateUpload';
+import { convertPhoneFormats } from '../utils/convertImage';
+import { collectDroppedFiles, collectInputFiles, expandZipArchives, labelFromPath, resolveFolderLabels } from '../utils/importFiles';
+import { parseLabelCsv, imageLookupKeys } from '../utils/evaluation';
+import { isOfflineError, isQueuedOffline, requestReplaySync, requestPersistentStorage, onReplayRequest } from '../utils/offlineQueue';
+import { formatBytes } from '../utils/format';
+import { toExportRows, toCsv, toJson, toManifestCsv, downloadFile, exportFilename } from '../utils/exportResults';
+import usePersistentState from '../hooks/usePersistentState';
+import useSessionStore from '../hooks/useSessionStore';
+import useClassNames from '../hooks/useClassNames';
+import useBackendStatus from '../hooks/useBackendStatus';
+import { DEFAULT_PREPROCESS, DEFAULT_QUEUE, DEFAULT_THRESHOLDS, DEFAULT_API_BASE, DEFAULT_INFERENCE, UPLOAD_RULES, CONVERTIBLE_FORMATS, THUMBNAIL_SIZE } from '../config';
 
-// Real API call to the FastAPI backend /predict endpoint
-const API_BASE = 'http://localhost:8000';
+export default function CattleClassifierMultiple() {
+  const [images, setImages] = useState([]);
+  const [dragActive, setDragActive] = useState(false);
+  const [expandedImageId, setExpandedImageId] = useState(null);
+  const [croppingId, setCroppingId] = useState(null);
+  const [correctingId, setCorrectingId] = useState(null);
+  const [cameraOpen, setCameraOpen] = useState(false);
+  const [liveOpen, setLiveOpen] = useState(false);
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  const [preprocess, setPreprocess] = usePersistentState('cattle-classifier:preprocess', DEFAULT_PREPROCESS);
+  const [queueSettings, setQueueSettings] = usePersistentState('cattle-classifier:queue', DEFAULT_QUEUE);
+  const [thresholds, setThresholds] = usePersistentState('cattle-classifier:thresholds', DEFAULT_THRESHOLDS);
+  const [apiSettings, setApiSettings] = usePersistentState('cattle-classifier:api', { baseUrl: DEFAULT_API_BASE });
+  const [inferenceSettings, setInferenceSettings] = usePersistentState('cattle-classifier:inference', DEFAULT_INFERENCE);
+  // Reachable again: send everything that was queued while offline
+  const backend = useBackendStatus(apiSettings.baseUrl, { onOnline: () => replayOfflineQueue() });
+  const offline = backend.state === 'offline';
+  const serverOnly = inferenceSettings.mode === 'server';
+  // Only server mode depends on the backend; the other modes can classify in the browser
+  const apiError = serverOnly && backend.state === 'no-model'
+    ? 'The backend is running but has no model loaded. Analysis is disabled until it is restarted with a model.'
+    : null;
+  // Auto mode skips the doomed server request while the backend is known to be down
+  const inference = inferenceSettings.mode === 'auto' && offline ? 'browser' : inferenceSettings.mode;
+  // Stable between renders: live mode restarts its sampling whenever this changes
+  const analyzeLiveFrame = useCallback(
+    (file, id, options) => analyzeImage(file, id, { ...options, baseUrl: apiSettings.baseUrl, inference }),
+    [apiSettings.baseUrl, inference]
+  );
+  const [undo, setUndo] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [reportOpen, setReportOpen] = useState(false);
+  const [evaluationOpen, setEvaluationOpen] = useState(false);
+  const [breedFilter, setBreedFilter] = useState(null);
+  const [gridView, setGridView] = useState(DEFAULT_GRID_VIEW);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [comparisonOpen, setComparisonOpen] = useState(false);
+  const [queueState, setQueueState] = useState({ total: 0, done: 0, failed: 0, cancelled: 0, running: 0, remaining: 0, paused: false, active: false, etaMs: null });
+  const fileInputRef = useRef(null);
+  const folderInputRef = useRef(null);
+  const imagesRef = useRef(images);
 
-const analyzeImage = async (imageFile, imageId) => {
-  const formData = new FormData();
-  formData.append('file', imageFile);
+  const updateImage = (imageId, changes) => {
+    setImages(prevImages =>
+      prevImages.map(img =>
+        img.id === imageId ? { ...img, ...changes } : img
+      )
+    );
+  };
 
-  const startTime = performance.now();
+  // Parks images until the backend is reachable; the flag is saved with the session
+  const markQueuedOffline = (imageIds) => {
+    const queuedAt = Date.now();
+    setImages(prevImages =>
+      prevImages.map(img =>
+        imageIds.includes(img.id) ? { ...img, queued: false, analyzing: false, progress: null, error: null, offlineQueuedAt: queuedAt } : img
+      )
+    );
+    requestReplaySync();
+    requestPersistentStorage();
+  };
 
-  const response = await fetch(`${API_BASE}/predict`, {
-    method: 'POST',
-    body: formData,
-  });
+  // One queue for the lifetime of the component; jobs read images through imagesRef
+  // so a long batch never works from a stale snapshot of the list.
+  const [queue] = useState(() => createJobQueue({
+    ...DEFAULT_QUEUE,
+    // Only transient failures (network, timeout, 5xx); a corrupt image fails the same way every time
+    shouldRetry: isRetryableError,
+    onChange: setQueueState,
+    onRetry: (imageId, attempt, delay, err) => {
+      updateImage(imageId, {
+        queued: true,
+        analyzing: false,
+        progress: null,
+        error: `${err.message || 'Analysis failed'} — retrying in ${Math.ceil(delay / 1000)}s (attempt ${attempt + 1})`
+      });
+    },
+    onSettled: (imageId, status, err) => {
+      if (status === 'failed' && isOfflineError(err)) {
+        markQueuedOffline([imageId]);
+      } else if (status === 'failed') {
+        updateImage(imageId, { queued: false, analyzing: false, progress: null, error: err.message || 'Analysis failed' });
+      } else if (status === 'cancelled') {
+        updateImage(imageId, { queued: false, analyzing: false, progress: null, error: null });
+      }
+    }
+  }));
+
+  useEffect(() => {
+    imagesRef.current = images;
+  }, [images]);
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(errorText || `Server error: ${response.status}`);
+  // Background Sync fired: the browser thinks it is online, so check the backend now
+  useEffect(() => onReplayRequest(backend.recheck), [backend.recheck]);
+
+  useEffect(() => {
+    queue.configure(queueSettings);
+  }, [queue, queueSettings]);
+
+  useEffect(() => () => queue.cancelAll(), [queue]);
+
+  const { classNames, error: classNamesError } = useClassNames(apiSettings.baseUrl, backend.state !== 'offline', { browserFallback: !serverOnly });
+
+  // Folder names are matched against the class list, so re-match the unmatched ones whenever a new list
+  // arrives (e.g. a folder imported before the backend came online); adjusting state during render skips an extra pass
+  const [labeledWith, setLabeledWith] = useState(classNames);
+  if (labeledWith !== classNames) {
+    setLabeledWith(classNames);
+    setImages(prevImages => resolveFolderLabels(prevImages, classNames));
   }
 
-  const data = await response.json();
-  const elapsed = ((performance.now() - startTime) / 1000).toFixed(2);
-
-  // Map backend response to component model
-  return {
-    id: imageId,
-    breed: data.predicted_breed,
-    confidence: data.confidence.toFixed(1),
-    top5: data.top_5_predictions,
-    detectionStages: [
-      { stage: "Image Preprocessing", progress: 100, time: 0.3, description: "Resizing to 224×224 and normalizing pixels" },
-      { stage: "Feature Extraction", progress: 100, time: 0.6, description: "MobileNetV2 convolutional feature maps" },
-      { stage: "Pattern Recognition", progress: 100, time: 0.9, description: "Identifying breed-specific visual patterns" },
-      { stage: "Classification", progress: 100, time: parseFloat(elapsed), description: "Softmax prediction across 50 breeds" }
-    ],
-    calculations: {
-      inputResolution: "224 × 224 (50,176 pixels)",
-      processingTime: elapsed + "s",
-      modelArchitecture: "MobileNetV2",
-      totalClasses: "50 Indian cattle breeds"
+  const sessionStore = useSessionStore(images, setImages, {
+    // Object URLs do not survive a reload, so rebuild the thumbnails from the stored blobs
+    onRestore: (restored) => {
+      restored.forEach(img => setThumbnailPreview(img.id, img.file, img.thumbnail));
+      restored.filter(img => img.crop).forEach(img => setCropPreview(img.id, img.file, img.crop));
+      setImages(prevImages => resolveFolderLabels(prevImages, classNames));
     }
-  };
-};
-
-export default function CattleClassifierMultiple() {
-  const [images, setImages] = useState([]);
-  const [analyzingAll, setAnalyzingAll] = useState(false);
-  const [dragActive, setDragActive] = useState(false);
-  const [expandedImage, setExpandedImage] = useState(null);
-  const [apiError, setApiError] = useState(null);
-  const fileInputRef = useRef(null);
+  });
 
-  useEffect(() => {
-    // Animate detection stages for analyzing images
-    images.forEach((img) => {
-      if (img.analyzing && img.result) {
-        const interval = setInterval(() => {
-          setImages(prevImages =>
-            prevImages.map(prevImg => {
-              if (prevImg.id === img.id && prevImg.currentStage < prevImg.result.detectionStages.length - 1) {
-                return { ...prevImg, currentStage: prevImg.currentStage + 1 };
-              }
-              return prevImg;
-            })
-          );
-        }, 800);
-
-        setTimeout(() => clearInterval(interval), 4000);
-      }
-    });
-  }, [images]);
+  // Look records up by id so modals always show the latest crop/result
+  const expandedImage = images.find(img => img.id === expandedImageId) || null;
+  const croppingImage = images.find(img => img.id === croppingId) || null;
+  const correctingImage = images.find(img => img.id === correctingId && img.result) || null;
+  // Selection for the comparison view, in the order the cards were picked; removed or re-queued images drop out
+  const selectedImages = selectedIds.map(id => images.find(img => img.id === id)).filter(img => img?.result);
 
   const handleDrag = (e) => {
     e.preventDefault();
@@ -86,113 +181,438 @@ export default function CattleClassifierMultiple() {
     e.preventDefault();
     e.stopPropagation();
     setDragActive(false);
-    if (e.dataTransfer.files && e.dataTransfer.files.length > 0) {
-      handleFiles(Array.from(e.dataTransfer.files));
-    }
+    // collectDroppedFiles grabs the entries synchronously; the DataTransfer is emptied once this handler returns
+    collectDroppedFiles(e.dataTransfer).then(importEntries).catch(reportImportError);
   };
 
   const handleChange = (e) => {
     e.preventDefault();
     if (e.target.files && e.target.files.length > 0) {
-      handleFiles(Array.from(e.target.files));
+      importEntriesSafely(collectInputFiles(e.target.files));
     }
+    // Allow picking the same file again (e.g. to see why it was rejected)
+    e.target.value = '';
   };
 
-  const handleFiles = (files) => {
-    const newImages = files.map((file, index) => {
-      const reader = new FileReader();
-      const imageId = Date.now() + index;
-
-      reader.onload = (e) => {
-        setImages(prevImages =>
-          prevImages.map(img =>
-            img.id === imageId ? { ...img, preview: e.target.result } : img
-          )
-        );
-      };
-      reader.readAsDataURL(file);
-
-      return {
-        id: imageId,
-        file: file,
-        preview: null,
-        analyzing: false,
-        result: null,
-        currentStage: 0,
-        error: null
-      };
+  // e.g. a folder that could not be read or a ZIP that failed to unpack.
+  // Replacing the notice also clears a "Converting…" progress notice left by the failed import.
+  const reportImportError = (err) => setNotice({
+    id: Date.now(),
+    message: 'Could not import the files',
+    details: [err?.message || String(err)],
+    tone: 'error'
+  });
+
+  const importEntriesSafely = async (entries) => {
+    try {
+      await importEntries(entries);
+    } catch (err) {
+      reportImportError(err);
+    }
+  };
+
+  const handleFiles = (files) => importEntriesSafely(files.map(file => ({ file, path: file.name })));
+
+  // Unpacks ZIPs, converts phone formats to JPEG, validates, then adds the accepted files;
+  // rejected ones are listed in a notice instead of becoming cards.
+  // entries are { file, path }; a parent folder named after a class becomes the expected label.
+  const importEntries = async (entries) => {
+    if (entries.length === 0) return;
+    const unzipped = await expandZipArchives(entries);
+    const pathBySource = new Map(unzipped.entries.map(entry => [entry.file, entry.path]));
+
+    const { items, failed } = await convertPhoneFormats(unzipped.entries.map(entry => entry.file), {
+      onProgress: ({ done, total }) => setNotice({
+        id: 'converting',
+        message: `Converting photo ${done + 1} of ${total} to JPEG…`,
+        details: [],
+        tone: 'info',
+        duration: null
+      })
     });
+    const conversions = new Map(items.map(item => [item.file, item.conversion]));
+    const paths = new Map(items.map(item => [item.file, pathBySource.get(item.source)]));
+
+    const knownHashes = new Set(imagesRef.current.map(img => img.hash).filter(Boolean));
+    const validation = await validateFiles(items.map(item => item.file), knownHashes);
+    const { accepted } = validation;
+    const rejected = [...unzipped.failed, ...failed, ...validation.rejected];
+    setNotice(prev => (prev?.id === 'converting' ? null : prev));
+
+    if (rejected.length > 0) {
+      setNotice({
+        id: Date.now(),
+        message: accepted.length > 0
+          ? `Added ${accepted.length} image${accepted.length === 1 ? '' : 's'}, skipped ${rejected.length}`
+          : `Skipped ${rejected.length} file${rejected.length === 1 ? '' : 's'}`,
+        details: rejected.map(({ name, reason }) => `${name} — ${reason}`),
+        tone: accepted.length > 0 ? 'info' : 'error'
+      });
+    }
+
+    // Thumbnails were made by the image workers during validation
+    const newImages = accepted.map(({ file, hash, width, height, thumbnail }, index) => ({
+      id: Date.now() + index,
+      file: file,
+      hash,
+      dimensions: { width, height },
+      conversion: conversions.get(file) || null,
+      sourcePath: paths.get(file).includes('/') ? paths.get(file) : null,
+      expectedLabel: labelFromPath(paths.get(file), classNames),
+      thumbnail,
+      preview: URL.createObjectURL(thumbnail),
+      analyzing: false,
+      result: null,
+      progress: null,
+      error: null
+    }));
 
-    setImages(prevImages => [...prevImages, ...newImages]);
+    if (newImages.length > 0) setImages(prevImages => [...prevImages, ...newImages]);
   };
 
-  const handleAnalyzeImage = async (imageId) => {
-    const image = images.find(img => img.id === imageId);
-    if (!image) return;
+  const dismissNotice = useCallback(() => setNotice(null), []);
+
+  // Runs one analysis; throws so the queue can retry or record the failure
+  const runAnalysis = async (imageId, signal) => {
+    const image = imagesRef.current.find(img => img.id === imageId);
+    if (!image) throw new DOMException('Image was removed', 'AbortError');
+
+    updateImage(imageId, { queued: false, analyzing: true, progress: null, error: null });
+
+    const result = await analyzeImage(image.file, imageId, {
+      baseUrl: apiSettings.baseUrl,
+      inference,
+      highAccuracy: inferenceSettings.highAccuracy,
+      signal,
+      // The queue retries whole analyses, so the client must not retry on its own as well
+      retries: 0,
+      preprocess: { ...preprocess, crop: image.crop },
+      onProgress: (progress) => updateImage(imageId, { progress })
+    });
+
+    updateImage(imageId, { result: result, analyzing: false, progress: null });
+  };
+
+  const enqueueAnalysis = (imageIds) => {
+    const ids = imageIds.filter(id => !queue.has(id));
+    if (ids.length === 0) return;
 
     setImages(prevImages =>
       prevImages.map(img =>
-        img.id === imageId ? { ...img, analyzing: true, currentStage: 0, error: null } : img
+        ids.includes(img.id) ? { ...img, queued: true, offlineQueuedAt: null, error: null } : img
       )
     );
+    ids.forEach(id => queue.add(id, (signal) => runAnalysis(id, signal)));
+  };
 
-    try {
-      const result = await analyzeImage(image.file, imageId);
-
-      setImages(prevImages =>
-        prevImages.map(img =>
-          img.id === imageId ? { ...img, result: result } : img
-        )
-      );
-
-      setTimeout(() => {
-        setImages(prevImages =>
-          prevImages.map(img =>
-            img.id === imageId ? { ...img, analyzing: false } : img
-          )
-        );
-      }, 2000);
-    } catch (err) {
-      setImages(prevImages =>
-        prevImages.map(img =>
-          img.id === imageId ? { ...img, analyzing: false, error: err.message || 'Analysis failed' } : img
-        )
-      );
+  const replayOfflineQueue = () => {
+    enqueueAnalysis(imagesRef.current.filter(isQueuedOffline).map(img => img.id));
+  };
+
+  const requestAnalysis = (imageIds) => {
+    if (offline && serverOnly) {
+      markQueuedOffline(imageIds);
+    } else {
+      enqueueAnalysis(imageIds);
     }
   };
 
-  const handleAnalyzeAll = async () => {
-    setAnalyzingAll(true);
+  const handleAnalyzeImage = (imageId) => {
+    requestAnalysis([imageId]);
+  };
+
+  const handleCancelAnalysis = (imageId) => {
+    queue.cancel(imageId);
+    updateImage(imageId, { offlineQueuedAt: null });
+  };
 
-    const unanalyzedImages = images.filter(img => !img.result);
+  const handleAnalyzeAll = () => {
+    requestAnalysis(images.filter(img => !img.result && !img.queued && !img.analyzing && !isQueuedOffline(img)).map(img => img.id));
+  };
 
-    for (const image of unanalyzedImages) {
-      await handleAnalyzeImage(image.id);
+  // Card thumbnail as an object URL; sessions saved before thumbnails existed get one made now
+  const setThumbnailPreview = async (imageId, file, thumbnail) => {
+    let blob = thumbnail;
+    if (!blob) {
+      try {
+        blob = (await inspectImage(file)).thumbnail;
+      } catch {
+        return;
+      }
     }
+    const preview = URL.createObjectURL(blob);
+    setImages(prevImages =>
+      prevImages.map(img => {
+        if (img.id !== imageId) return img;
+        if (img.preview) URL.revokeObjectURL(img.preview);
+        return { ...img, thumbnail: blob, preview };
+      })
+    );
+  };
+
+  // Small thumbnail of the cropped region for the card, as an object URL
+  const createCropPreview = async (file, crop) => {
+    const { file: thumbnail } = await preprocessInWorker(file, { maxSize: THUMBNAIL_SIZE, format: 'image/jpeg', quality: 0.85, crop });
+    return URL.createObjectURL(thumbnail);
+  };
 
-    setAnalyzingAll(false);
+  // Dropped when the image was removed or re-cropped meanwhile, so a slow preview cannot replace a newer one.
+  // If the preview cannot be made the card falls back to the full thumbnail.
+  const setCropPreview = async (imageId, file, crop) => {
+    const cropPreview = crop ? await createCropPreview(file, crop).catch(() => null) : null;
+    setImages(prevImages => {
+      const current = prevImages.find(img => img.id === imageId);
+      if (!current || (current.crop || null) !== crop) {
+        if (cropPreview) URL.revokeObjectURL(cropPreview);
+        return prevImages;
+      }
+      return prevImages.map(img => {
+        if (img.id !== imageId) return img;
+        if (img.cropPreview) URL.revokeObjectURL(img.cropPreview);
+        return { ...img, cropPreview };
+      });
+    });
+  };
+
+  const handleApplyCrop = (imageId, crop) => {
+    const image = images.find(img => img.id === imageId);
+    setCroppingId(null);
+    if (!image) return;
+
+    // The previous result was for a different region
+    setImages(prevImages =>
+      prevImages.map(img =>
+        img.id === imageId ? { ...img, crop, result: null, error: null, progress: null } : img
+      )
+    );
+    setCropPreview(imageId, image.file, crop);
+  };
+
+  const handleAddCropEntry = (imageId, crop) => {
+    const source = images.find(img => img.id === imageId);
+    setCroppingId(null);
+    if (!source || !crop) return;
+
+    const parentId = source.parentId || source.id;
+    const cropIndex = Math.max(0, ...images.filter(img => img.parentId === parentId).map(img => img.cropIndex)) + 1;
+    const newImage = {
+      id: Date.now(),
+      file: source.file,
+      // Each entry owns its preview URL, so removing one never blanks the other
+      thumbnail: source.thumbnail,
+      preview: source.thumbnail ? URL.createObjectURL(source.thumbnail) : null,
+      parentId,
+      cropIndex,
+      crop,
+      cropPreview: null,
+      analyzing: false,
+      result: null,
+      progress: null,
+      error: null
+    };
+
+    setImages(prevImages => {
+      const sourceIndex = prevImages.findIndex(img => img.id === imageId);
+      const next = [...prevImages];
+      next.splice(sourceIndex + 1, 0, newImage);
+      return next;
+    });
+    setCropPreview(newImage.id, source.file, crop);
   };
 
+  const revokePreviews = (imageList) => {
+    imageList.forEach(img => {
+      if (img.preview) URL.revokeObjectURL(img.preview);
+      if (img.cropPreview) URL.revokeObjectURL(img.cropPreview);
+      releaseObjectUrl(img.file);
+      releaseObjectUrl(img.result?.explanation?.image);
+    });
+  };
+
+  // Offer an undo for destructive actions; discard() runs once the undo is no longer possible
+  const showUndo = (message, restore, discard) => {
+    undo?.discard();
+    setUndo({ message, restore, discard });
+  };
+
+  const handleUndo = () => {
+    undo?.restore();
+    setUndo(null);
+  };
+
+  const dismissUndo = useCallback(() => {
+    undo?.discard();
+    setUndo(null);
+  }, [undo]);
+
+  const idle = (img) => ({ ...img, queued: false, analyzing: false, progress: null });
+
   const handleRemoveImage = (imageId) => {
+    const index = images.findIndex(img => img.id === imageId);
+    const removed = images[index];
+    if (!removed) return;
+
+    queue.cancel(imageId);
     setImages(prevImages => prevImages.filter(img => img.id !== imageId));
+    if (expandedImageId === imageId) setExpandedImageId(null);
+
+    showUndo(
+      'Image removed',
+      () => setImages(prevImages => {
+        const next = [...prevImages];
+        next.splice(Math.min(index, next.length), 0, idle(removed));
+        return next;
+      }),
+      () => revokePreviews([removed])
+    );
   };
 
   const handleReset = () => {
+    const snapshot = images;
+    queue.cancelAll();
     setImages([]);
-    setExpandedImage(null);
+    setExpandedImageId(null);
+    setCroppingId(null);
+    setSelectedIds([]);
+    setComparisonOpen(false);
+
+    showUndo(
+      `Cleared ${snapshot.length} image${snapshot.length === 1 ? '' : 's'}`,
+      () => setImages(prevImages => [...snapshot.map(idle), ...prevImages]),
+      () => revokePreviews(snapshot)
+    );
+  };
+
+  // Leaving the current session: stop its work and close what refers to its images.
+  // Their object URLs are only dropped once another session has opened (see runSessionAction).
+  const leaveSession = () => {
+    queue.cancelAll();
+    undo?.discard();
+    setUndo(null);
+    setExpandedImageId(null);
+    setCroppingId(null);
+    setCorrectingId(null);
+    setEvaluationOpen(false);
+    setBreedFilter(null);
+    setGridView(DEFAULT_GRID_VIEW);
+    setSelectedIds([]);
+    setComparisonOpen(false);
+  };
+
+  // Storage failures are reported and leave the current images (and their previews) in place.
+  // `leaving` is the image list the action replaces; its object URLs are revoked once it succeeds.
+  const runSessionAction = async (action, message, leaving = []) => {
+    try {
+      await action();
+    } catch (err) {
+      setNotice({ id: Date.now(), message, details: [err?.message || String(err)], tone: 'error' });
+      return;
+    }
+    revokePreviews(leaving);
+  };
+
+  const handleSwitchSession = async (sessionId) => {
+    if (sessionId === sessionStore.currentSession?.id) return;
+    leaveSession();
+    await runSessionAction(() => sessionStore.switchSession(sessionId), 'Could not open the session', images);
+  };
+
+  const handleCreateSession = async (name) => {
+    leaveSession();
+    await runSessionAction(() => sessionStore.createSession(name), 'Could not create the session', images);
+  };
+
+  const handleRenameSession = (name) => (
+    runSessionAction(() => sessionStore.renameSession(name), 'Could not rename the session')
+  );
+
+  const handleDeleteSession = async (sessionId) => {
+    const current = sessionId === sessionStore.currentSession?.id;
+    if (current) leaveSession();
+    await runSessionAction(() => sessionStore.deleteSession(sessionId), 'Could not delete the session', current ? images : []);
+  };
+
+  // Kept on the result it explains, so a new analysis or crop discards it automatically
+  const handleSaveExplanation = (imageId, result, explanation) => {
+    setImages(prevImages =>
+      prevImages.map(img =>
+        img.id === imageId && img.result === result ? { ...img, result: { ...result, explanation } } : img
+      )
+    );
+  };
+
+  // Human-verified label stored beside the model prediction
+  const handleCorrectBreed = (breed) => {
+    updateImage(correctingId, { correction: { breed, correctedAt: Date.now() } });
+    setCorrectingId(null);
+  };
+
+  const handleClearCorrection = () => {
+    updateImage(correctingId, { correction: null });
+    setCorrectingId(null);
+  };
+
+  // Sidecar label file: sets the expected breed on every image whose name appears in it
+  const handleImportLabels = async (file) => {
+    const { labels, unknown } = parseLabelCsv(await file.text(), classNames);
+    const matchedKeys = new Set();
+    const updates = new Map();
+    imagesRef.current.forEach(img => {
+      const key = imageLookupKeys(img).find(name => labels.has(name));
+      if (!key) return;
+      matchedKeys.add(key);
+      updates.set(img.id, labels.get(key));
+    });
+    setImages(prevImages => prevImages.map(img => (
+      updates.has(img.id) ? { ...img, expectedLabel: updates.get(img.id) } : img
+    )));
+
+    const applied = updates.size;
+    const unmatched = Array.from(labels.keys()).filter(key => !matchedKeys.has(key));
+    setNotice({
+      id: Date.now(),
+      message: `Applied ${applied} label${applied === 1 ? '' : 's'} from ${file.name}`,
+      details: [
+        ...unknown,
+        ...unmatched.map(name => `${name} — no image with this name in the session`)
+      ],
+      tone: applied > 0 ? 'info' : 'error'
+    });
   };
 
-  const getOverallStats = () => {
-    const analyzed = images.filter(img => img.result);
-    const uniqueBreeds = new Set(analyzed.map(img => img.result.breed)).size;
-    const avgConfidence = analyzed.length > 0
-      ? (analyzed.reduce((sum, img) => sum + parseFloat(img.result.confidence), 0) / analyzed.length).toFixed(1)
-      : 0;
+  const toggleSelected = (imageId) => {
+    setSelectedIds(prevIds => (
+      prevIds.includes(imageId) ? prevIds.filter(id => id !== imageId) : [...prevIds, imageId]
+    ));
+  };
 
-    return { total: images.length, analyzed: analyzed.length, uniqueBreeds, avgConfidence };
+  // Dropping below two images leaves nothing to compare
+  const handleRemoveFromComparison = (imageId) => {
+    toggleSelected(imageId);
+    if (selectedImages.length <= 2) setComparisonOpen(false);
   };
 
-  const stats = getOverallStats();
+  const handleExportManifest = () => {
+    downloadFile(toManifestCsv(images), exportFilename(`${sessionStore.currentSession?.name || 'cattle'} corrections`, 'csv'), 'text/csv;charset=utf-8');
+  };
+
+  const handleExportCsv = () => {
+    downloadFile(toCsv(toExportRows(images, thresholds)), exportFilename(sessionStore.currentSession?.name, 'csv'), 'text/csv;charset=utf-8');
+  };
+
+  const handleExportJson = () => {
+    downloadFile(toJson(images, { sessionName: sessionStore.currentSession?.name, thresholds }), exportFilename(sessionStore.currentSession?.name, 'json'), 'application/json');
+  };
+
+  const stats = getBatchStats(images, thresholds);
+  // A breed selected in the analytics panel narrows the grid to that prediction
+  const activeBreedFilter = breedFilter && images.some(img => img.result?.breed === breedFilter) ? breedFilter : null;
+  const visibleImages = applyGridView(images, gridView, { breed: activeBreedFilter, thresholds });
+  const predictedBreeds = Array.from(new Set(images.filter(img => img.result).map(img => img.result.breed))).sort();
+  const unqueuedCount = images.filter(img => !img.result && !img.queued && !img.analyzing && !isQueuedOffline(img)).length;
+  const offlineQueuedCount = images.filter(isQueuedOffline).length;
+  const analyzeAllDisabled = unqueuedCount === 0 || apiError !== null;
+  const liveError = apiError || (offline && serverOnly ? 'Live classification needs a connection to the backend.' : null);
 
   return (
     <div style={{
@@ -243,8 +663,24 @@ export default function CattleClassifierMultiple() {
           }}>
             Batch Cattle Breed Classification System — 50 Breeds
           </p>
+          <BackendStatus
+            status={backend}
+            baseUrl={apiSettings.baseUrl}
+            onClick={() => setSettingsOpen(true)}
+          />
         </div>
 
+        {/* Session */}
+        <SessionBar
+          sessions={sessionStore.sessions}
+          currentSession={sessionStore.currentSession}
+          storageError={sessionStore.storageError}
+          onCreate={handleCreateSession}
+          onSwitch={handleSwitchSession}
+          onRename={handleRenameSession}
+          onDelete={handleDeleteSession}
+        />
+
         {/* Stats Bar */}
         {images.length > 0 && (
           <div style={{
@@ -298,6 +734,17 @@ export default function CattleClassifierMultiple() {
               <div style={{ fontSize: '2.5rem', fontWeight: '800', color: '#66BB6A' }}>{stats.avgConfidence}%</div>
               <div style={{ fontSize: '0.9rem', color: 'rgba(255, 255, 255, 0.7)', marginTop: '0.25rem' }}>Avg Confidence</div>
             </div>
+            <div style={{
+              background: 'rgba(255, 255, 255, 0.05)',
+              backdropFilter: 'blur(20px)',
+              borderRadius: '16px',
+              padding: '1.5rem',
+              border: '1px solid rgba(255, 255, 255, 0.1)',
+              textAlign: 'center'
+            }}>
+              <div style={{ fontSize: '2.5rem', fontWeight: '800', color: '#FF9800' }}>{stats.uncertain}</div>
+              <div style={{ fontSize: '0.9rem', color: 'rgba(255, 255, 255, 0.7)', marginTop: '0.25rem' }}>Uncertain</div>
+            </div>
           </div>
         )}
 
@@ -312,17 +759,131 @@ export default function CattleClassifierMultiple() {
           marginBottom: '2rem',
           animation: 'fadeInUp 0.8s ease-out'
         }}>
-          <h2 style={{
-            fontSize: '1.5rem',
-            color: '#DEB887',
-            marginBottom: '1.5rem',
-            fontWeight: '700',
-            display: 'flex',
-            alignItems: 'center',
-            gap: '0.5rem'
-          }}>
-            <Upload size={24} /> Upload Multiple Images
-          </h2>
+          <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '1.5rem' }}>
+            <h2 style={{
+              fontSize: '1.5rem',
+              color: '#DEB887',
+              margin: 0,
+              fontWeight: '700',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '0.5rem'
+            }}>
+              <Upload size={24} /> Upload Multiple Images
+            </h2>
+            <button
+              onClick={() => setSettingsOpen(prev => !prev)}
+              title="Settings"
+              style={{
+                padding: '0.5rem 0.875rem',
+                background: settingsOpen ? 'rgba(205, 133, 63, 0.3)' : 'rgba(255, 255, 255, 0.1)',
+                color: 'white',
+                border: '1px solid rgba(255, 255, 255, 0.2)',
+                borderRadius: '10px',
+                fontSize: '0.9rem',
+                fontWeight: '600',
+                cursor: 'pointer',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '0.4rem'
+              }}
+            >
+              <Settings size={18} />
+              Settings
+            </button>
+          </div>
+
+          {settingsOpen && (
+            <div style={{ marginBottom: '1.5rem', marginTop: '-1.5rem' }}>
+              <SettingsPanel
+                preprocess={preprocess}
+                onPreprocessChange={setPreprocess}
+                queueSettings={queueSettings}
+                onQueueSettingsChange={setQueueSettings}
+                thresholds={thresholds}
+                onThresholdsChange={setThresholds}
+                apiBaseUrl={apiSettings.baseUrl}
+                onApiBaseUrlChange={(baseUrl) => setApiSettings({ baseUrl })}
+                inferenceSettings={inferenceSettings}
+                onInferenceSettingsChange={setInferenceSettings}
+              />
+            </div>
+          )}
+
+          {/* Offline */}
+          {offline && inferenceSettings.mode !== 'browser' && (
+            <div style={{
+              display: 'flex',
+              flexWrap: 'wrap',
+              alignItems: 'center',
+              gap: '1rem',
+              marginBottom: '1.5rem',
+              padding: '1rem 1.25rem',
+              background: 'rgba(255, 152, 0, 0.12)',
+              borderRadius: '12px',
+              border: '1px solid rgba(255, 152, 0, 0.4)',
+              color: '#FFCC80',
+              fontSize: '0.9rem',
+              fontWeight: '600'
+            }}>
+              <WifiOff size={20} style={{ flexShrink: 0 }} />
+              <span style={{ flex: 1, minWidth: '240px' }}>
+                Cannot reach the backend at {apiSettings.baseUrl}.{' '}
+                {serverOnly
+                  ? 'Images you analyze are queued offline and sent automatically once it responds.'
+                  : 'Images are classified by the in-browser model until it responds.'}
+                {offlineQueuedCount > 0 && ` ${offlineQueuedCount} queued.`}
+              </span>
+              <button
+                onClick={backend.recheck}
+                style={{
+                  padding: '0.5rem 1rem',
+                  background: 'rgba(255, 255, 255, 0.1)',
+                  color: 'white',
+                  border: '1px solid rgba(255, 255, 255, 0.2)',
+                  borderRadius: '8px',
+                  fontWeight: '600',
+                  cursor: 'pointer'
+                }}
+              >
+                Check Again
+              </button>
+            </div>
+          )}
+
+          {/* Backend Unavailable */}
+          {apiError && (
+            <div style={{
+              display: 'flex',
+              flexWrap: 'wrap',
+              alignItems: 'center',
+              gap: '1rem',
+              marginBottom: '1.5rem',
+              padding: '1rem 1.25rem',
+              background: 'rgba(244, 67, 54, 0.12)',
+              borderRadius: '12px',
+              border: '1px solid rgba(244, 67, 54, 0.4)',
+              color: '#ef9a9a',
+              fontSize: '0.9rem',
+              fontWeight: '600'
+            }}>
+              <span style={{ flex: 1, minWidth: '240px' }}>⚠ {apiError}</span>
+              <button
+                onClick={backend.recheck}
+                style={{
+                  padding: '0.5rem 1rem',
+                  background: 'rgba(255, 255, 255, 0.1)',
+                  color: 'white',
+                  border: '1px solid rgba(255, 255, 255, 0.2)',
+                  borderRadius: '8px',
+                  fontWeight: '600',
+                  cursor: 'pointer'
+                }}
+              >
+                Check Again
+              </button>
+            </div>
+          )}
 
           <div
             onDragEnter={handleDrag}
@@ -344,60 +905,163 @@ export default function CattleClassifierMultiple() {
             <input
               ref={fileInputRef}
               type="file"
-              accept="image/*"
+              accept={[
+                ...UPLOAD_RULES.allowedTypes,
+                ...UPLOAD_RULES.allowedExtensions.map(ext => `.${ext}`),
+                ...CONVERTIBLE_FORMATS.flatMap(format => format.extensions.map(ext => `.${ext}`))
+              ].join(',')}
+              multiple
+              onChange={handleChange}
+              style={{ display: 'none' }}
+            />
+            <input
+              ref={folderInputRef}
+              type="file"
+              webkitdirectory=""
               multiple
               onChange={handleChange}
               style={{ display: 'none' }}
             />
             <Plus style={{ width: '64px', height: '64px', color: '#CD853F', margin: '0 auto 1rem' }} />
             <p style={{ fontSize: '1.25rem', color: 'white', marginBottom: '0.5rem', fontWeight: '600' }}>
-              {dragActive ? 'Drop your images here' : 'Click or drag to upload multiple images'}
+              {dragActive ? 'Drop your images, folders or ZIP archives here' : 'Click or drag to upload images, folders or ZIP archives'}
             </p>
             <p style={{ fontSize: '0.9rem', color: 'rgba(255, 255, 255, 0.5)' }}>
-              Supports: JPG, PNG, WEBP • Upload as many as you need
+              Supports: JPG, PNG, WEBP, BMP, GIF, plus HEIC/HEIF and TIFF (converted to JPEG) up to {UPLOAD_RULES.maxBytes / (1024 * 1024)} MB • Duplicates are skipped automatically
+            </p>
+            <p style={{ fontSize: '0.85rem', color: 'rgba(255, 255, 255, 0.45)', margin: '0.5rem 0 0 0' }}>
+              Folders laid out as &lt;breed&gt;/&lt;image&gt; (like the training dataset) record the folder name as the expected breed
             </p>
           </div>
 
+          <div style={{ display: 'flex', gap: '1rem', marginTop: '1rem' }}>
+            <button
+              onClick={() => setCameraOpen(true)}
+              style={{
+                flex: 1,
+                padding: '0.875rem',
+                background: 'rgba(255, 255, 255, 0.1)',
+                color: 'white',
+                border: '1px solid rgba(255, 255, 255, 0.2)',
+                borderRadius: '12px',
+                fontSize: '1rem',
+                fontWeight: '600',
+                cursor: 'pointer',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                gap: '0.5rem',
+                transition: 'all 0.3s ease'
+              }}
+              onMouseEnter={(e) => e.currentTarget.style.background = 'rgba(255, 255, 255, 0.15)'}
+              onMouseLeave={(e) => e.currentTarget.style.background = 'rgba(255, 255, 255, 0.1)'}
+            >
+              <Camera size={20} />
+              Take Photos with Camera
+            </button>
+            <button
+              onClick={() => folderInputRef.current?.click()}
+              style={{
+                flex: 1,
+                padding: '0.875rem',
+                background: 'rgba(255, 255, 255, 0.1)',
+                color: 'white',
+                border: '1px solid rgba(255, 255, 255, 0.2)',
+                borderRadius: '12px',
+                fontSize: '1rem',
+                fontWeight: '600',
+                cursor: 'pointer',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                gap: '0.5rem',
+                transition: 'all 0.3s ease'
+              }}
+              onMouseEnter={(e) => e.currentTarget.style.background = 'rgba(255, 255, 255, 0.15)'}
+              onMouseLeave={(e) => e.currentTarget.style.background = 'rgba(255, 255, 255, 0.1)'}
+            >
+              <FolderOpen size={20} />
+              Import Folder
+            </button>
+            <button
+              onClick={() => setLiveOpen(true)}
+              disabled={liveError !== null}
+              title={liveError || undefined}
+              style={{
+                flex: 1,
+                padding: '0.875rem',
+                background: 'rgba(255, 255, 255, 0.1)',
+                color: 'white',
+                border: '1px solid rgba(255, 255, 255, 0.2)',
+                borderRadius: '12px',
+                fontSize: '1rem',
+                fontWeight: '600',
+                cursor: liveError ? 'not-allowed' : 'pointer',
+                opacity: liveError ? 0.5 : 1,
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                gap: '0.5rem',
+                transition: 'all 0.3s ease'
+              }}
+              onMouseEnter={(e) => e.currentTarget.style.background = 'rgba(255, 255, 255, 0.15)'}
+              onMouseLeave={(e) => e.currentTarget.style.background = 'rgba(255, 255, 255, 0.1)'}
+            >
+              <Video size={20} />
+              Live Classification
+            </button>
+          </div>
+
           {images.length > 0 && (
             <div style={{ display: 'flex', gap: '1rem', marginTop: '1.5rem' }}>
               <button
                 onClick={handleAnalyzeAll}
-                disabled={analyzingAll || stats.analyzed === stats.total}
+                disabled={analyzeAllDisabled}
                 style={{
                   flex: 1,
                   padding: '1rem',
-                  background: (analyzingAll || stats.analyzed === stats.total) ? 'rgba(255, 255, 255, 0.1)' : 'linear-gradient(135deg, #CD853F 0%, #B8860B 100%)',
+                  background: analyzeAllDisabled ? 'rgba(255, 255, 255, 0.1)' : 'linear-gradient(135deg, #CD853F 0%, #B8860B 100%)',
                   color: 'white',
                   border: 'none',
                   borderRadius: '12px',
                   fontSize: '1.1rem',
                   fontWeight: '700',
-                  cursor: (analyzingAll || stats.analyzed === stats.total) ? 'not-allowed' : 'pointer',
+                  cursor: analyzeAllDisabled ? 'not-allowed' : 'pointer',
                   display: 'flex',
                   alignItems: 'center',
                   justifyContent: 'center',
                   gap: '0.5rem',
                   transition: 'all 0.3s ease',
-                  boxShadow: (analyzingAll || stats.analyzed === stats.total) ? 'none' : '0 4px 20px rgba(205, 133, 63, 0.4)'
+                  boxShadow: analyzeAllDisabled ? 'none' : '0 4px 20px rgba(205, 133, 63, 0.4)'
                 }}
-                onMouseEnter={(e) => !(analyzingAll || stats.analyzed === stats.total) && (e.currentTarget.style.transform = 'scale(1.05)')}
-                onMouseLeave={(e) => !(analyzingAll || stats.analyzed === stats.total) && (e.currentTarget.style.transform = 'scale(1)')}
+                onMouseEnter={(e) => !analyzeAllDisabled && (e.currentTarget.style.transform = 'scale(1.05)')}
+                onMouseLeave={(e) => !analyzeAllDisabled && (e.currentTarget.style.transform = 'scale(1)')}
               >
-                {analyzingAll ? (
+                {apiError && unqueuedCount > 0 ? (
+                  <>
+                    <Sparkles size={20} />
+                    Backend Unavailable
+                  </>
+                ) : offline && serverOnly && unqueuedCount > 0 ? (
+                  <>
+                    <WifiOff size={20} />
+                    Queue All Offline ({unqueuedCount} remaining)
+                  </>
+                ) : unqueuedCount > 0 ? (
+                  <>
+                    <Sparkles size={20} />
+                    Analyze All ({unqueuedCount} remaining)
+                  </>
+                ) : queueState.active ? (
                   <>
                     <Loader style={{ animation: 'spin 1s linear infinite' }} size={20} />
                     Analyzing All Images...
                   </>
-                ) : stats.analyzed === stats.total ? (
+                ) : (
                   <>
                     <CheckCircle size={20} />
                     All Images Analyzed
                   </>
-                ) : (
-                  <>
-                    <Sparkles size={20} />
-                    Analyze All ({stats.total - stats.analyzed} remaining)
-                  </>
                 )}
               </button>
               <button
@@ -418,308 +1082,242 @@ export default function CattleClassifierMultiple() {
               >
                 Reset All
               </button>
+              <button
+                onClick={() => setEvaluationOpen(true)}
+                disabled={stats.analyzed === 0}
+                title={stats.analyzed === 0 ? 'Analyze at least one image to evaluate' : 'Accuracy, per-breed metrics and confusion matrix against known labels'}
+                style={{
+                  padding: '1rem 1.5rem',
+                  background: 'rgba(255, 255, 255, 0.1)',
+                  color: 'white',
+                  border: '1px solid rgba(255, 255, 255, 0.2)',
+                  borderRadius: '12px',
+                  fontSize: '1rem',
+                  fontWeight: '600',
+                  cursor: stats.analyzed === 0 ? 'not-allowed' : 'pointer',
+                  opacity: stats.analyzed === 0 ? 0.5 : 1,
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '0.5rem'
+                }}
+              >
+                <Target size={18} />
+                Evaluate
+              </button>
+              <ExportMenu
+                disabled={stats.analyzed === 0}
+                onExportCsv={handleExportCsv}
+                onExportJson={handleExportJson}
+                onExportManifest={handleExportManifest}
+                correctionCount={images.filter(img => img.result && img.correction).length}
+                onOpenReport={() => setReportOpen(true)}
+              />
             </div>
           )}
+
+          <BatchProgress
+            queueState={queueState}
+            onPause={queue.pause}
+            onResume={queue.resume}
+            onCancelAll={queue.cancelAll}
+          />
         </div>
 
-        {/* Images Grid */}
-        {images.length > 0 && (
+        <AnalyticsDashboard
+          images={images}
+          lowConfidence={thresholds.minConfidence}
+          closeMargin={thresholds.minMargin}
+          selectedBreed={activeBreedFilter}
+          onSelectBreed={setBreedFilter}
+          onOpenImage={setExpandedImageId}
+        />
+
+        {/* Selection */}
+        {selectedImages.length > 0 && (
           <div style={{
-            display: 'grid',
-            gridTemplateColumns: 'repeat(auto-fill, minmax(320px, 1fr))',
-            gap: '1.5rem',
-            animation: 'fadeIn 0.6s ease-out'
+            display: 'flex',
+            flexWrap: 'wrap',
+            alignItems: 'center',
+            gap: '0.75rem',
+            marginBottom: '1rem',
+            color: 'rgba(255, 255, 255, 0.8)',
+            fontSize: '0.95rem'
           }}>
-            {images.map((image, index) => (
-              <div
-                key={image.id}
-                style={{
-                  background: 'rgba(255, 255, 255, 0.05)',
-                  backdropFilter: 'blur(20px)',
-                  borderRadius: '20px',
-                  padding: '1.25rem',
-                  border: '1px solid rgba(255, 255, 255, 0.1)',
-                  boxShadow: '0 10px 40px rgba(0, 0, 0, 0.3)',
-                  animation: `slideInUp 0.5s ease-out ${index * 0.1}s both`,
-                  position: 'relative'
-                }}
-              >
-                {/* Image Preview */}
-                <div style={{
-                  position: 'relative',
-                  borderRadius: '12px',
-                  overflow: 'hidden',
-                  marginBottom: '1rem',
-                  border: '2px solid rgba(205, 133, 63, 0.3)'
-                }}>
-                  {image.preview ? (
-                    <>
-                      <img
-                        src={image.preview}
-                        alt={`Upload ${index + 1}`}
-                        style={{ width: '100%', height: '200px', objectFit: 'cover', display: 'block' }}
-                      />
-                      {image.analyzing && (
-                        <div style={{
-                          position: 'absolute',
-                          top: 0,
-                          left: 0,
-                          right: 0,
-                          bottom: 0,
-                          background: 'rgba(0, 0, 0, 0.7)',
-                          display: 'flex',
-                          alignItems: 'center',
-                          justifyContent: 'center'
-                        }}>
-                          <Eye style={{
-                            width: '40px',
-                            height: '40px',
-                            color: '#CD853F',
-                            animation: 'pulse 1.5s ease-in-out infinite'
-                          }} />
-                        </div>
-                      )}
-                    </>
-                  ) : (
-                    <div style={{
-                      width: '100%',
-                      height: '200px',
-                      background: 'rgba(255, 255, 255, 0.05)',
-                      display: 'flex',
-                      alignItems: 'center',
-                      justifyContent: 'center'
-                    }}>
-                      <Loader style={{ animation: 'spin 1s linear infinite', color: '#CD853F' }} size={32} />
-                    </div>
-                  )}
-                </div>
+            <span>
+              <strong style={{ color: '#DEB887' }}>{selectedImages.length}</strong> selected
+              {selectedImages.length < 2 && ' — select another analyzed image to compare'}
+            </span>
+            <button
+              onClick={() => setComparisonOpen(true)}
+              disabled={selectedImages.length < 2}
+              style={{
+                padding: '0.3rem 0.75rem',
+                background: selectedImages.length < 2 ? 'rgba(255, 255, 255, 0.1)' : 'linear-gradient(135deg, #CD853F 0%, #DEB887 100%)',
+                color: 'white',
+                border: '1px solid rgba(255, 255, 255, 0.2)',
+                borderRadius: '8px',
+                fontSize: '0.85rem',
+                fontWeight: '600',
+                cursor: selectedImages.length < 2 ? 'not-allowed' : 'pointer',
+                opacity: selectedImages.length < 2 ? 0.5 : 1,
+                display: 'flex',
+                alignItems: 'center',
+                gap: '0.3rem'
+              }}
+            >
+              <Columns2 size={14} /> Compare
+            </button>
+            <button
+              onClick={() => setSelectedIds([])}
+              style={{
+                padding: '0.3rem 0.75rem',
+                background: 'rgba(255, 255, 255, 0.1)',
+                color: 'white',
+                border: '1px solid rgba(255, 255, 255, 0.2)',
+                borderRadius: '8px',
+                fontSize: '0.85rem',
+                fontWeight: '600',
+                cursor: 'pointer',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '0.3rem'
+              }}
+            >
+              <X size={14} /> Clear Selection
+            </button>
+          </div>
+        )}
 
-                {/* Remove Button */}
-                <button
-                  onClick={() => handleRemoveImage(image.id)}
-                  style={{
-                    position: 'absolute',
-                    top: '1.5rem',
-                    right: '1.5rem',
-                    background: 'rgba(244, 67, 54, 0.9)',
-                    border: 'none',
-                    borderRadius: '8px',
-                    width: '36px',
-                    height: '36px',
-                    display: 'flex',
-                    alignItems: 'center',
-                    justifyContent: 'center',
-                    cursor: 'pointer',
-                    transition: 'all 0.3s ease',
-                    zIndex: 10
-                  }}
-                  onMouseEnter={(e) => e.currentTarget.style.background = 'rgba(244, 67, 54, 1)'}
-                  onMouseLeave={(e) => e.currentTarget.style.background = 'rgba(244, 67, 54, 0.9)'}
-                >
-                  <Trash2 size={18} style={{ color: 'white' }} />
-                </button>
+        {/* Images Grid */}
+        {images.length > 0 && (
+          <div style={{ animation: 'fadeIn 0.6s ease-out' }}>
+            <GridToolbar
+              view={gridView}
+              onChange={setGridView}
+              breeds={predictedBreeds}
+              breed={activeBreedFilter}
+              onBreedChange={setBreedFilter}
+              statusCounts={countStatuses(images, thresholds)}
+              shownCount={visibleImages.length}
+              totalCount={images.length}
+            />
+            <VirtualGrid
+              items={visibleImages}
+              getKey={image => image.id}
+              renderItem={image => (
+                <ImageCard
+                  image={image}
+                  thresholds={thresholds}
+                  selected={selectedIds.includes(image.id)}
+                  apiError={apiError}
+                  offline={offline && serverOnly}
+                  browserInference={inference === 'browser'}
+                  queuePaused={queueState.paused}
+                  onRemove={handleRemoveImage}
+                  onCrop={setCroppingId}
+                  onToggleSelect={toggleSelected}
+                  onAnalyze={handleAnalyzeImage}
+                  onCancel={handleCancelAnalysis}
+                  onOpenDetails={setExpandedImageId}
+                  onCorrect={setCorrectingId}
+                />
+              )}
+            />
+          </div>
+        )}
 
-                {/* Analysis Button */}
-                {!image.result && !image.analyzing && (
-                  <button
-                    onClick={() => handleAnalyzeImage(image.id)}
-                    style={{
-                      width: '100%',
-                      padding: '0.875rem',
-                      background: 'linear-gradient(135deg, #CD853F 0%, #B8860B 100%)',
-                      color: 'white',
-                      border: 'none',
-                      borderRadius: '10px',
-                      fontSize: '0.95rem',
-                      fontWeight: '700',
-                      cursor: 'pointer',
-                      display: 'flex',
-                      alignItems: 'center',
-                      justifyContent: 'center',
-                      gap: '0.5rem',
-                      transition: 'all 0.3s ease',
-                      boxShadow: '0 4px 15px rgba(205, 133, 63, 0.4)'
-                    }}
-                    onMouseEnter={(e) => e.currentTarget.style.transform = 'scale(1.05)'}
-                    onMouseLeave={(e) => e.currentTarget.style.transform = 'scale(1)'}
-                  >
-                    <Sparkles size={18} />
-                    Analyze This Image
-                  </button>
-                )}
+        {/* Camera Capture Modal */}
+        {cameraOpen && (
+          <CameraCapture
+            onCapture={(file) => handleFiles([file])}
+            onClose={() => setCameraOpen(false)}
+          />
+        )}
 
-                {/* Error Display for failed analysis */}
-                {image.error && !image.result && !image.analyzing && (
-                  <div style={{
-                    marginTop: '0.75rem',
-                    padding: '0.75rem',
-                    background: 'rgba(244, 67, 54, 0.15)',
-                    borderRadius: '10px',
-                    border: '1px solid rgba(244, 67, 54, 0.4)',
-                    color: '#ef5350',
-                    fontSize: '0.85rem',
-                    fontWeight: '600',
-                    textAlign: 'center'
-                  }}>
-                    ⚠ {image.error}
-                    <button
-                      onClick={() => handleAnalyzeImage(image.id)}
-                      style={{
-                        display: 'block',
-                        width: '100%',
-                        marginTop: '0.5rem',
-                        padding: '0.5rem',
-                        background: 'rgba(205, 133, 63, 0.3)',
-                        color: '#DEB887',
-                        border: '1px solid rgba(205, 133, 63, 0.5)',
-                        borderRadius: '8px',
-                        cursor: 'pointer',
-                        fontWeight: '600',
-                        fontSize: '0.85rem'
-                      }}
-                    >
-                      Retry Analysis
-                    </button>
-                  </div>
-                )}
+        {/* Crop Editor Modal */}
+        {croppingImage && (
+          <CropEditor
+            image={croppingImage}
+            onApply={(crop) => handleApplyCrop(croppingImage.id, crop)}
+            onAddEntry={(crop) => handleAddCropEntry(croppingImage.id, crop)}
+            onClose={() => setCroppingId(null)}
+          />
+        )}
 
-                {/* Detection Progress */}
-                {image.analyzing && image.result && (
-                  <div style={{ marginTop: '1rem' }}>
-                    <h4 style={{
-                      fontSize: '0.9rem',
-                      color: '#DEB887',
-                      marginBottom: '0.75rem',
-                      fontWeight: '700',
-                      display: 'flex',
-                      alignItems: 'center',
-                      gap: '0.5rem'
-                    }}>
-                      <Target size={16} /> Detection Process
-                    </h4>
-                    {image.result.detectionStages.map((stage, stageIndex) => (
-                      <div
-                        key={stageIndex}
-                        style={{
-                          marginBottom: '0.75rem',
-                          opacity: stageIndex <= image.currentStage ? 1 : 0.3,
-                          transition: 'opacity 0.5s ease'
-                        }}
-                      >
-                        <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '0.4rem' }}>
-                          <span style={{ color: 'white', fontWeight: '600', fontSize: '0.8rem' }}>
-                            {stage.stage}
-                          </span>
-                          {stageIndex <= image.currentStage && (
-                            <CheckCircle size={14} style={{ color: '#4CAF50' }} />
-                          )}
-                        </div>
-                        <div style={{
-                          height: '5px',
-                          background: 'rgba(255, 255, 255, 0.1)',
-                          borderRadius: '3px',
-                          overflow: 'hidden'
-                        }}>
-                          <div style={{
-                            height: '100%',
-                            background: 'linear-gradient(90deg, #CD853F 0%, #DEB887 100%)',
-                            width: stageIndex <= image.currentStage ? '100%' : '0%',
-                            transition: 'width 0.8s ease',
-                            borderRadius: '3px'
-                          }} />
-                        </div>
-                        <p style={{ fontSize: '0.7rem', color: 'rgba(255, 255, 255, 0.5)', marginTop: '0.25rem', marginBottom: 0 }}>
-                          {stage.description}
-                        </p>
-                      </div>
-                    ))}
-                  </div>
-                )}
+        {/* Live Classification Modal */}
+        {liveOpen && (
+          <LiveClassifier
+            analyze={analyzeLiveFrame}
+            onCapture={(file) => handleFiles([file])}
+            onClose={() => setLiveOpen(false)}
+          />
+        )}
 
-                {/* Results Display */}
-                {image.result && !image.analyzing && (
-                  <div style={{ marginTop: '1rem' }}>
-                    {/* Main Result */}
-                    <div style={{
-                      padding: '1rem',
-                      background: 'linear-gradient(135deg, rgba(205, 133, 63, 0.2) 0%, rgba(184, 134, 11, 0.2) 100%)',
-                      borderRadius: '12px',
-                      border: '1px solid rgba(205, 133, 63, 0.3)',
-                      marginBottom: '1rem'
-                    }}>
-                      <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem', marginBottom: '0.75rem' }}>
-                        <CheckCircle size={24} style={{ color: '#4CAF50', flexShrink: 0 }} />
-                        <div style={{ flex: 1 }}>
-                          <h3 style={{ fontSize: '1.2rem', color: 'white', margin: 0, fontWeight: '800' }}>
-                            {image.result.breed}
-                          </h3>
-                          <p style={{ fontSize: '0.85rem', color: '#CD853F', margin: '0.25rem 0 0 0', fontWeight: '600' }}>
-                            Cattle Breed
-                          </p>
-                        </div>
-                      </div>
-                      <div style={{
-                        textAlign: 'center',
-                        padding: '0.625rem',
-                        background: 'rgba(76, 175, 80, 0.2)',
-                        borderRadius: '8px',
-                        border: '1px solid rgba(76, 175, 80, 0.3)'
-                      }}>
-                        <div style={{ fontSize: '1.75rem', fontWeight: '800', color: '#4CAF50', lineHeight: 1 }}>
-                          {image.result.confidence}%
-                        </div>
-                        <div style={{ fontSize: '0.7rem', color: 'rgba(255, 255, 255, 0.7)', marginTop: '0.25rem' }}>
-                          Confidence
-                        </div>
-                      </div>
-                    </div>
+        {/* Printable Report */}
+        {reportOpen && (
+          <ReportView
+            images={images}
+            sessionName={sessionStore.currentSession?.name}
+            thresholds={thresholds}
+            onClose={() => setReportOpen(false)}
+          />
+        )}
 
-                    {/* View Details Button */}
-                    <button
-                      onClick={() => setExpandedImage(image)}
-                      style={{
-                        width: '100%',
-                        padding: '0.75rem',
-                        background: 'rgba(255, 255, 255, 0.1)',
-                        color: 'white',
-                        border: '1px solid rgba(255, 255, 255, 0.2)',
-                        borderRadius: '10px',
-                        fontSize: '0.9rem',
-                        fontWeight: '600',
-                        cursor: 'pointer',
-                        display: 'flex',
-                        alignItems: 'center',
-                        justifyContent: 'center',
-                        gap: '0.5rem',
-                        transition: 'all 0.3s ease'
-                      }}
-                      onMouseEnter={(e) => e.currentTarget.style.background = 'rgba(255, 255, 255, 0.15)'}
-                      onMouseLeave={(e) => e.currentTarget.style.background = 'rgba(255, 255, 255, 0.1)'}
-                    >
-                      <BarChart3 size={18} />
-                      View Detailed Analysis
-                    </button>
-
-                    {/* Error Display */}
-                    {image.error && (
-                      <div style={{
-                        marginTop: '0.75rem',
-                        padding: '0.75rem',
-                        background: 'rgba(244, 67, 54, 0.15)',
-                        borderRadius: '10px',
-                        border: '1px solid rgba(244, 67, 54, 0.4)',
-                        color: '#ef5350',
-                        fontSize: '0.85rem',
-                        fontWeight: '600'
-                      }}>
-                        ⚠ {image.error}
-                      </div>
-                    )}
-                  </div>
-                )}
-              </div>
-            ))}
-          </div>
+        {/* Evaluation */}
+        {evaluationOpen && (
+          <EvaluationView
+            images={images}
+            classNames={classNames}
+            onImportLabels={handleImportLabels}
+            onOpenImage={setExpandedImageId}
+            onClose={() => setEvaluationOpen(false)}
+          />
+        )}
+
+        {/* Comparison */}
+        {comparisonOpen && selectedImages.length > 1 && (
+          <ComparisonView
+            images={selectedImages}
+            thresholds={thresholds}
+            onOpenImage={setExpandedImageId}
+            onRemove={handleRemoveFromComparison}
+            onClose={() => setComparisonOpen(false)}
+          />
+        )}
+
+        {/* Breed Correction Picker */}
+        {correctingImage && (
+          <BreedPicker
+            image={correctingImage}
+            classNames={classNames}
+            loadError={classNamesError}
+            onSelect={handleCorrectBreed}
+            onClear={handleClearCorrection}
+            onClose={() => setCorrectingId(null)}
+          />
+        )}
+
+        {/* Undo Toast */}
+        {undo && (
+          <Toast
+            message={undo.message}
+            actionLabel="Undo"
+            onAction={handleUndo}
+            onDismiss={dismissUndo}
+          />
+        )}
+
+        {/* Upload Rejections */}
+        {notice && (
+          <Toast
+            key={notice.id}
+            message={notice.message}
+            details={notice.details}
+            tone={notice.tone}
+            duration={notice.duration === undefined ? 15000 : notice.duration}
+            bottom={undo ? '7rem' : '2rem'}
+            onDismiss={dismissNotice}
+          />
         )}
 
         {/* Expanded Detail Modal */}
@@ -739,7 +1337,7 @@ export default function CattleClassifierMultiple() {
               padding: '2rem',
               animation: 'fadeIn 0.3s ease-out'
             }}
-            onClick={() => setExpandedImage(null)}
+            onClick={() => setExpandedImageId(null)}
           >
             <div
               onClick={(e) => e.stopPropagation()}
@@ -758,7 +1356,7 @@ export default function CattleClassifierMultiple() {
             >
               {/* Close Button */}
               <button
-                onClick={() => setExpandedImage(null)}
+                onClick={() => setExpandedImageId(null)}
                 style={{
                   position: 'absolute',
                   top: '1.5rem',
@@ -793,50 +1391,157 @@ export default function CattleClassifierMultiple() {
 
                 {/* Image Preview */}
                 <div style={{
+                  position: 'relative',
                   borderRadius: '16px',
                   overflow: 'hidden',
-                  marginBottom: '2rem',
+                  marginBottom: '1rem',
                   border: '2px solid rgba(205, 133, 63, 0.3)'
                 }}>
                   <img
-                    src={expandedImage.preview}
+                    src={getObjectUrl(expandedImage.file)}
                     alt="Analyzed"
                     style={{ width: '100%', height: 'auto', display: 'block' }}
                   />
+                  {expandedImage.crop && (
+                    <div style={{
+                      position: 'absolute',
+                      left: `${expandedImage.crop.x * 100}%`,
+                      top: `${expandedImage.crop.y * 100}%`,
+                      width: `${expandedImage.crop.width * 100}%`,
+                      height: `${expandedImage.crop.height * 100}%`,
+                      border: '2px solid #CD853F',
+                      boxShadow: '0 0 0 9999px rgba(0, 0, 0, 0.55)',
+                      pointerEvents: 'none'
+                    }} />
+                  )}
                 </div>
+                <button
+                  onClick={() => setCroppingId(expandedImage.id)}
+                  style={{
+                    padding: '0.625rem 1rem',
+                    marginBottom: '2rem',
+                    background: 'rgba(255, 255, 255, 0.1)',
+                    color: 'white',
+                    border: '1px solid rgba(255, 255, 255, 0.2)',
+                    borderRadius: '10px',
+                    fontSize: '0.9rem',
+                    fontWeight: '600',
+                    cursor: 'pointer',
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: '0.5rem'
+                  }}
+                >
+                  <Crop size={16} />
+                  {expandedImage.crop ? 'Edit Region' : 'Crop Region'}
+                </button>
 
                 {/* Classification Result */}
-                <div style={{
-                  padding: '1.5rem',
-                  background: 'linear-gradient(135deg, rgba(205, 133, 63, 0.2) 0%, rgba(184, 134, 11, 0.2) 100%)',
-                  borderRadius: '16px',
-                  border: '1px solid rgba(205, 133, 63, 0.3)',
-                  marginBottom: '2rem'
-                }}>
-                  <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '1rem' }}>
-                    <div>
-                      <h3 style={{ fontSize: '1.8rem', color: 'white', margin: 0, fontWeight: '800' }}>
-                        {expandedImage.result.breed}
-                      </h3>
-                      <p style={{ fontSize: '1.1rem', color: '#CD853F', margin: '0.5rem 0 0 0', fontWeight: '600' }}>
-                        Cattle Breed
-                      </p>
+                {isUncertain(expandedImage.result, thresholds) ? (
+                  <div style={{
+                    padding: '1.5rem',
+                    background: 'rgba(255, 152, 0, 0.12)',
+                    borderRadius: '16px',
+                    border: '1px solid rgba(255, 152, 0, 0.4)',
+                    marginBottom: '2rem'
+                  }}>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '1rem' }}>
+                      <AlertTriangle size={36} style={{ color: '#FF9800', flexShrink: 0 }} />
+                      <div>
+                        <h3 style={{ fontSize: '1.8rem', color: 'white', margin: 0, fontWeight: '800' }}>
+                          Uncertain — needs review
+                        </h3>
+                        <p style={{ fontSize: '1rem', color: 'rgba(255, 255, 255, 0.75)', margin: '0.5rem 0 0 0' }}>
+                          Best guess {expandedImage.result.breed} at {expandedImage.result.confidence}%
+                          {expandedImage.result.top5.length > 1 && <> (runner-up {expandedImage.result.top5[1].breed} at {expandedImage.result.top5[1].confidence}%)</>}.
+                          {' '}Results below {thresholds.minConfidence}% confidence or within {thresholds.minMargin} points of the runner-up are not treated as a breed match. The photo may not show cattle.
+                        </p>
+                      </div>
                     </div>
-                    <div style={{
-                      textAlign: 'center',
-                      padding: '1rem 1.5rem',
-                      background: 'rgba(76, 175, 80, 0.2)',
-                      borderRadius: '12px',
-                      border: '1px solid rgba(76, 175, 80, 0.3)'
-                    }}>
-                      <div style={{ fontSize: '2.5rem', fontWeight: '800', color: '#4CAF50', lineHeight: 1 }}>
-                        {expandedImage.result.confidence}%
+                  </div>
+                ) : (
+                  <div style={{
+                    padding: '1.5rem',
+                    background: 'linear-gradient(135deg, rgba(205, 133, 63, 0.2) 0%, rgba(184, 134, 11, 0.2) 100%)',
+                    borderRadius: '16px',
+                    border: '1px solid rgba(205, 133, 63, 0.3)',
+                    marginBottom: '2rem'
+                  }}>
+                    <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '1rem' }}>
+                      <div>
+                        <h3 style={{ fontSize: '1.8rem', color: 'white', margin: 0, fontWeight: '800' }}>
+                          {expandedImage.result.breed}
+                        </h3>
+                        <p style={{ fontSize: '1.1rem', color: '#CD853F', margin: '0.5rem 0 0 0', fontWeight: '600' }}>
+                          Cattle Breed
+                        </p>
                       </div>
-                      <div style={{ fontSize: '0.8rem', color: 'rgba(255, 255, 255, 0.7)', marginTop: '0.5rem' }}>
-                        Confidence
+                      <div style={{
+                        textAlign: 'center',
+                        padding: '1rem 1.5rem',
+                        background: 'rgba(76, 175, 80, 0.2)',
+                        borderRadius: '12px',
+                        border: '1px solid rgba(76, 175, 80, 0.3)'
+                      }}>
+                        <div style={{ fontSize: '2.5rem', fontWeight: '800', color: '#4CAF50', lineHeight: 1 }}>
+                          {expandedImage.result.confidence}%
+                        </div>
+                        <div style={{ fontSize: '0.8rem', color: 'rgba(255, 255, 255, 0.7)', marginTop: '0.5rem' }}>
+                          Confidence
+                        </div>
                       </div>
                     </div>
                   </div>
+                )}
+
+                {/* Human Review */}
+                <div style={{
+                  display: 'flex',
+                  flexWrap: 'wrap',
+                  alignItems: 'center',
+                  justifyContent: 'space-between',
+                  gap: '1rem',
+                  padding: '1rem 1.25rem',
+                  marginTop: '-1rem',
+                  marginBottom: '2rem',
+                  background: expandedImage.correction ? 'rgba(76, 175, 80, 0.15)' : 'rgba(255, 255, 255, 0.05)',
+                  borderRadius: '12px',
+                  border: `1px solid ${expandedImage.correction ? 'rgba(76, 175, 80, 0.4)' : 'rgba(255, 255, 255, 0.1)'}`
+                }}>
+                  <div style={{ display: 'flex', alignItems: 'center', gap: '0.6rem', color: 'white', fontSize: '0.95rem' }}>
+                    {expandedImage.correction ? (
+                      <>
+                        <BadgeCheck size={22} style={{ color: '#4CAF50' }} />
+                        <span>
+                          Verified as <strong>{expandedImage.correction.breed}</strong>
+                          {expandedImage.correction.breed === expandedImage.result.breed
+                            ? ' — model was correct'
+                            : ` — model predicted ${expandedImage.result.breed}`}
+                        </span>
+                      </>
+                    ) : (
+                      <span style={{ color: 'rgba(255, 255, 255, 0.7)' }}>Not reviewed yet</span>
+                    )}
+                  </div>
+                  <button
+                    onClick={() => setCorrectingId(expandedImage.id)}
+                    style={{
+                      padding: '0.6rem 1rem',
+                      background: 'linear-gradient(135deg, #CD853F 0%, #B8860B 100%)',
+                      color: 'white',
+                      border: 'none',
+                      borderRadius: '10px',
+                      fontSize: '0.9rem',
+                      fontWeight: '700',
+                      cursor: 'pointer',
+                      display: 'flex',
+                      alignItems: 'center',
+                      gap: '0.5rem'
+                    }}
+                  >
+                    <PenLine size={16} />
+                    {expandedImage.correction ? 'Change Breed' : 'Correct Breed'}
+                  </button>
                 </div>
 
                 {/* Model Calculations */}
@@ -869,6 +1574,45 @@ export default function CattleClassifierMultiple() {
                   </div>
                 </div>
 
+                {/* Source File Conversion */}
+                {expandedImage.conversion && (
+                  <div style={{
+                    background: 'rgba(255, 255, 255, 0.05)',
+                    borderRadius: '16px',
+                    padding: '1.5rem',
+                    marginBottom: '2rem',
+                    border: '1px solid rgba(255, 255, 255, 0.1)'
+                  }}>
+                    <h4 style={{ fontSize: '1.3rem', color: '#DEB887', marginBottom: '1rem', fontWeight: '700' }}>
+                      Converted Source File
+                    </h4>
+                    <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '1rem' }}>
+                      {[
+                        ['Original File', expandedImage.conversion.originalName],
+                        ['Conversion', `${expandedImage.conversion.from} → ${expandedImage.conversion.to}`],
+                        ['Original Size', formatBytes(expandedImage.conversion.originalBytes)],
+                        ['Converted Size', formatBytes(expandedImage.conversion.convertedBytes)],
+                        ['Resolution', `${expandedImage.conversion.width} × ${expandedImage.conversion.height}`],
+                        ['Conversion Time', `${(expandedImage.conversion.durationMs / 1000).toFixed(2)}s in the browser`]
+                      ].map(([label, value]) => (
+                        <div key={label} style={{
+                          padding: '1rem',
+                          background: 'rgba(255, 255, 255, 0.03)',
+                          borderRadius: '10px',
+                          border: '1px solid rgba(255, 255, 255, 0.1)'
+                        }}>
+                          <div style={{ fontSize: '0.85rem', color: 'rgba(255, 255, 255, 0.6)', marginBottom: '0.5rem' }}>
+                            {label.toUpperCase()}
+                          </div>
+                          <div style={{ fontSize: '1.1rem', color: 'white', fontWeight: '700', wordBreak: 'break-all' }}>
+                            {value}
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
                 {/* Top 5 Predictions */}
                 {expandedImage.result.top5 && (
                   <div style={{
@@ -924,6 +1668,46 @@ export default function CattleClassifierMultiple() {
                   </div>
                 )}
 
+                {/* Augmentation Agreement */}
+                {expandedImage.result.augmentation && (
+                  <AugmentationSummary result={expandedImage.result} />
+                )}
+
+                {/* Why This Breed */}
+                {expandedImage.result.top5?.length > 0 && (
+                  <ExplanationView
+                    key={expandedImage.id}
+                    image={expandedImage}
+                    baseUrl={apiSettings.baseUrl}
+                    onSave={(explanation) => handleSaveExplanation(expandedImage.id, expandedImage.result, explanation)}
+                  />
+                )}
+
+                {/* Breed Reference */}
+                {expandedImage.result.top5 && (
+                  <div style={{
+                    background: 'rgba(255, 255, 255, 0.05)',
+                    borderRadius: '16px',
+                    padding: '1.5rem',
+                    marginBottom: '2rem',
+                    border: '1px solid rgba(255, 255, 255, 0.1)'
+                  }}>
+                    <h4 style={{ fontSize: '1.3rem', color: '#DEB887', marginBottom: '1rem', fontWeight: '700', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                      <BookOpen size={20} /> Breed Reference
+                    </h4>
+                    <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(220px, 1fr))', gap: '1rem' }}>
+                      {expandedImage.result.top5.map((pred, idx) => (
+                        <BreedInfoCard
+                          key={pred.breed}
+                          breed={pred.breed}
+                          confidence={pred.confidence}
+                          predicted={idx === 0}
+                        />
+                      ))}
+                    </div>
+                  </div>
+                )}
+
                 {/* Detection Stages */}
                 <div style={{
                   background: 'rgba(255, 255, 255, 0.05)',
@@ -945,6 +1729,19 @@ export default function CattleClassifierMultiple() {
                       <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.5rem' }}>
                         <span style={{ color: 'white', fontWeight: '700', fontSize: '1rem' }}>
                           Stage {idx + 1}: {stage.stage}
+                          <span style={{
+                            marginLeft: '0.5rem',
+                            padding: '0.1rem 0.4rem',
+                            borderRadius: '4px',
+                            background: stage.source === 'server' ? 'rgba(76, 175, 80, 0.2)' : 'rgba(205, 133, 63, 0.2)',
+                            color: stage.source === 'server' ? '#66BB6A' : '#DEB887',
+                            fontSize: '0.7rem',
+                            fontWeight: '700',
+                            textTransform: 'uppercase',
+                            verticalAlign: 'middle'
+                          }}>
+                            {stage.source === 'server' ? 'Server' : 'Browser'}
+                          </span>
                         </span>
                         <span style={{ color: '#4CAF50', fontSize: '0.9rem', fontWeight: '600' }}>
                           {stage.time}s
@@ -0,0 +1,53 @@
+import React from 'react';
+import { Layers, CheckCircle, AlertTriangle } from 'lucide-react';
+
+const AGREE = '#4CAF50';
+const DISAGREE = '#FF9800';
+
+// Per-variant results of a high accuracy (test-time augmentation) analysis, for the details modal
+export default function AugmentationSummary({ result }) {
+  const { variants, agreeing } = result.augmentation;
+  const unanimous = agreeing === variants.length;
+
+  return (
+    <div style={{
+      background: 'rgba(255, 255, 255, 0.05)',
+      borderRadius: '16px',
+      padding: '1.5rem',
+      marginBottom: '2rem',
+      border: '1px solid rgba(255, 255, 255, 0.1)'
+    }}>
+      <h4 style={{ fontSize: '1.3rem', color: '#DEB887', marginBottom: '0.5rem', fontWeight: '700', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+        <Layers size={20} /> Augmentation Agreement
+      </h4>
+      <p style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', color: 'rgba(255, 255, 255, 0.8)', fontSize: '0.95rem', margin: '0 0 1rem 0' }}>
+        {unanimous
+          ? <CheckCircle size={18} style={{ color: AGREE, flexShrink: 0 }} />
+          : <AlertTriangle size={18} style={{ color: DISAGREE, flexShrink: 0 }} />}
+        {agreeing} of {variants.length} variants pick {result.breed}. The top 5 above is their average.
+      </p>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'minmax(120px, 1fr) minmax(120px, 1fr) auto', gap: '0.5rem 1rem', fontSize: '0.9rem' }}>
+        {['Variant', 'Top breed', result.breed].map(heading => (
+          <span key={heading} style={{ color: 'rgba(255, 255, 255, 0.5)', fontSize: '0.75rem', fontWeight: '700', textTransform: 'uppercase' }}>
+            {heading}
+          </span>
+        ))}
+        {variants.map(variant => {
+          const agrees = variant.breed === result.breed;
+          return (
+            <React.Fragment key={variant.id}>
+              <span style={{ color: 'white', fontWeight: '600' }}>{variant.label}</span>
+              <span style={{ color: agrees ? AGREE : DISAGREE, fontWeight: '600' }}>
+                {variant.breed} ({variant.confidence}%)
+              </span>
+              <span style={{ color: 'rgba(255, 255, 255, 0.8)', textAlign: 'right' }}>
+                {variant.finalConfidence}%
+              </span>
+            </React.Fragment>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
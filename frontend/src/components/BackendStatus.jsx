@@ -0,0 +1,48 @@
+import React from 'react';
+import { Server } from 'lucide-react';
+
+const STATES = {
+  checking: { color: '#FFC107', label: 'Connecting…' },
+  online: { color: '#4CAF50', label: 'Connected · model loaded' },
+  'no-model': { color: '#FF9800', label: 'Connected · model not loaded' },
+  offline: { color: '#ef5350', label: 'Backend offline' }
+};
+
+export default function BackendStatus({ status, baseUrl, onClick }) {
+  const { color, label } = STATES[status.state];
+
+  return (
+    <button
+      onClick={onClick}
+      title={`${baseUrl}${status.error ? ` — ${status.error}` : ''}\nClick to change the backend URL`}
+      style={{
+        display: 'inline-flex',
+        alignItems: 'center',
+        gap: '0.5rem',
+        marginTop: '1rem',
+        padding: '0.4rem 0.9rem',
+        background: 'rgba(255, 255, 255, 0.06)',
+        color: 'rgba(255, 255, 255, 0.85)',
+        border: `1px solid ${color}66`,
+        borderRadius: '999px',
+        fontSize: '0.85rem',
+        fontWeight: '600',
+        cursor: 'pointer'
+      }}
+    >
+      <span style={{
+        width: '8px',
+        height: '8px',
+        borderRadius: '50%',
+        background: color,
+        boxShadow: `0 0 8px ${color}`,
+        animation: status.state === 'checking' ? 'pulse 1.5s ease-in-out infinite' : 'none'
+      }} />
+      <Server size={14} style={{ color }} />
+      {label}
+      {status.numClasses !== null && (
+        <span style={{ color: 'rgba(255, 255, 255, 0.5)', fontWeight: '500' }}>· {status.numClasses} classes</span>
+      )}
+    </button>
+  );
+}
@@ -0,0 +1,84 @@
+import React from 'react';
+import { Pause, Play, X } from 'lucide-react';
+
+const formatEta = (ms) => {
+  if (ms === null) return 'estimating…';
+  const totalSeconds = Math.ceil(ms / 1000);
+  if (totalSeconds < 60) return `${totalSeconds}s left`;
+  const minutes = Math.floor(totalSeconds / 60);
+  return `${minutes}m ${totalSeconds % 60}s left`;
+};
+
+const controlStyle = {
+  padding: '0.5rem 0.875rem',
+  background: 'rgba(255, 255, 255, 0.1)',
+  color: 'white',
+  border: '1px solid rgba(255, 255, 255, 0.2)',
+  borderRadius: '10px',
+  fontSize: '0.85rem',
+  fontWeight: '600',
+  cursor: 'pointer',
+  display: 'flex',
+  alignItems: 'center',
+  gap: '0.4rem'
+};
+
+export default function BatchProgress({ queueState, onPause, onResume, onCancelAll }) {
+  const { total, done, failed, cancelled, running, paused, active, etaMs } = queueState;
+  if (total === 0) return null;
+
+  const finished = done + failed + cancelled;
+  const percent = Math.round((finished / total) * 100);
+
+  return (
+    <div style={{
+      marginTop: '1.5rem',
+      padding: '1rem 1.25rem',
+      background: 'rgba(255, 255, 255, 0.03)',
+      borderRadius: '12px',
+      border: '1px solid rgba(255, 255, 255, 0.1)',
+      animation: 'fadeIn 0.3s ease-out'
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '1rem', marginBottom: '0.75rem' }}>
+        <div style={{ color: 'white', fontWeight: '700', fontSize: '0.95rem' }}>
+          {active
+            ? `${paused ? 'Paused' : 'Analyzing'} — ${finished} of ${total}`
+            : `Batch finished — ${done} of ${total} analyzed`}
+          <span style={{ color: 'rgba(255, 255, 255, 0.6)', fontWeight: '500', marginLeft: '0.75rem', fontSize: '0.85rem' }}>
+            {active && !paused && `${running} running · ${formatEta(etaMs)}`}
+            {failed > 0 && ` · ${failed} failed`}
+            {cancelled > 0 && ` · ${cancelled} cancelled`}
+          </span>
+        </div>
+        {active && (
+          <div style={{ display: 'flex', gap: '0.5rem' }}>
+            <button onClick={paused ? onResume : onPause} style={controlStyle}>
+              {paused ? <Play size={16} /> : <Pause size={16} />}
+              {paused ? 'Resume' : 'Pause'}
+            </button>
+            <button onClick={onCancelAll} style={{ ...controlStyle, background: 'rgba(244, 67, 54, 0.3)', border: '1px solid rgba(244, 67, 54, 0.5)' }}>
+              <X size={16} />
+              Cancel
+            </button>
+          </div>
+        )}
+      </div>
+      <div style={{
+        height: '8px',
+        background: 'rgba(255, 255, 255, 0.1)',
+        borderRadius: '4px',
+        overflow: 'hidden'
+      }}>
+        <div style={{
+          height: '100%',
+          width: `${percent}%`,
+          background: failed > 0 && !active
+            ? 'linear-gradient(90deg, #CD853F 0%, #FF9800 100%)'
+            : 'linear-gradient(90deg, #CD853F 0%, #DEB887 100%)',
+          transition: 'width 0.4s ease',
+          borderRadius: '4px'
+        }} />
+      </div>
+    </div>
+  );
+}
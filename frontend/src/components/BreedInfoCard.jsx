@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { ImageOff, MapPin, Milk } from 'lucide-react';
+import { getBreedInfo, breedPhotoUrl, BREED_USE_LABELS } from '../utils/breedInfo';
+
+const USE_COLORS = {
+  dairy: '#4FC3F7',
+  draught: '#CD853F',
+  dual: '#BA68C8'
+};
+
+const labelStyle = { color: 'rgba(255, 255, 255, 0.5)', fontSize: '0.75rem', fontWeight: '600', textTransform: 'uppercase', letterSpacing: '0.03em' };
+const valueStyle = { color: 'white', fontSize: '0.85rem', marginBottom: '0.5rem' };
+
+// Offline reference card for one breed. Parents should key it by breed so the
+// photo fallback resets when the breed changes.
+export default function BreedInfoCard({ breed, confidence, predicted = false }) {
+  const [photoMissing, setPhotoMissing] = useState(false);
+  const info = getBreedInfo(breed);
+
+  return (
+    <div style={{
+      background: predicted ? 'rgba(76, 175, 80, 0.08)' : 'rgba(255, 255, 255, 0.03)',
+      border: `1px solid ${predicted ? 'rgba(76, 175, 80, 0.4)' : 'rgba(255, 255, 255, 0.1)'}`,
+      borderRadius: '12px',
+      overflow: 'hidden',
+      display: 'flex',
+      flexDirection: 'column'
+    }}>
+      {/* Reference Photo */}
+      <div style={{ height: '130px', background: 'rgba(0, 0, 0, 0.25)', position: 'relative' }}>
+        {!photoMissing ? (
+          <img
+            src={breedPhotoUrl(breed)}
+            alt={`${info?.name || breed} reference`}
+            loading="lazy"
+            onError={() => setPhotoMissing(true)}
+            style={{ width: '100%', height: '100%', objectFit: 'cover', display: 'block' }}
+          />
+        ) : (
+          <div style={{ height: '100%', display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center', gap: '0.4rem', color: 'rgba(255, 255, 255, 0.35)', fontSize: '0.75rem' }}>
+            <ImageOff size={28} />
+            No reference photo
+          </div>
+        )}
+        {predicted && (
+          <span style={{
+            position: 'absolute',
+            top: '0.5rem',
+            left: '0.5rem',
+            padding: '0.2rem 0.6rem',
+            background: 'rgba(76, 175, 80, 0.9)',
+            color: 'white',
+            borderRadius: '10px',
+            fontSize: '0.7rem',
+            fontWeight: '700'
+          }}>
+            Predicted
+          </span>
+        )}
+      </div>
+
+      <div style={{ padding: '0.9rem 1rem', flex: 1 }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', gap: '0.5rem', marginBottom: '0.5rem' }}>
+          <span style={{ color: 'white', fontWeight: '700', fontSize: '1rem' }}>{info?.name || breed}</span>
+          {confidence !== undefined && (
+            <span style={{ color: '#CD853F', fontWeight: '700', fontSize: '0.9rem' }}>{confidence}%</span>
+          )}
+        </div>
+
+        {info ? (
+          <>
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.4rem', marginBottom: '0.75rem' }}>
+              <span style={{
+                padding: '0.15rem 0.55rem',
+                borderRadius: '8px',
+                fontSize: '0.7rem',
+                fontWeight: '700',
+                color: USE_COLORS[info.use],
+                border: `1px solid ${USE_COLORS[info.use]}`
+              }}>
+                {BREED_USE_LABELS[info.use]}
+              </span>
+              {info.species === 'buffalo' && (
+                <span style={{ padding: '0.15rem 0.55rem', borderRadius: '8px', fontSize: '0.7rem', fontWeight: '700', color: 'rgba(255, 255, 255, 0.7)', border: '1px solid rgba(255, 255, 255, 0.3)' }}>
+                  Buffalo
+                </span>
+              )}
+            </div>
+            <div style={labelStyle}>Origin</div>
+            <div style={{ ...valueStyle, display: 'flex', alignItems: 'center', gap: '0.3rem' }}>
+              <MapPin size={13} style={{ color: '#DEB887', flexShrink: 0 }} /> {info.origin}
+            </div>
+            <div style={labelStyle}>Coat</div>
+            <div style={valueStyle}>{info.coat}</div>
+            <div style={labelStyle}>Horns</div>
+            <div style={valueStyle}>{info.horns}</div>
+            <div style={labelStyle}>Avg. milk yield</div>
+            <div style={{ ...valueStyle, marginBottom: 0, display: 'flex', alignItems: 'center', gap: '0.3rem' }}>
+              <Milk size={13} style={{ color: '#DEB887', flexShrink: 0 }} /> {info.milkYield} per lactation
+            </div>
+          </>
+        ) : (
+          <div style={{ color: 'rgba(255, 255, 255, 0.5)', fontSize: '0.85rem' }}>
+            No bundled information for this class.
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
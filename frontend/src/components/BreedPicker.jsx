@@ -0,0 +1,191 @@
+import React, { useState } from 'react';
+import { Search, X, CheckCircle, Undo2 } from 'lucide-react';
+import { getImageLabel } from '../utils/stats';
+
+const optionStyle = {
+  width: '100%',
+  padding: '0.6rem 0.9rem',
+  background: 'transparent',
+  color: 'white',
+  border: 'none',
+  borderRadius: '8px',
+  fontSize: '0.95rem',
+  fontWeight: '600',
+  cursor: 'pointer',
+  display: 'flex',
+  alignItems: 'center',
+  justifyContent: 'space-between',
+  gap: '0.5rem',
+  textAlign: 'left'
+};
+
+export default function BreedPicker({ image, classNames, loadError, onSelect, onClear, onClose }) {
+  const [query, setQuery] = useState('');
+
+  const predicted = image.result.breed;
+  const current = image.correction?.breed;
+  const needle = query.trim().toLowerCase();
+  const matches = classNames.filter(name => name.toLowerCase().includes(needle));
+  // Model's own top 5 as one-click suggestions while nothing is typed
+  const suggestions = needle ? [] : image.result.top5.map(pred => pred.breed);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') onClose();
+    if (e.key === 'Enter' && matches.length > 0) onSelect(matches[0]);
+  };
+
+  const hover = (e) => { e.currentTarget.style.background = 'rgba(255, 255, 255, 0.1)'; };
+  const unhover = (e) => { e.currentTarget.style.background = 'transparent'; };
+
+  const renderOption = (name) => (
+    <button
+      key={name}
+      onClick={() => onSelect(name)}
+      style={{ ...optionStyle, color: name === current ? '#4CAF50' : 'white' }}
+      onMouseEnter={hover}
+      onMouseLeave={unhover}
+    >
+      <span>{name}</span>
+      <span style={{ display: 'flex', alignItems: 'center', gap: '0.4rem', fontSize: '0.75rem', color: 'rgba(255, 255, 255, 0.5)' }}>
+        {name === predicted && 'model prediction'}
+        {name === current && <CheckCircle size={16} style={{ color: '#4CAF50' }} />}
+      </span>
+    </button>
+  );
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        background: 'rgba(0, 0, 0, 0.85)',
+        zIndex: 1100,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        padding: '2rem',
+        animation: 'fadeIn 0.3s ease-out'
+      }}
+      onClick={onClose}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          background: 'linear-gradient(135deg, #0f2027 0%, #203a43 100%)',
+          borderRadius: '24px',
+          maxWidth: '480px',
+          width: '100%',
+          maxHeight: '85vh',
+          display: 'flex',
+          flexDirection: 'column',
+          border: '1px solid rgba(255, 255, 255, 0.2)',
+          boxShadow: '0 30px 80px rgba(0, 0, 0, 0.5)',
+          animation: 'scaleIn 0.3s ease-out',
+          position: 'relative',
+          padding: '1.75rem'
+        }}
+      >
+        <button
+          onClick={onClose}
+          style={{
+            position: 'absolute',
+            top: '1.25rem',
+            right: '1.25rem',
+            background: 'rgba(255, 255, 255, 0.1)',
+            border: 'none',
+            borderRadius: '8px',
+            width: '36px',
+            height: '36px',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            cursor: 'pointer'
+          }}
+        >
+          <X size={20} style={{ color: 'white' }} />
+        </button>
+
+        <h2 style={{ fontSize: '1.4rem', color: '#DEB887', margin: '0 0 0.25rem 0', fontWeight: '700' }}>
+          Correct Breed
+        </h2>
+        <p style={{ fontSize: '0.85rem', color: 'rgba(255, 255, 255, 0.6)', margin: '0 2.5rem 1rem 0', wordBreak: 'break-all' }}>
+          {getImageLabel(image)} · model said <strong style={{ color: 'white' }}>{predicted}</strong> ({image.result.confidence}%)
+        </p>
+
+        <div style={{ position: 'relative', marginBottom: '0.75rem' }}>
+          <Search size={18} style={{ position: 'absolute', left: '0.75rem', top: '50%', transform: 'translateY(-50%)', color: 'rgba(255, 255, 255, 0.5)' }} />
+          <input
+            autoFocus
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={handleKeyDown}
+            placeholder="Search breeds…"
+            aria-label="Search breeds"
+            style={{
+              width: '100%',
+              boxSizing: 'border-box',
+              padding: '0.7rem 0.75rem 0.7rem 2.4rem',
+              background: 'rgba(255, 255, 255, 0.1)',
+              color: 'white',
+              border: '1px solid rgba(255, 255, 255, 0.2)',
+              borderRadius: '10px',
+              fontSize: '1rem'
+            }}
+          />
+        </div>
+
+        <div style={{ flex: 1, overflow: 'auto', minHeight: '120px' }}>
+          {loadError && classNames.length === 0 ? (
+            <p style={{ color: '#ef5350', fontSize: '0.9rem' }}>⚠ {loadError}</p>
+          ) : (
+            <>
+              {suggestions.length > 0 && (
+                <>
+                  <div style={{ fontSize: '0.75rem', color: '#CD853F', fontWeight: '700', margin: '0.25rem 0.9rem' }}>
+                    MODEL'S TOP 5
+                  </div>
+                  {suggestions.map(renderOption)}
+                  <div style={{ fontSize: '0.75rem', color: '#CD853F', fontWeight: '700', margin: '0.75rem 0.9rem 0.25rem' }}>
+                    ALL BREEDS
+                  </div>
+                </>
+              )}
+              {matches.map(renderOption)}
+              {matches.length === 0 && (
+                <p style={{ color: 'rgba(255, 255, 255, 0.6)', fontSize: '0.9rem', margin: '0.5rem 0.9rem' }}>
+                  No breed matches "{query}".
+                </p>
+              )}
+            </>
+          )}
+        </div>
+
+        {current && (
+          <button
+            onClick={onClear}
+            style={{
+              marginTop: '1rem',
+              padding: '0.7rem',
+              background: 'rgba(255, 255, 255, 0.1)',
+              color: 'white',
+              border: '1px solid rgba(255, 255, 255, 0.2)',
+              borderRadius: '10px',
+              fontSize: '0.9rem',
+              fontWeight: '600',
+              cursor: 'pointer',
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'center',
+              gap: '0.5rem'
+            }}
+          >
+            <Undo2 size={16} /> Remove correction
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,236 @@
+import React, { useState } from 'react';
+import { Camera, SwitchCamera, X, Loader, CheckCircle } from 'lucide-react';
+import useCameraStream from '../hooks/useCameraStream';
+import { captureFrame } from '../utils/captureFrame';
+
+export default function CameraCapture({ onCapture, onClose }) {
+  const [facingMode, setFacingMode] = useState('environment');
+  const [capturing, setCapturing] = useState(false);
+  const [capturedCount, setCapturedCount] = useState(0);
+  const [flash, setFlash] = useState(false);
+  const [captureError, setCaptureError] = useState(null);
+  const { videoRef, ready, error } = useCameraStream(facingMode);
+
+  const handleSwitchCamera = () => {
+    setFacingMode(prev => (prev === 'environment' ? 'user' : 'environment'));
+  };
+
+  const handleCapture = async () => {
+    if (!ready || capturing) return;
+    setCapturing(true);
+    setCaptureError(null);
+
+    try {
+      const file = await captureFrame(videoRef.current);
+      onCapture(file);
+      setCapturedCount(prev => prev + 1);
+      setFlash(true);
+      setTimeout(() => setFlash(false), 150);
+    } catch (err) {
+      setCaptureError(err.message || 'Capture failed');
+    } finally {
+      setCapturing(false);
+    }
+  };
+
+  const message = error || captureError;
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        background: 'rgba(0, 0, 0, 0.9)',
+        zIndex: 1000,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        padding: '2rem',
+        animation: 'fadeIn 0.3s ease-out'
+      }}
+      onClick={onClose}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          background: 'linear-gradient(135deg, #0f2027 0%, #203a43 100%)',
+          borderRadius: '24px',
+          maxWidth: '900px',
+          width: '100%',
+          border: '1px solid rgba(255, 255, 255, 0.2)',
+          boxShadow: '0 30px 80px rgba(0, 0, 0, 0.5)',
+          animation: 'scaleIn 0.4s ease-out',
+          position: 'relative',
+          padding: '2rem'
+        }}
+      >
+        {/* Close Button */}
+        <button
+          onClick={onClose}
+          style={{
+            position: 'absolute',
+            top: '1.5rem',
+            right: '1.5rem',
+            background: 'rgba(255, 255, 255, 0.1)',
+            border: 'none',
+            borderRadius: '8px',
+            width: '40px',
+            height: '40px',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            cursor: 'pointer',
+            zIndex: 10
+          }}
+        >
+          <X size={24} style={{ color: 'white' }} />
+        </button>
+
+        <h2 style={{
+          fontSize: '1.5rem',
+          color: '#DEB887',
+          margin: '0 0 1.5rem 0',
+          fontWeight: '700',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '0.5rem'
+        }}>
+          <Camera size={24} /> Camera Capture
+        </h2>
+
+        {/* Live Preview */}
+        <div style={{
+          position: 'relative',
+          borderRadius: '16px',
+          overflow: 'hidden',
+          border: '2px solid rgba(205, 133, 63, 0.3)',
+          background: 'black',
+          aspectRatio: '16 / 9'
+        }}>
+          <video
+            ref={videoRef}
+            playsInline
+            muted
+            style={{
+              width: '100%',
+              height: '100%',
+              objectFit: 'contain',
+              display: 'block',
+              transform: facingMode === 'user' ? 'scaleX(-1)' : 'none'
+            }}
+          />
+          {!ready && !error && (
+            <div style={{
+              position: 'absolute',
+              top: 0,
+              left: 0,
+              right: 0,
+              bottom: 0,
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'center'
+            }}>
+              <Loader style={{ animation: 'spin 1s linear infinite', color: '#CD853F' }} size={40} />
+            </div>
+          )}
+          <div style={{
+            position: 'absolute',
+            top: 0,
+            left: 0,
+            right: 0,
+            bottom: 0,
+            background: 'white',
+            opacity: flash ? 0.6 : 0,
+            transition: 'opacity 0.15s ease',
+            pointerEvents: 'none'
+          }} />
+        </div>
+
+        {message && (
+          <div style={{
+            marginTop: '1rem',
+            padding: '0.75rem',
+            background: 'rgba(244, 67, 54, 0.15)',
+            borderRadius: '10px',
+            border: '1px solid rgba(244, 67, 54, 0.4)',
+            color: '#ef5350',
+            fontSize: '0.9rem',
+            fontWeight: '600',
+            textAlign: 'center'
+          }}>
+            ⚠ {message}
+          </div>
+        )}
+
+        {/* Controls */}
+        <div style={{ display: 'flex', gap: '1rem', marginTop: '1.5rem', alignItems: 'center' }}>
+          <button
+            onClick={handleSwitchCamera}
+            title="Switch between front and rear camera"
+            style={{
+              padding: '1rem 1.25rem',
+              background: 'rgba(255, 255, 255, 0.1)',
+              color: 'white',
+              border: '1px solid rgba(255, 255, 255, 0.2)',
+              borderRadius: '12px',
+              fontSize: '1rem',
+              fontWeight: '600',
+              cursor: 'pointer',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '0.5rem'
+            }}
+          >
+            <SwitchCamera size={20} />
+            {facingMode === 'environment' ? 'Rear' : 'Front'}
+          </button>
+          <button
+            onClick={handleCapture}
+            disabled={!ready || capturing}
+            style={{
+              flex: 1,
+              padding: '1rem',
+              background: (!ready || capturing) ? 'rgba(255, 255, 255, 0.1)' : 'linear-gradient(135deg, #CD853F 0%, #B8860B 100%)',
+              color: 'white',
+              border: 'none',
+              borderRadius: '12px',
+              fontSize: '1.1rem',
+              fontWeight: '700',
+              cursor: (!ready || capturing) ? 'not-allowed' : 'pointer',
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'center',
+              gap: '0.5rem',
+              boxShadow: (!ready || capturing) ? 'none' : '0 4px 20px rgba(205, 133, 63, 0.4)'
+            }}
+          >
+            <Camera size={20} />
+            Capture Photo
+          </button>
+          <button
+            onClick={onClose}
+            style={{
+              padding: '1rem 1.5rem',
+              background: 'rgba(255, 255, 255, 0.1)',
+              color: 'white',
+              border: '1px solid rgba(255, 255, 255, 0.2)',
+              borderRadius: '12px',
+              fontSize: '1rem',
+              fontWeight: '600',
+              cursor: 'pointer',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '0.5rem'
+            }}
+          >
+            {capturedCount > 0 && <CheckCircle size={18} style={{ color: '#4CAF50' }} />}
+            Done{capturedCount > 0 ? ` (${capturedCount})` : ''}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,198 @@
+import React from 'react';
+import { X, Columns2, CheckCircle, AlertTriangle } from 'lucide-react';
+import { compareResults } from '../utils/compare';
+import { getImageLabel, isUncertain } from '../utils/stats';
+
+const panelStyle = {
+  background: 'rgba(255, 255, 255, 0.05)',
+  borderRadius: '16px',
+  padding: '1.5rem',
+  marginBottom: '1.5rem',
+  border: '1px solid rgba(255, 255, 255, 0.1)'
+};
+
+const buttonStyle = {
+  padding: '0.6rem 1rem',
+  background: 'rgba(255, 255, 255, 0.1)',
+  color: 'white',
+  border: '1px solid rgba(255, 255, 255, 0.2)',
+  borderRadius: '10px',
+  fontSize: '0.9rem',
+  fontWeight: '600',
+  cursor: 'pointer',
+  display: 'flex',
+  alignItems: 'center',
+  gap: '0.5rem'
+};
+
+const AGREE = '#4CAF50';
+const DIFFER = '#FF9800';
+
+export default function ComparisonView({ images, thresholds, onOpenImage, onRemove, onClose }) {
+  const comparison = compareResults(images);
+  const columns = `170px repeat(${comparison.images.length}, minmax(200px, 1fr))`;
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      zIndex: 950,
+      overflow: 'auto',
+      background: 'linear-gradient(135deg, #0f2027 0%, #203a43 50%, #2c5364 100%)',
+      padding: '2rem',
+      animation: 'fadeIn 0.3s ease-out'
+    }}>
+      <div style={{ maxWidth: '1400px', margin: '0 auto' }}>
+        {/* Header */}
+        <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '1rem', marginBottom: '1.5rem' }}>
+          <h2 style={{ flex: 1, fontSize: '2rem', color: '#DEB887', margin: 0, fontWeight: '800', display: 'flex', alignItems: 'center', gap: '0.75rem' }}>
+            <Columns2 size={30} /> Compare {comparison.images.length} Images
+          </h2>
+          <button onClick={onClose} style={buttonStyle}>
+            <X size={16} /> Close
+          </button>
+        </div>
+
+        {/* Agreement Summary */}
+        <div style={{
+          ...panelStyle,
+          display: 'flex',
+          alignItems: 'center',
+          gap: '0.75rem',
+          borderColor: comparison.agree ? 'rgba(76, 175, 80, 0.5)' : 'rgba(255, 152, 0, 0.5)',
+          color: 'white'
+        }}>
+          {comparison.agree ? (
+            <>
+              <CheckCircle size={24} style={{ color: AGREE, flexShrink: 0 }} />
+              <span>All images are predicted as <strong style={{ color: AGREE }}>{comparison.majorityBreed}</strong>.</span>
+            </>
+          ) : (
+            <>
+              <AlertTriangle size={24} style={{ color: DIFFER, flexShrink: 0 }} />
+              <span>
+                Predictions differ:{' '}
+                {comparison.topBreeds.map(({ breed, count }, idx) => (
+                  <span key={breed}>
+                    {idx > 0 && ', '}
+                    <strong style={{ color: breed === comparison.majorityBreed ? AGREE : DIFFER }}>{breed}</strong> ×{count}
+                  </span>
+                ))}
+              </span>
+            </>
+          )}
+        </div>
+
+        <div style={{ ...panelStyle, overflow: 'auto' }}>
+          <div style={{ display: 'grid', gridTemplateColumns: columns, gap: '0.75rem 1rem', alignItems: 'center', minWidth: 'min-content' }}>
+            {/* Images */}
+            <div />
+            {comparison.images.map(img => {
+              const matchesMajority = img.result.breed === comparison.majorityBreed;
+              return (
+                <div key={img.id} style={{ alignSelf: 'start', position: 'relative' }}>
+                  <button
+                    onClick={() => onOpenImage(img.id)}
+                    style={{ padding: 0, background: 'transparent', border: 'none', cursor: 'pointer', width: '100%', display: 'block' }}
+                  >
+                    <img
+                      src={img.cropPreview || img.preview}
+                      alt={getImageLabel(img)}
+                      style={{ width: '100%', height: '160px', objectFit: 'cover', borderRadius: '10px', display: 'block' }}
+                    />
+                  </button>
+                  <button
+                    onClick={() => onRemove(img.id)}
+                    title="Remove from comparison"
+                    style={{
+                      position: 'absolute',
+                      top: '0.4rem',
+                      right: '0.4rem',
+                      width: '28px',
+                      height: '28px',
+                      background: 'rgba(0, 0, 0, 0.6)',
+                      border: 'none',
+                      borderRadius: '8px',
+                      color: 'white',
+                      cursor: 'pointer',
+                      display: 'flex',
+                      alignItems: 'center',
+                      justifyContent: 'center'
+                    }}
+                  >
+                    <X size={16} />
+                  </button>
+                  <div style={{ fontSize: '0.8rem', color: 'rgba(255, 255, 255, 0.6)', margin: '0.4rem 0', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                    {getImageLabel(img)}
+                  </div>
+                  <div style={{
+                    padding: '0.5rem 0.75rem',
+                    borderRadius: '8px',
+                    background: matchesMajority ? 'rgba(76, 175, 80, 0.15)' : 'rgba(255, 152, 0, 0.15)',
+                    border: `1px solid ${matchesMajority ? AGREE : DIFFER}`,
+                    display: 'flex',
+                    justifyContent: 'space-between',
+                    gap: '0.5rem',
+                    color: 'white',
+                    fontWeight: '700',
+                    fontSize: '0.95rem'
+                  }}>
+                    <span>{img.result.breed}</span>
+                    <span style={{ color: '#CD853F' }}>{img.result.confidence}%</span>
+                  </div>
+                  {(isUncertain(img.result, thresholds) || img.correction) && (
+                    <div style={{ fontSize: '0.75rem', marginTop: '0.3rem', color: img.correction ? AGREE : DIFFER }}>
+                      {img.correction ? `Verified: ${img.correction.breed}` : 'Uncertain — review'}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+
+            {/* Aligned Top 5 */}
+            <div style={{ gridColumn: '1 / -1', borderTop: '1px solid rgba(255, 255, 255, 0.1)', paddingTop: '0.5rem', color: '#DEB887', fontWeight: '700' }}>
+              Top 5 predictions, aligned by breed
+            </div>
+            {comparison.rows.map(row => (
+              <React.Fragment key={row.breed}>
+                <div style={{
+                  color: row.inAll ? 'white' : 'rgba(255, 255, 255, 0.6)',
+                  fontWeight: row.breed === comparison.majorityBreed ? '800' : '600',
+                  fontSize: '0.9rem',
+                  overflow: 'hidden',
+                  textOverflow: 'ellipsis',
+                  whiteSpace: 'nowrap'
+                }} title={row.inAll ? 'In every top 5' : 'Missing from some top 5 lists'}>
+                  {row.breed}
+                </div>
+                {row.values.map((value, idx) => {
+                  const isTop = comparison.images[idx].result.breed === row.breed;
+                  const color = isTop ? (row.breed === comparison.majorityBreed ? AGREE : DIFFER) : '#CD853F';
+                  return value === null ? (
+                    <div key={idx} style={{ color: 'rgba(255, 255, 255, 0.3)', fontSize: '0.8rem' }}>not in top 5</div>
+                  ) : (
+                    <div key={idx} style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                      <div style={{ flex: 1, height: '10px', background: 'rgba(255, 255, 255, 0.1)', borderRadius: '5px', overflow: 'hidden' }}>
+                        <div style={{ height: '100%', width: `${value}%`, background: color, borderRadius: '5px' }} />
+                      </div>
+                      <span style={{ minWidth: '48px', textAlign: 'right', color: isTop ? color : 'rgba(255, 255, 255, 0.8)', fontWeight: isTop ? '700' : '500', fontSize: '0.8rem' }}>
+                        {value.toFixed(1)}%
+                      </span>
+                    </div>
+                  );
+                })}
+              </React.Fragment>
+            ))}
+          </div>
+          <p style={{ color: 'rgba(255, 255, 255, 0.5)', fontSize: '0.8rem', margin: '1rem 0 0 0' }}>
+            Green marks each image's top breed when it matches the most common prediction, orange when it differs.
+            Rows are ordered by combined confidence; dimmed breeds are missing from some top 5 lists.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
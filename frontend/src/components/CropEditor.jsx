@@ -0,0 +1,135 @@
+import React, { useState } from 'react';
+import { Crop, X, Plus, CheckCircle } from 'lucide-react';
+import CropSelector from './CropSelector';
+import { getObjectUrl } from '../utils/objectUrls';
+
+const secondaryButtonStyle = {
+  padding: '0.875rem 1.25rem',
+  background: 'rgba(255, 255, 255, 0.1)',
+  color: 'white',
+  border: '1px solid rgba(255, 255, 255, 0.2)',
+  borderRadius: '12px',
+  fontSize: '0.95rem',
+  fontWeight: '600',
+  cursor: 'pointer',
+  display: 'flex',
+  alignItems: 'center',
+  justifyContent: 'center',
+  gap: '0.5rem'
+};
+
+export default function CropEditor({ image, onApply, onAddEntry, onClose }) {
+  const [crop, setCrop] = useState(image.crop || null);
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        background: 'rgba(0, 0, 0, 0.9)',
+        zIndex: 1100,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        padding: '2rem',
+        animation: 'fadeIn 0.3s ease-out'
+      }}
+      onClick={onClose}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          background: 'linear-gradient(135deg, #0f2027 0%, #203a43 100%)',
+          borderRadius: '24px',
+          maxWidth: '1000px',
+          width: '100%',
+          maxHeight: '95vh',
+          overflow: 'auto',
+          border: '1px solid rgba(255, 255, 255, 0.2)',
+          boxShadow: '0 30px 80px rgba(0, 0, 0, 0.5)',
+          animation: 'scaleIn 0.4s ease-out',
+          position: 'relative',
+          padding: '2rem'
+        }}
+      >
+        {/* Close Button */}
+        <button
+          onClick={onClose}
+          style={{
+            position: 'absolute',
+            top: '1.5rem',
+            right: '1.5rem',
+            background: 'rgba(255, 255, 255, 0.1)',
+            border: 'none',
+            borderRadius: '8px',
+            width: '40px',
+            height: '40px',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            cursor: 'pointer',
+            zIndex: 10
+          }}
+        >
+          <X size={24} style={{ color: 'white' }} />
+        </button>
+
+        <h2 style={{
+          fontSize: '1.5rem',
+          color: '#DEB887',
+          margin: '0 0 0.5rem 0',
+          fontWeight: '700',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '0.5rem'
+        }}>
+          <Crop size={24} /> Select Region
+        </h2>
+        <p style={{ fontSize: '0.9rem', color: 'rgba(255, 255, 255, 0.6)', margin: '0 0 1.5rem 0' }}>
+          Drag a rectangle around one animal. Only that region is sent for classification.
+        </p>
+
+        <div style={{ textAlign: 'center' }}>
+          <CropSelector src={getObjectUrl(image.file)} crop={crop} onChange={setCrop} />
+        </div>
+
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '1rem', marginTop: '1.5rem' }}>
+          <button
+            onClick={() => onApply(crop)}
+            disabled={!crop && !image.crop}
+            style={{
+              ...secondaryButtonStyle,
+              flex: 1,
+              border: 'none',
+              fontWeight: '700',
+              background: (!crop && !image.crop) ? 'rgba(255, 255, 255, 0.1)' : 'linear-gradient(135deg, #CD853F 0%, #B8860B 100%)',
+              cursor: (!crop && !image.crop) ? 'not-allowed' : 'pointer'
+            }}
+          >
+            <CheckCircle size={18} />
+            {crop ? 'Use This Region' : 'Use Full Image'}
+          </button>
+          <button
+            onClick={() => onAddEntry(crop)}
+            disabled={!crop}
+            title="Keep this image as it is and classify the region as a separate entry"
+            style={{ ...secondaryButtonStyle, opacity: crop ? 1 : 0.4, cursor: crop ? 'pointer' : 'not-allowed' }}
+          >
+            <Plus size={18} />
+            Add as New Entry
+          </button>
+          <button
+            onClick={() => setCrop(null)}
+            disabled={!crop}
+            style={{ ...secondaryButtonStyle, opacity: crop ? 1 : 0.4, cursor: crop ? 'pointer' : 'not-allowed' }}
+          >
+            Clear Selection
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,91 @@
+import React, { useState, useRef } from 'react';
+
+// Ignore accidental clicks: a crop must cover at least 2% of each axis
+const MIN_CROP = 0.02;
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+
+const toRect = (start, end) => ({
+  x: Math.min(start.x, end.x),
+  y: Math.min(start.y, end.y),
+  width: Math.abs(end.x - start.x),
+  height: Math.abs(end.y - start.y)
+});
+
+// Drag a rectangle over the image. The crop is reported normalized to 0–1 of the displayed
+// (EXIF-upright) image so it is independent of the on-screen size.
+export default function CropSelector({ src, crop, onChange }) {
+  const imageRef = useRef(null);
+  const startRef = useRef(null);
+  const [draft, setDraft] = useState(null);
+
+  const pointFromEvent = (e) => {
+    const bounds = imageRef.current.getBoundingClientRect();
+    return {
+      x: clamp((e.clientX - bounds.left) / bounds.width),
+      y: clamp((e.clientY - bounds.top) / bounds.height)
+    };
+  };
+
+  const handlePointerDown = (e) => {
+    e.preventDefault();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    startRef.current = pointFromEvent(e);
+    setDraft({ ...startRef.current, width: 0, height: 0 });
+  };
+
+  const handlePointerMove = (e) => {
+    if (!startRef.current) return;
+    setDraft(toRect(startRef.current, pointFromEvent(e)));
+  };
+
+  const handlePointerUp = (e) => {
+    if (!startRef.current) return;
+    const rect = toRect(startRef.current, pointFromEvent(e));
+    startRef.current = null;
+    setDraft(null);
+    if (rect.width >= MIN_CROP && rect.height >= MIN_CROP) {
+      onChange(rect);
+    }
+  };
+
+  const visible = draft || crop;
+
+  return (
+    <div
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      style={{
+        position: 'relative',
+        display: 'inline-block',
+        overflow: 'hidden',
+        borderRadius: '12px',
+        cursor: 'crosshair',
+        touchAction: 'none',
+        userSelect: 'none',
+        lineHeight: 0
+      }}
+    >
+      <img
+        ref={imageRef}
+        src={src}
+        alt="Select region"
+        draggable={false}
+        style={{ display: 'block', maxWidth: '100%', maxHeight: '60vh' }}
+      />
+      {visible && (
+        <div style={{
+          position: 'absolute',
+          left: `${visible.x * 100}%`,
+          top: `${visible.y * 100}%`,
+          width: `${visible.width * 100}%`,
+          height: `${visible.height * 100}%`,
+          border: '2px solid #CD853F',
+          boxShadow: '0 0 0 9999px rgba(0, 0, 0, 0.55)',
+          pointerEvents: 'none'
+        }} />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,269 @@
+import React, { useState, useRef } from 'react';
+import { X, Upload, Target } from 'lucide-react';
+import { evaluate, cellKey } from '../utils/evaluation';
+import { getImageLabel } from '../utils/stats';
+
+const CELL_SIZE = 16;
+
+const panelStyle = {
+  background: 'rgba(255, 255, 255, 0.05)',
+  borderRadius: '16px',
+  padding: '1.5rem',
+  marginBottom: '1.5rem',
+  border: '1px solid rgba(255, 255, 255, 0.1)'
+};
+
+const headingStyle = { fontSize: '1.2rem', color: '#DEB887', margin: '0 0 1rem 0', fontWeight: '700' };
+
+const buttonStyle = {
+  padding: '0.6rem 1rem',
+  background: 'rgba(255, 255, 255, 0.1)',
+  color: 'white',
+  border: '1px solid rgba(255, 255, 255, 0.2)',
+  borderRadius: '10px',
+  fontSize: '0.9rem',
+  fontWeight: '600',
+  cursor: 'pointer',
+  display: 'flex',
+  alignItems: 'center',
+  gap: '0.5rem'
+};
+
+const cellStyle = { padding: '0.5rem 0.75rem', borderBottom: '1px solid rgba(255, 255, 255, 0.08)', textAlign: 'left' };
+
+const percent = (value) => (value === null ? '—' : `${(value * 100).toFixed(1)}%`);
+
+export default function EvaluationView({ images, classNames, onImportLabels, onOpenImage, onClose }) {
+  const [allClasses, setAllClasses] = useState(true);
+  const [selectedCell, setSelectedCell] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const evaluation = evaluate(images, allClasses ? classNames : []);
+  const maxCell = Math.max(1, ...Array.from(evaluation.cells.values(), ids => ids.length));
+  const byId = new Map(images.map(img => [img.id, img]));
+  const selectedImages = selectedCell
+    ? (evaluation.cells.get(cellKey(selectedCell.truth, selectedCell.predicted)) || []).map(id => byId.get(id)).filter(Boolean)
+    : [];
+  const weakestFirst = [...evaluation.breeds]
+    .filter(entry => entry.support > 0 || entry.predicted > 0)
+    .sort((a, b) => (a.f1 ?? 0) - (b.f1 ?? 0) || b.support - a.support);
+
+  const cellColor = (truth, predicted, count) => {
+    if (count === 0) return 'rgba(255, 255, 255, 0.04)';
+    const strength = 0.25 + 0.75 * (count / maxCell);
+    return truth === predicted ? `rgba(76, 175, 80, ${strength})` : `rgba(244, 67, 54, ${strength})`;
+  };
+
+  const handleFile = (e) => {
+    const file = e.target.files?.[0];
+    if (file) onImportLabels(file);
+    e.target.value = '';
+  };
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      zIndex: 950,
+      overflow: 'auto',
+      background: 'linear-gradient(135deg, #0f2027 0%, #203a43 50%, #2c5364 100%)',
+      padding: '2rem',
+      animation: 'fadeIn 0.3s ease-out'
+    }}>
+      <div style={{ maxWidth: '1200px', margin: '0 auto' }}>
+        {/* Header */}
+        <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '1rem', marginBottom: '1.5rem' }}>
+          <h2 style={{ flex: 1, fontSize: '2rem', color: '#DEB887', margin: 0, fontWeight: '800', display: 'flex', alignItems: 'center', gap: '0.75rem' }}>
+            <Target size={30} /> Evaluation
+          </h2>
+          <input ref={fileInputRef} type="file" accept=".csv,text/csv" onChange={handleFile} style={{ display: 'none' }} />
+          <button onClick={() => fileInputRef.current?.click()} style={buttonStyle}>
+            <Upload size={16} /> Import Labels CSV
+          </button>
+          <button onClick={onClose} style={buttonStyle}>
+            <X size={16} /> Close
+          </button>
+        </div>
+
+        <p style={{ color: 'rgba(255, 255, 255, 0.6)', fontSize: '0.9rem', margin: '0 0 1.5rem 0' }}>
+          Ground truth comes from verified corrections, folder names (&lt;breed&gt;/&lt;image&gt;) and imported label files
+          (CSV with <code>filename</code> and <code>label</code> columns; the corrections manifest works too).
+        </p>
+
+        {evaluation.total === 0 ? (
+          <div style={{ ...panelStyle, textAlign: 'center', color: 'rgba(255, 255, 255, 0.7)' }}>
+            No analyzed image has a ground-truth breed yet
+            {evaluation.unlabeled > 0 && ` (${evaluation.unlabeled} analyzed without a label)`}.
+            Import a label file, upload a breed-named folder, or correct breeds on the result cards.
+          </div>
+        ) : (
+          <>
+            {/* Summary */}
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))', gap: '1rem', marginBottom: '1.5rem' }}>
+              {[
+                ['Labeled images', evaluation.total, '#CD853F'],
+                ['Top-1 accuracy', percent(evaluation.top1Accuracy), '#4CAF50'],
+                ['Top-5 accuracy', percent(evaluation.top5Accuracy), '#66BB6A'],
+                ['Macro F1', percent(evaluation.macroF1), '#DEB887']
+              ].map(([label, value, color]) => (
+                <div key={label} style={{ ...panelStyle, marginBottom: 0, textAlign: 'center' }}>
+                  <div style={{ fontSize: '2.2rem', fontWeight: '800', color }}>{value}</div>
+                  <div style={{ fontSize: '0.9rem', color: 'rgba(255, 255, 255, 0.7)', marginTop: '0.25rem' }}>{label}</div>
+                </div>
+              ))}
+            </div>
+            {evaluation.unlabeled > 0 && (
+              <p style={{ color: 'rgba(255, 255, 255, 0.5)', fontSize: '0.85rem', margin: '-0.75rem 0 1.5rem 0' }}>
+                {evaluation.unlabeled} analyzed image{evaluation.unlabeled === 1 ? ' has' : 's have'} no ground truth and {evaluation.unlabeled === 1 ? 'is' : 'are'} not counted.
+              </p>
+            )}
+
+            {/* Confusion Matrix */}
+            <div style={panelStyle}>
+              <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '1rem', marginBottom: '1rem' }}>
+                <h3 style={{ ...headingStyle, margin: 0, flex: 1 }}>Confusion Matrix</h3>
+                {classNames.length > 0 && (
+                  <label style={{ color: 'rgba(255, 255, 255, 0.8)', fontSize: '0.85rem', display: 'flex', alignItems: 'center', gap: '0.4rem' }}>
+                    <input type="checkbox" checked={allClasses} onChange={(e) => setAllClasses(e.target.checked)} />
+                    All {classNames.length} classes
+                  </label>
+                )}
+              </div>
+              <p style={{ color: 'rgba(255, 255, 255, 0.5)', fontSize: '0.8rem', margin: '0 0 1rem 0' }}>
+                Rows are the actual breed, columns the predicted breed. Click a cell to see its images.
+              </p>
+              <div style={{ overflow: 'auto', maxHeight: '70vh' }}>
+                <table style={{ borderCollapse: 'separate', borderSpacing: '1px' }}>
+                  <thead>
+                    <tr>
+                      <th />
+                      {evaluation.labels.map(label => (
+                        <th key={label} style={{ height: '110px', width: `${CELL_SIZE}px`, verticalAlign: 'bottom', padding: 0 }}>
+                          <div style={{
+                            writingMode: 'vertical-rl',
+                            transform: 'rotate(180deg)',
+                            fontSize: '0.7rem',
+                            fontWeight: '500',
+                            color: selectedCell?.predicted === label ? '#DEB887' : 'rgba(255, 255, 255, 0.6)',
+                            whiteSpace: 'nowrap',
+                            overflow: 'hidden',
+                            maxHeight: '110px'
+                          }}>
+                            {label}
+                          </div>
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {evaluation.labels.map(truth => (
+                      <tr key={truth}>
+                        <th style={{
+                          fontSize: '0.7rem',
+                          fontWeight: '500',
+                          color: selectedCell?.truth === truth ? '#DEB887' : 'rgba(255, 255, 255, 0.6)',
+                          textAlign: 'right',
+                          paddingRight: '0.5rem',
+                          whiteSpace: 'nowrap'
+                        }}>
+                          {truth}
+                        </th>
+                        {evaluation.labels.map(predicted => {
+                          const count = evaluation.cells.get(cellKey(truth, predicted))?.length || 0;
+                          const selected = selectedCell?.truth === truth && selectedCell?.predicted === predicted;
+                          return (
+                            <td
+                              key={predicted}
+                              onClick={() => count > 0 && setSelectedCell(selected ? null : { truth, predicted })}
+                              title={`Actual ${truth} → predicted ${predicted}: ${count}`}
+                              style={{
+                                width: `${CELL_SIZE}px`,
+                                height: `${CELL_SIZE}px`,
+                                padding: 0,
+                                background: cellColor(truth, predicted, count),
+                                outline: selected ? '2px solid #DEB887' : 'none',
+                                cursor: count > 0 ? 'pointer' : 'default',
+                                fontSize: '0.6rem',
+                                color: 'white',
+                                textAlign: 'center'
+                              }}
+                            >
+                              {count > 0 && count}
+                            </td>
+                          );
+                        })}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+
+            {/* Selected Cell */}
+            {selectedCell && (
+              <div style={panelStyle}>
+                <h3 style={headingStyle}>
+                  Actual {selectedCell.truth} → predicted {selectedCell.predicted} ({selectedImages.length})
+                </h3>
+                <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(140px, 1fr))', gap: '0.75rem' }}>
+                  {selectedImages.map(img => (
+                    <button
+                      key={img.id}
+                      onClick={() => onOpenImage(img.id)}
+                      style={{ padding: 0, background: 'transparent', border: 'none', cursor: 'pointer', textAlign: 'left' }}
+                    >
+                      <img
+                        src={img.cropPreview || img.preview}
+                        alt={getImageLabel(img)}
+                        style={{ width: '100%', height: '100px', objectFit: 'cover', borderRadius: '8px', display: 'block' }}
+                      />
+                      <div style={{ fontSize: '0.75rem', color: 'rgba(255, 255, 255, 0.7)', marginTop: '0.3rem', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                        {getImageLabel(img)} · {img.result.confidence}%
+                      </div>
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {/* Per-breed Metrics */}
+            <div style={panelStyle}>
+              <h3 style={headingStyle}>Per-breed metrics (weakest first)</h3>
+              <div style={{ overflow: 'auto' }}>
+                <table style={{ width: '100%', borderCollapse: 'collapse', color: 'white', fontSize: '0.9rem' }}>
+                  <thead>
+                    <tr style={{ color: '#DEB887' }}>
+                      <th style={cellStyle}>Breed</th>
+                      <th style={cellStyle}>Support</th>
+                      <th style={cellStyle}>Predicted</th>
+                      <th style={cellStyle}>Precision</th>
+                      <th style={cellStyle}>Recall</th>
+                      <th style={cellStyle}>F1</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {weakestFirst.map(entry => (
+                      <tr key={entry.breed}>
+                        <td style={{ ...cellStyle, fontWeight: '600' }}>{entry.breed}</td>
+                        <td style={cellStyle}>{entry.support}</td>
+                        <td style={cellStyle}>{entry.predicted}</td>
+                        <td style={cellStyle}>{percent(entry.precision)}</td>
+                        <td style={cellStyle}>{percent(entry.recall)}</td>
+                        <td style={{ ...cellStyle, fontWeight: '700', color: entry.f1 !== null && entry.f1 < 0.5 ? '#ef5350' : 'white' }}>
+                          {percent(entry.f1)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
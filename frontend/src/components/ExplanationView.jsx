@@ -0,0 +1,222 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { ScanEye, Loader, RefreshCw, X, AlertTriangle } from 'lucide-react';
+import { explainPrediction } from '../api/explain';
+import { getObjectUrl } from '../utils/objectUrls';
+import { OCCLUSION } from '../config';
+
+const buttonStyle = {
+  padding: '0.625rem 1rem',
+  background: 'rgba(255, 255, 255, 0.1)',
+  color: 'white',
+  border: '1px solid rgba(255, 255, 255, 0.2)',
+  borderRadius: '10px',
+  fontSize: '0.9rem',
+  fontWeight: '600',
+  cursor: 'pointer',
+  display: 'flex',
+  alignItems: 'center',
+  gap: '0.5rem'
+};
+
+// Below this many points of confidence drop, no cell stands out enough to draw
+const MIN_PEAK_DROP = 1;
+
+// Transparent yellow for little evidence, opaque red for the most
+const heatColor = (value) => `hsla(${Math.round((1 - value) * 60)}, 100%, 50%, ${value.toFixed(3)})`;
+
+// Share of the positive evidence found in the outer ring of cells
+const edgeShare = (drops, grid) => {
+  let edge = 0;
+  let total = 0;
+  drops.forEach((drop, cell) => {
+    if (drop <= 0) return;
+    const row = Math.floor(cell / grid);
+    const col = cell % grid;
+    total += drop;
+    if (row === 0 || col === 0 || row === grid - 1 || col === grid - 1) edge += drop;
+  });
+  return total > 0 ? edge / total : 0;
+};
+
+// "Why this breed?" section of the details modal: an occlusion heatmap over the analyzed
+// region for any of the top 5 breeds. Parents should key it by image id.
+export default function ExplanationView({ image, baseUrl, onSave }) {
+  const { top5, explanation, source } = image.result;
+  const [target, setTarget] = useState(top5[0].breed);
+  const [opacity, setOpacity] = useState(0.6);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const canvasRef = useRef(null);
+  const controllerRef = useRef(null);
+
+  // A recomputed explanation may not cover the previously chosen breed
+  const activeTarget = explanation?.drops[target] ? target : top5[0].breed;
+  const drops = explanation?.drops[activeTarget] || null;
+  const peak = drops ? Math.max(0, ...drops) : 0;
+  const grid = explanation?.grid || OCCLUSION.grid;
+
+  // Stop re-querying the model when the modal closes
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  // One pixel per cell; the browser smooths it when the canvas is stretched over the photo
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !drops) return;
+    canvas.width = grid;
+    canvas.height = grid;
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, grid, grid);
+    if (peak < MIN_PEAK_DROP) return;
+    drops.forEach((drop, cell) => {
+      ctx.fillStyle = heatColor(Math.max(0, drop) / peak);
+      ctx.fillRect(cell % grid, Math.floor(cell / grid), 1, 1);
+    });
+  }, [drops, peak, grid]);
+
+  const handleCompute = async () => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setError(null);
+    setProgress({ done: 0, total: grid * grid + 1 });
+    try {
+      const result = await explainPrediction(image.file, {
+        breeds: top5.map(pred => pred.breed),
+        crop: image.crop,
+        // Explain with the engine that made the prediction
+        source: source === 'browser' ? 'browser' : 'server',
+        baseUrl,
+        signal: controller.signal,
+        onProgress: setProgress
+      });
+      onSave(result);
+    } catch (err) {
+      if (err.name !== 'AbortError') setError(err.message || 'Could not compute the heatmap');
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+        setProgress(null);
+      }
+    }
+  };
+
+  const handleCancel = () => {
+    controllerRef.current?.abort();
+  };
+
+  const backgroundWarning = drops && peak >= MIN_PEAK_DROP && edgeShare(drops, grid) > 0.5;
+
+  return (
+    <div style={{
+      background: 'rgba(255, 255, 255, 0.05)',
+      borderRadius: '16px',
+      padding: '1.5rem',
+      marginBottom: '2rem',
+      border: '1px solid rgba(255, 255, 255, 0.1)'
+    }}>
+      <h4 style={{ fontSize: '1.3rem', color: '#DEB887', marginBottom: '0.5rem', fontWeight: '700', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+        <ScanEye size={20} /> Why this breed?
+      </h4>
+      <p style={{ color: 'rgba(255, 255, 255, 0.6)', fontSize: '0.9rem', margin: '0 0 1rem 0' }}>
+        Each area of the {image.crop ? 'selected region' : 'photo'} is covered in turn and the image is classified again
+        ({grid * grid + 1} predictions{source === 'browser' ? ' in the browser' : ' on the server'}).
+        Red areas are where covering the photo lowered the confidence the most.
+      </p>
+
+      {/* Compute / Progress */}
+      <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '0.75rem', marginBottom: explanation ? '1rem' : 0 }}>
+        {progress ? (
+          <>
+            <span style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', color: 'rgba(255, 255, 255, 0.8)', fontSize: '0.9rem' }}>
+              <Loader size={16} style={{ animation: 'spin 1s linear infinite' }} />
+              Classifying masked copies… {progress.done} / {progress.total}
+            </span>
+            <button onClick={handleCancel} style={buttonStyle}>
+              <X size={16} /> Cancel
+            </button>
+          </>
+        ) : (
+          <button onClick={handleCompute} style={buttonStyle}>
+            {explanation ? <RefreshCw size={16} /> : <ScanEye size={16} />}
+            {explanation ? 'Recompute Heatmap' : 'Compute Heatmap'}
+          </button>
+        )}
+        {error && <span style={{ color: '#FF6B6B', fontSize: '0.85rem' }}>{error}</span>}
+      </div>
+
+      {explanation && (
+        <>
+          {/* Target Breed */}
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem', marginBottom: '1rem' }}>
+            {top5.filter(pred => explanation.drops[pred.breed]).map((pred, idx) => {
+              const active = pred.breed === activeTarget;
+              return (
+                <button
+                  key={pred.breed}
+                  onClick={() => setTarget(pred.breed)}
+                  style={{
+                    ...buttonStyle,
+                    padding: '0.35rem 0.75rem',
+                    fontSize: '0.8rem',
+                    background: active ? 'rgba(205, 133, 63, 0.35)' : 'rgba(255, 255, 255, 0.05)',
+                    border: `1px solid ${active ? '#CD853F' : 'rgba(255, 255, 255, 0.15)'}`
+                  }}
+                >
+                  #{idx + 1} {pred.breed}
+                </button>
+              );
+            })}
+          </div>
+
+          {/* Heatmap */}
+          <div style={{ position: 'relative', borderRadius: '12px', overflow: 'hidden', border: '1px solid rgba(255, 255, 255, 0.15)' }}>
+            <img
+              src={getObjectUrl(explanation.image)}
+              alt="Analyzed region"
+              style={{ width: '100%', height: 'auto', display: 'block' }}
+            />
+            <canvas
+              ref={canvasRef}
+              style={{ position: 'absolute', inset: 0, width: '100%', height: '100%', opacity, pointerEvents: 'none' }}
+            />
+          </div>
+
+          {/* Opacity & Legend */}
+          <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '1rem', marginTop: '0.75rem', color: 'rgba(255, 255, 255, 0.7)', fontSize: '0.85rem' }}>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+              Opacity
+              <input
+                type="range"
+                min="0"
+                max="1"
+                step="0.05"
+                value={opacity}
+                onChange={(e) => setOpacity(Number(e.target.value))}
+              />
+            </label>
+            <span style={{ display: 'flex', alignItems: 'center', gap: '0.4rem' }}>
+              Less
+              <span style={{ width: '80px', height: '10px', borderRadius: '5px', background: `linear-gradient(90deg, ${heatColor(0.1)}, ${heatColor(0.5)}, ${heatColor(1)})` }} />
+              More important
+            </span>
+            <span style={{ marginLeft: 'auto' }}>
+              {activeTarget}: {explanation.baseline[activeTarget]}% unmasked, up to −{peak.toFixed(1)} points when covered
+            </span>
+          </div>
+
+          {peak < MIN_PEAK_DROP && (
+            <p style={{ color: 'rgba(255, 255, 255, 0.6)', fontSize: '0.85rem', margin: '0.75rem 0 0 0' }}>
+              Covering any single area changes {activeTarget} by less than {MIN_PEAK_DROP} point, so the evidence is spread across the whole image.
+            </p>
+          )}
+          {backgroundWarning && (
+            <p style={{ display: 'flex', alignItems: 'flex-start', gap: '0.5rem', color: '#FFB74D', fontSize: '0.85rem', margin: '0.75rem 0 0 0' }}>
+              <AlertTriangle size={16} style={{ flexShrink: 0, marginTop: '0.1rem' }} />
+              Most of the evidence for {activeTarget} comes from the edges of the image, so the model may be keying on the background.
+              Cropping to the animal and analyzing again may give a more reliable result.
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
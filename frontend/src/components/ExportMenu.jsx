@@ -0,0 +1,103 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Download, FileSpreadsheet, FileJson, FileText, ListChecks } from 'lucide-react';
+
+const itemStyle = {
+  width: '100%',
+  padding: '0.75rem 1rem',
+  background: 'transparent',
+  color: 'white',
+  border: 'none',
+  borderRadius: '8px',
+  fontSize: '0.95rem',
+  fontWeight: '600',
+  cursor: 'pointer',
+  display: 'flex',
+  alignItems: 'center',
+  gap: '0.6rem',
+  textAlign: 'left'
+};
+
+export default function ExportMenu({ disabled, correctionCount, onExportCsv, onExportJson, onExportManifest, onOpenReport }) {
+  const [open, setOpen] = useState(false);
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    const handleClickOutside = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [open]);
+
+  const choose = (action) => () => {
+    setOpen(false);
+    action();
+  };
+
+  const hover = (e) => { e.currentTarget.style.background = 'rgba(255, 255, 255, 0.1)'; };
+  const unhover = (e) => { e.currentTarget.style.background = 'transparent'; };
+
+  return (
+    <div ref={menuRef} style={{ position: 'relative' }}>
+      <button
+        onClick={() => setOpen(prev => !prev)}
+        disabled={disabled}
+        title={disabled ? 'Analyze at least one image to export results' : 'Export results'}
+        style={{
+          height: '100%',
+          padding: '1rem 1.5rem',
+          background: 'rgba(255, 255, 255, 0.1)',
+          color: 'white',
+          border: '1px solid rgba(255, 255, 255, 0.2)',
+          borderRadius: '12px',
+          fontSize: '1rem',
+          fontWeight: '600',
+          cursor: disabled ? 'not-allowed' : 'pointer',
+          opacity: disabled ? 0.5 : 1,
+          display: 'flex',
+          alignItems: 'center',
+          gap: '0.5rem'
+        }}
+      >
+        <Download size={18} />
+        Export
+      </button>
+      {open && (
+        <div style={{
+          position: 'absolute',
+          right: 0,
+          top: 'calc(100% + 0.5rem)',
+          zIndex: 50,
+          minWidth: '220px',
+          padding: '0.4rem',
+          background: '#203a43',
+          borderRadius: '12px',
+          border: '1px solid rgba(255, 255, 255, 0.2)',
+          boxShadow: '0 20px 50px rgba(0, 0, 0, 0.5)',
+          animation: 'fadeIn 0.2s ease-out'
+        }}>
+          <button onClick={choose(onExportCsv)} style={itemStyle} onMouseEnter={hover} onMouseLeave={unhover}>
+            <FileSpreadsheet size={18} style={{ color: '#66BB6A' }} /> CSV spreadsheet
+          </button>
+          <button onClick={choose(onExportJson)} style={itemStyle} onMouseEnter={hover} onMouseLeave={unhover}>
+            <FileJson size={18} style={{ color: '#DEB887' }} /> JSON data
+          </button>
+          <button
+            onClick={choose(onExportManifest)}
+            disabled={correctionCount === 0}
+            title={correctionCount === 0 ? 'Correct or verify at least one breed first' : 'Filename, predicted and corrected breed for every reviewed image'}
+            style={{ ...itemStyle, opacity: correctionCount === 0 ? 0.4 : 1, cursor: correctionCount === 0 ? 'not-allowed' : 'pointer' }}
+            onMouseEnter={hover}
+            onMouseLeave={unhover}
+          >
+            <ListChecks size={18} style={{ color: '#4CAF50' }} /> Corrections manifest ({correctionCount})
+          </button>
+          <button onClick={choose(onOpenReport)} style={itemStyle} onMouseEnter={hover} onMouseLeave={unhover}>
+            <FileText size={18} style={{ color: '#CD853F' }} /> Printable report
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
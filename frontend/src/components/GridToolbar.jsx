@@ -0,0 +1,92 @@
+import React from 'react';
+import { Search, X, ArrowDownWideNarrow, ArrowUpNarrowWide } from 'lucide-react';
+import { IMAGE_STATUSES, SORT_OPTIONS, DEFAULT_GRID_VIEW } from '../utils/gridView';
+
+const controlStyle = {
+  padding: '0.5rem 0.75rem',
+  background: 'rgba(255, 255, 255, 0.08)',
+  color: 'white',
+  border: '1px solid rgba(255, 255, 255, 0.2)',
+  borderRadius: '8px',
+  fontSize: '0.85rem',
+  fontWeight: '600'
+};
+
+const optionStyle = { background: '#203a43', color: 'white' };
+
+export default function GridToolbar({ view, onChange, breeds, breed, onBreedChange, statusCounts, shownCount, totalCount }) {
+  const update = (changes) => onChange({ ...view, ...changes });
+  const filtered = view.query.trim() !== '' || view.status !== 'all' || breed !== null;
+
+  const clearFilters = () => {
+    onChange({ ...view, query: DEFAULT_GRID_VIEW.query, status: DEFAULT_GRID_VIEW.status });
+    onBreedChange(null);
+  };
+
+  return (
+    <div style={{
+      display: 'flex',
+      flexWrap: 'wrap',
+      alignItems: 'center',
+      gap: '0.75rem',
+      marginBottom: '1rem',
+      color: 'rgba(255, 255, 255, 0.8)',
+      fontSize: '0.9rem'
+    }}>
+      {/* Search */}
+      <div style={{ position: 'relative', flex: '1 1 220px', maxWidth: '320px' }}>
+        <Search size={16} style={{ position: 'absolute', left: '0.65rem', top: '50%', transform: 'translateY(-50%)', color: 'rgba(255, 255, 255, 0.5)' }} />
+        <input
+          type="search"
+          value={view.query}
+          onChange={(e) => update({ query: e.target.value })}
+          placeholder="Search filenames…"
+          aria-label="Search filenames"
+          style={{ ...controlStyle, width: '100%', paddingLeft: '2.1rem', boxSizing: 'border-box' }}
+        />
+      </div>
+
+      {/* Status */}
+      <select value={view.status} onChange={(e) => update({ status: e.target.value })} aria-label="Filter by status" style={controlStyle}>
+        <option value="all" style={optionStyle}>All statuses</option>
+        {IMAGE_STATUSES.map(({ value, label }) => (
+          <option key={value} value={value} style={optionStyle}>{label} ({statusCounts[value]})</option>
+        ))}
+      </select>
+
+      {/* Breed */}
+      <select value={breed ?? ''} onChange={(e) => onBreedChange(e.target.value || null)} aria-label="Filter by breed" style={controlStyle}>
+        <option value="" style={optionStyle}>All breeds</option>
+        {breeds.map(name => (
+          <option key={name} value={name} style={optionStyle}>{name}</option>
+        ))}
+      </select>
+
+      {/* Sort */}
+      <select value={view.sort} onChange={(e) => update({ sort: e.target.value })} aria-label="Sort by" style={controlStyle}>
+        {SORT_OPTIONS.map(({ value, label }) => (
+          <option key={value} value={value} style={optionStyle}>Sort: {label}</option>
+        ))}
+      </select>
+      <button
+        onClick={() => update({ descending: !view.descending })}
+        title={view.descending ? 'Descending' : 'Ascending'}
+        style={{ ...controlStyle, cursor: 'pointer', display: 'flex', alignItems: 'center' }}
+      >
+        {view.descending ? <ArrowDownWideNarrow size={16} /> : <ArrowUpNarrowWide size={16} />}
+      </button>
+
+      <span style={{ marginLeft: 'auto' }}>
+        {filtered ? `Showing ${shownCount} of ${totalCount}` : `${totalCount} image${totalCount === 1 ? '' : 's'}`}
+      </span>
+      {filtered && (
+        <button
+          onClick={clearFilters}
+          style={{ ...controlStyle, padding: '0.3rem 0.75rem', cursor: 'pointer', display: 'flex', alignItems: 'center', gap: '0.3rem' }}
+        >
+          <X size={14} /> Clear Filters
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,618 @@
+import React from 'react';
+import { Loader, CheckCircle, Trash2, Sparkles, Eye, Target, BarChart3, Crop, AlertTriangle, BadgeCheck, PenLine, Tag, Square, SquareCheck, WifiOff } from 'lucide-react';
+import { getImageLabel, isUncertain } from '../utils/stats';
+import { isQueuedOffline } from '../utils/offlineQueue';
+
+// Phases the browser can actually observe while a request is in flight
+const ANALYSIS_PHASES = [
+  { key: 'preprocessing', stage: 'Preprocessing', description: 'Orienting, cropping and resizing in the browser' },
+  { key: 'uploading', stage: 'Uploading', description: 'Sending the image to the server' },
+  { key: 'processing', stage: 'Server Processing', description: 'Decoding, resizing and MobileNetV2 inference' }
+];
+
+// Same, when the TensorFlow.js model runs the prediction
+const BROWSER_ANALYSIS_PHASES = [
+  ANALYSIS_PHASES[0],
+  { key: 'inferring', stage: 'In-browser Inference', description: 'Decoding, resizing and MobileNetV2 inference with TensorFlow.js' }
+];
+
+// One image in the results grid. Handlers receive the image id.
+export default function ImageCard({
+  image,
+  thresholds,
+  selected,
+  apiError,
+  offline,
+  browserInference,
+  queuePaused,
+  onRemove,
+  onCrop,
+  onToggleSelect,
+  onAnalyze,
+  onCancel,
+  onOpenDetails,
+  onCorrect
+}) {
+  const queuedOffline = isQueuedOffline(image);
+  const phases = image.progress?.phase === 'inferring' || browserInference ? BROWSER_ANALYSIS_PHASES : ANALYSIS_PHASES;
+
+  return (
+    <div style={{
+      background: 'rgba(255, 255, 255, 0.05)',
+      backdropFilter: 'blur(20px)',
+      borderRadius: '20px',
+      padding: '1.25rem',
+      border: selected ? '1px solid #DEB887' : '1px solid rgba(255, 255, 255, 0.1)',
+      boxShadow: selected ? '0 0 0 2px rgba(222, 184, 135, 0.5), 0 10px 40px rgba(0, 0, 0, 0.3)' : '0 10px 40px rgba(0, 0, 0, 0.3)',
+      position: 'relative'
+    }}>
+      {/* Image Preview */}
+      <div style={{
+        position: 'relative',
+        borderRadius: '12px',
+        overflow: 'hidden',
+        marginBottom: '1rem',
+        border: '2px solid rgba(205, 133, 63, 0.3)'
+      }}>
+        {image.preview ? (
+          <>
+            <img
+              src={image.cropPreview || image.preview}
+              alt={getImageLabel(image)}
+              style={{ width: '100%', height: '200px', objectFit: 'cover', display: 'block' }}
+            />
+            {image.crop && (
+              <div style={{
+                position: 'absolute',
+                left: '0.5rem',
+                bottom: '0.5rem',
+                padding: '0.2rem 0.5rem',
+                background: 'rgba(0, 0, 0, 0.7)',
+                color: '#DEB887',
+                borderRadius: '6px',
+                fontSize: '0.75rem',
+                fontWeight: '700',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '0.3rem'
+              }}>
+                <Crop size={12} />
+                {image.cropIndex ? `Region ${image.cropIndex}` : 'Cropped'}
+              </div>
+            )}
+            {image.expectedLabel && (
+              <div
+                title={image.sourcePath ? `From ${image.sourcePath}` : undefined}
+                style={{
+                  position: 'absolute',
+                  right: '0.5rem',
+                  bottom: '0.5rem',
+                  padding: '0.2rem 0.5rem',
+                  background: 'rgba(0, 0, 0, 0.7)',
+                  color: '#DEB887',
+                  borderRadius: '6px',
+                  fontSize: '0.75rem',
+                  fontWeight: '700',
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '0.3rem'
+                }}
+              >
+                <Tag size={12} />
+                Expected: {image.expectedLabel}
+              </div>
+            )}
+            {image.result && !image.analyzing && isUncertain(image.result, thresholds) && (
+              <div style={{
+                position: 'absolute',
+                left: '0.5rem',
+                top: '0.5rem',
+                padding: '0.2rem 0.5rem',
+                background: 'rgba(255, 152, 0, 0.9)',
+                color: 'white',
+                borderRadius: '6px',
+                fontSize: '0.75rem',
+                fontWeight: '700',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '0.3rem'
+              }}>
+                <AlertTriangle size={12} />
+                Review
+              </div>
+            )}
+            {image.analyzing && (
+              <div style={{
+                position: 'absolute',
+                top: 0,
+                left: 0,
+                right: 0,
+                bottom: 0,
+                background: 'rgba(0, 0, 0, 0.7)',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center'
+              }}>
+                <Eye style={{
+                  width: '40px',
+                  height: '40px',
+                  color: '#CD853F',
+                  animation: 'pulse 1.5s ease-in-out infinite'
+                }} />
+              </div>
+            )}
+          </>
+        ) : (
+          <div style={{
+            width: '100%',
+            height: '200px',
+            background: 'rgba(255, 255, 255, 0.05)',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center'
+          }}>
+            <Loader style={{ animation: 'spin 1s linear infinite', color: '#CD853F' }} size={32} />
+          </div>
+        )}
+      </div>
+
+      {/* Remove Button */}
+      <button
+        onClick={() => onRemove(image.id)}
+        style={{
+          position: 'absolute',
+          top: '1.5rem',
+          right: '1.5rem',
+          background: 'rgba(244, 67, 54, 0.9)',
+          border: 'none',
+          borderRadius: '8px',
+          width: '36px',
+          height: '36px',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          cursor: 'pointer',
+          transition: 'all 0.3s ease',
+          zIndex: 10
+        }}
+        onMouseEnter={(e) => e.currentTarget.style.background = 'rgba(244, 67, 54, 1)'}
+        onMouseLeave={(e) => e.currentTarget.style.background = 'rgba(244, 67, 54, 0.9)'}
+      >
+        <Trash2 size={18} style={{ color: 'white' }} />
+      </button>
+
+      {/* Crop Button */}
+      {image.preview && !image.analyzing && (
+        <button
+          onClick={() => onCrop(image.id)}
+          title="Select a region to classify"
+          style={{
+            position: 'absolute',
+            top: '1.5rem',
+            right: 'calc(1.5rem + 44px)',
+            background: 'rgba(0, 0, 0, 0.6)',
+            border: 'none',
+            borderRadius: '8px',
+            width: '36px',
+            height: '36px',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            cursor: 'pointer',
+            transition: 'all 0.3s ease',
+            zIndex: 10
+          }}
+          onMouseEnter={(e) => e.currentTarget.style.background = 'rgba(205, 133, 63, 0.9)'}
+          onMouseLeave={(e) => e.currentTarget.style.background = 'rgba(0, 0, 0, 0.6)'}
+        >
+          <Crop size={18} style={{ color: 'white' }} />
+        </button>
+      )}
+
+      {/* Select for Comparison */}
+      {image.result && !image.analyzing && (
+        <button
+          onClick={() => onToggleSelect(image.id)}
+          title={selected ? 'Remove from comparison' : 'Select for comparison'}
+          style={{
+            position: 'absolute',
+            top: '1.5rem',
+            right: 'calc(1.5rem + 88px)',
+            background: selected ? 'rgba(205, 133, 63, 0.9)' : 'rgba(0, 0, 0, 0.6)',
+            border: 'none',
+            borderRadius: '8px',
+            width: '36px',
+            height: '36px',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            cursor: 'pointer',
+            transition: 'all 0.3s ease',
+            zIndex: 10
+          }}
+        >
+          {selected
+            ? <SquareCheck size={18} style={{ color: 'white' }} />
+            : <Square size={18} style={{ color: 'white' }} />}
+        </button>
+      )}
+
+      {/* Queued State */}
+      {(image.queued || queuedOffline) && !image.analyzing && (
+        <div style={{
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between',
+          padding: '0.75rem 0.875rem',
+          background: 'rgba(255, 255, 255, 0.05)',
+          borderRadius: '10px',
+          border: '1px solid rgba(255, 255, 255, 0.1)',
+          color: 'rgba(255, 255, 255, 0.7)',
+          fontSize: '0.9rem',
+          fontWeight: '600'
+        }}>
+          {queuedOffline ? (
+            <span
+              title={`Queued ${new Date(image.offlineQueuedAt).toLocaleString()}; sent automatically when the backend is reachable`}
+              style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', color: '#FFCC80' }}
+            >
+              <WifiOff size={16} />
+              Queued offline
+            </span>
+          ) : (
+            <span style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+              <Loader size={16} style={{ color: '#CD853F' }} />
+              {queuePaused ? 'Queued (paused)' : 'Queued'}
+            </span>
+          )}
+          <button
+            onClick={() => onCancel(image.id)}
+            style={{
+              padding: '0.3rem 0.6rem',
+              background: 'transparent',
+              color: '#ef5350',
+              border: '1px solid rgba(244, 67, 54, 0.4)',
+              borderRadius: '6px',
+              fontSize: '0.8rem',
+              fontWeight: '600',
+              cursor: 'pointer'
+            }}
+          >
+            Cancel
+          </button>
+        </div>
+      )}
+
+      {/* Analysis Button */}
+      {!image.result && !image.analyzing && !image.queued && !queuedOffline && (
+        <button
+          onClick={() => onAnalyze(image.id)}
+          disabled={apiError !== null}
+          title={apiError || undefined}
+          style={{
+            width: '100%',
+            padding: '0.875rem',
+            background: apiError ? 'rgba(255, 255, 255, 0.1)' : 'linear-gradient(135deg, #CD853F 0%, #B8860B 100%)',
+            color: 'white',
+            border: 'none',
+            borderRadius: '10px',
+            fontSize: '0.95rem',
+            fontWeight: '700',
+            cursor: apiError ? 'not-allowed' : 'pointer',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            gap: '0.5rem',
+            transition: 'all 0.3s ease',
+            boxShadow: apiError ? 'none' : '0 4px 15px rgba(205, 133, 63, 0.4)'
+          }}
+          onMouseEnter={(e) => !apiError && (e.currentTarget.style.transform = 'scale(1.05)')}
+          onMouseLeave={(e) => !apiError && (e.currentTarget.style.transform = 'scale(1)')}
+        >
+          {offline ? <WifiOff size={18} /> : <Sparkles size={18} />}
+          {offline ? 'Analyze When Online' : 'Analyze This Image'}
+        </button>
+      )}
+
+      {/* Error Display for failed analysis */}
+      {image.error && !image.result && !image.analyzing && (
+        <div style={{
+          marginTop: '0.75rem',
+          padding: '0.75rem',
+          background: 'rgba(244, 67, 54, 0.15)',
+          borderRadius: '10px',
+          border: '1px solid rgba(244, 67, 54, 0.4)',
+          color: '#ef5350',
+          fontSize: '0.85rem',
+          fontWeight: '600',
+          textAlign: 'center'
+        }}>
+          ⚠ {image.error}
+          {!image.queued && (
+            <button
+              onClick={() => onAnalyze(image.id)}
+              disabled={apiError !== null}
+              title={apiError || undefined}
+              style={{
+                display: 'block',
+                width: '100%',
+                marginTop: '0.5rem',
+                padding: '0.5rem',
+                background: 'rgba(205, 133, 63, 0.3)',
+                color: '#DEB887',
+                border: '1px solid rgba(205, 133, 63, 0.5)',
+                borderRadius: '8px',
+                cursor: apiError ? 'not-allowed' : 'pointer',
+                opacity: apiError ? 0.5 : 1,
+                fontWeight: '600',
+                fontSize: '0.85rem'
+              }}
+            >
+              Retry Analysis
+            </button>
+          )}
+        </div>
+      )}
+
+      {/* Detection Progress */}
+      {image.analyzing && image.progress && (
+        <div style={{ marginTop: '1rem' }}>
+          <h4 style={{
+            fontSize: '0.9rem',
+            color: '#DEB887',
+            marginBottom: '0.75rem',
+            fontWeight: '700',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '0.5rem'
+          }}>
+            <Target size={16} /> Detection Process
+            {image.progress.variants && (
+              <span style={{ fontSize: '0.75rem', color: 'rgba(255, 255, 255, 0.6)', fontWeight: '600' }}>
+                Variant {image.progress.variant} of {image.progress.variants}
+              </span>
+            )}
+            <button
+              onClick={() => onCancel(image.id)}
+              style={{
+                marginLeft: 'auto',
+                padding: '0.2rem 0.5rem',
+                background: 'transparent',
+                color: '#ef5350',
+                border: '1px solid rgba(244, 67, 54, 0.4)',
+                borderRadius: '6px',
+                fontSize: '0.75rem',
+                fontWeight: '600',
+                cursor: 'pointer'
+              }}
+            >
+              Cancel
+            </button>
+          </h4>
+          {phases.map((phase, phaseIndex) => {
+            const currentIndex = phases.findIndex(p => p.key === image.progress.phase);
+            const done = phaseIndex < currentIndex;
+            const active = phaseIndex === currentIndex;
+            const width = done
+              ? 100
+              : active && phase.key === 'uploading'
+                ? Math.round(image.progress.uploadProgress * 100)
+                : active ? 100 : 0;
+
+            return (
+              <div
+                key={phase.key}
+                style={{
+                  marginBottom: '0.75rem',
+                  opacity: done || active ? 1 : 0.3,
+                  transition: 'opacity 0.5s ease'
+                }}
+              >
+                <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '0.4rem' }}>
+                  <span style={{ color: 'white', fontWeight: '600', fontSize: '0.8rem' }}>
+                    {phase.stage}
+                    {active && phase.key === 'uploading' && ` — ${width}%`}
+                  </span>
+                  {done && (
+                    <CheckCircle size={14} style={{ color: '#4CAF50' }} />
+                  )}
+                  {active && (
+                    <Loader size={14} style={{ color: '#CD853F', animation: 'spin 1s linear infinite' }} />
+                  )}
+                </div>
+                <div style={{
+                  height: '5px',
+                  background: 'rgba(255, 255, 255, 0.1)',
+                  borderRadius: '3px',
+                  overflow: 'hidden'
+                }}>
+                  <div style={{
+                    height: '100%',
+                    background: 'linear-gradient(90deg, #CD853F 0%, #DEB887 100%)',
+                    width: `${width}%`,
+                    transition: 'width 0.3s ease',
+                    borderRadius: '3px',
+                    // Phases without a measurable percentage pulse instead of faking progress
+                    animation: active && phase.key !== 'uploading' ? 'pulse 1.5s ease-in-out infinite' : 'none'
+                  }} />
+                </div>
+                <p style={{ fontSize: '0.7rem', color: 'rgba(255, 255, 255, 0.5)', marginTop: '0.25rem', marginBottom: 0 }}>
+                  {phase.description}
+                </p>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Results Display */}
+      {image.result && !image.analyzing && (
+        <div style={{ marginTop: '1rem' }}>
+          {/* Main Result */}
+          {isUncertain(image.result, thresholds) ? (
+            <div style={{
+              padding: '1rem',
+              background: 'rgba(255, 152, 0, 0.12)',
+              borderRadius: '12px',
+              border: '1px solid rgba(255, 152, 0, 0.4)',
+              marginBottom: '1rem'
+            }}>
+              <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem', marginBottom: '0.75rem' }}>
+                <AlertTriangle size={24} style={{ color: '#FF9800', flexShrink: 0 }} />
+                <div style={{ flex: 1 }}>
+                  <h3 style={{ fontSize: '1.2rem', color: 'white', margin: 0, fontWeight: '800' }}>
+                    Uncertain
+                  </h3>
+                  <p style={{ fontSize: '0.85rem', color: '#FF9800', margin: '0.25rem 0 0 0', fontWeight: '600' }}>
+                    Needs review — possibly not cattle
+                  </p>
+                </div>
+              </div>
+              {image.result.top5.slice(0, 3).map(pred => (
+                <div
+                  key={pred.breed}
+                  style={{
+                    display: 'flex',
+                    justifyContent: 'space-between',
+                    padding: '0.35rem 0.5rem',
+                    fontSize: '0.9rem',
+                    color: 'rgba(255, 255, 255, 0.85)',
+                    borderTop: '1px solid rgba(255, 255, 255, 0.08)'
+                  }}
+                >
+                  <span style={{ fontWeight: '600' }}>{pred.breed}</span>
+                  <span style={{ color: '#FF9800', fontWeight: '700' }}>{pred.confidence}%</span>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <div style={{
+              padding: '1rem',
+              background: 'linear-gradient(135deg, rgba(205, 133, 63, 0.2) 0%, rgba(184, 134, 11, 0.2) 100%)',
+              borderRadius: '12px',
+              border: '1px solid rgba(205, 133, 63, 0.3)',
+              marginBottom: '1rem'
+            }}>
+              <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem', marginBottom: '0.75rem' }}>
+                <CheckCircle size={24} style={{ color: '#4CAF50', flexShrink: 0 }} />
+                <div style={{ flex: 1 }}>
+                  <h3 style={{ fontSize: '1.2rem', color: 'white', margin: 0, fontWeight: '800' }}>
+                    {image.result.breed}
+                  </h3>
+                  <p style={{ fontSize: '0.85rem', color: '#CD853F', margin: '0.25rem 0 0 0', fontWeight: '600' }}>
+                    Cattle Breed
+                  </p>
+                </div>
+              </div>
+              <div style={{
+                textAlign: 'center',
+                padding: '0.625rem',
+                background: 'rgba(76, 175, 80, 0.2)',
+                borderRadius: '8px',
+                border: '1px solid rgba(76, 175, 80, 0.3)'
+              }}>
+                <div style={{ fontSize: '1.75rem', fontWeight: '800', color: '#4CAF50', lineHeight: 1 }}>
+                  {image.result.confidence}%
+                </div>
+                <div style={{ fontSize: '0.7rem', color: 'rgba(255, 255, 255, 0.7)', marginTop: '0.25rem' }}>
+                  Confidence
+                </div>
+              </div>
+            </div>
+          )}
+
+          {/* Verified Label */}
+          {image.correction && (
+            <div style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: '0.5rem',
+              padding: '0.6rem 0.75rem',
+              marginBottom: '1rem',
+              background: 'rgba(76, 175, 80, 0.15)',
+              borderRadius: '10px',
+              border: '1px solid rgba(76, 175, 80, 0.4)',
+              fontSize: '0.85rem',
+              color: 'white'
+            }}>
+              <BadgeCheck size={18} style={{ color: '#4CAF50', flexShrink: 0 }} />
+              <span>
+                Verified: <strong>{image.correction.breed}</strong>
+                {image.correction.breed !== image.result.breed && (
+                  <span style={{ color: 'rgba(255, 255, 255, 0.6)' }}> (model said {image.result.breed})</span>
+                )}
+              </span>
+            </div>
+          )}
+
+          {/* View Details / Correct Buttons */}
+          <div style={{ display: 'flex', gap: '0.5rem' }}>
+            <button
+              onClick={() => onOpenDetails(image.id)}
+              style={{
+                flex: 1,
+                padding: '0.75rem',
+                background: 'rgba(255, 255, 255, 0.1)',
+                color: 'white',
+                border: '1px solid rgba(255, 255, 255, 0.2)',
+                borderRadius: '10px',
+                fontSize: '0.9rem',
+                fontWeight: '600',
+                cursor: 'pointer',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                gap: '0.5rem',
+                transition: 'all 0.3s ease'
+              }}
+              onMouseEnter={(e) => e.currentTarget.style.background = 'rgba(255, 255, 255, 0.15)'}
+              onMouseLeave={(e) => e.currentTarget.style.background = 'rgba(255, 255, 255, 0.1)'}
+            >
+              <BarChart3 size={18} />
+              View Details
+            </button>
+            <button
+              onClick={() => onCorrect(image.id)}
+              title="Set the correct breed for this image"
+              style={{
+                padding: '0.75rem',
+                background: 'rgba(255, 255, 255, 0.1)',
+                color: 'white',
+                border: '1px solid rgba(255, 255, 255, 0.2)',
+                borderRadius: '10px',
+                fontSize: '0.9rem',
+                fontWeight: '600',
+                cursor: 'pointer',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '0.4rem',
+                transition: 'all 0.3s ease'
+              }}
+              onMouseEnter={(e) => e.currentTarget.style.background = 'rgba(255, 255, 255, 0.15)'}
+              onMouseLeave={(e) => e.currentTarget.style.background = 'rgba(255, 255, 255, 0.1)'}
+            >
+              <PenLine size={16} />
+              Correct
+            </button>
+          </div>
+
+          {/* Error Display */}
+          {image.error && (
+            <div style={{
+              marginTop: '0.75rem',
+              padding: '0.75rem',
+              background: 'rgba(244, 67, 54, 0.15)',
+              borderRadius: '10px',
+              border: '1px solid rgba(244, 67, 54, 0.4)',
+              color: '#ef5350',
+              fontSize: '0.85rem',
+              fontWeight: '600'
+            }}>
+              ⚠ {image.error}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,382 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { Video, SwitchCamera, X, Loader, Play, Pause, Camera } from 'lucide-react';
+import useCameraStream from '../hooks/useCameraStream';
+import { captureFrame } from '../utils/captureFrame';
+import { smoothPredictions } from '../utils/smoothPredictions';
+
+const INTERVAL_OPTIONS = [500, 1000, 2000, 3000];
+const WINDOW_OPTIONS = [1, 3, 5, 10];
+
+// Frames are downscaled before upload; the backend resizes to 224×224 anyway
+const LIVE_FRAME_SIZE = 640;
+
+const selectStyle = {
+  padding: '0.5rem 0.75rem',
+  background: 'rgba(255, 255, 255, 0.1)',
+  color: 'white',
+  border: '1px solid rgba(255, 255, 255, 0.2)',
+  borderRadius: '8px',
+  fontSize: '0.9rem',
+  fontWeight: '600'
+};
+
+export default function LiveClassifier({ analyze, onCapture, onClose }) {
+  const [facingMode, setFacingMode] = useState('environment');
+  const [running, setRunning] = useState(false);
+  const [intervalMs, setIntervalMs] = useState(1000);
+  const [windowSize, setWindowSize] = useState(5);
+  const [prediction, setPrediction] = useState(null);
+  const [frameStats, setFrameStats] = useState({ sent: 0, dropped: 0, latency: null });
+  const [liveError, setLiveError] = useState(null);
+  const { videoRef, ready, error } = useCameraStream(facingMode);
+
+  const inFlightRef = useRef(null);
+  const historyRef = useRef([]);
+
+  useEffect(() => {
+    if (!running || !ready) return undefined;
+
+    const tick = async () => {
+      // Never queue frames behind a slow request; skip this one instead
+      if (inFlightRef.current) {
+        setFrameStats(prev => ({ ...prev, dropped: prev.dropped + 1 }));
+        return;
+      }
+
+      const controller = new AbortController();
+      inFlightRef.current = controller;
+      const startTime = performance.now();
+
+      try {
+        const frame = await captureFrame(videoRef.current, {
+          quality: 0.8,
+          maxSize: LIVE_FRAME_SIZE,
+          filename: 'live-frame.jpg'
+        });
+        const result = await analyze(frame, Date.now(), { signal: controller.signal });
+
+        historyRef.current = [...historyRef.current, result].slice(-windowSize);
+        setPrediction(smoothPredictions(historyRef.current));
+        setFrameStats(prev => ({
+          ...prev,
+          sent: prev.sent + 1,
+          latency: Math.round(performance.now() - startTime)
+        }));
+        setLiveError(null);
+      } catch (err) {
+        if (err.name !== 'AbortError') {
+          setLiveError(err.message || 'Live analysis failed');
+        }
+      } finally {
+        if (inFlightRef.current === controller) {
+          inFlightRef.current = null;
+        }
+      }
+    };
+
+    const interval = setInterval(tick, intervalMs);
+
+    return () => {
+      clearInterval(interval);
+      inFlightRef.current?.abort();
+      inFlightRef.current = null;
+    };
+  }, [running, ready, intervalMs, windowSize, analyze, videoRef]);
+
+  const handleToggleRunning = () => {
+    if (!running) {
+      historyRef.current = [];
+      setPrediction(null);
+      setFrameStats({ sent: 0, dropped: 0, latency: null });
+      setLiveError(null);
+    }
+    setRunning(prev => !prev);
+  };
+
+  const handleSwitchCamera = () => {
+    historyRef.current = [];
+    setPrediction(null);
+    setFacingMode(prev => (prev === 'environment' ? 'user' : 'environment'));
+  };
+
+  const handleSaveFrame = async () => {
+    if (!ready) return;
+    try {
+      onCapture(await captureFrame(videoRef.current));
+    } catch (err) {
+      setLiveError(err.message || 'Capture failed');
+    }
+  };
+
+  const message = error || liveError;
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        background: 'rgba(0, 0, 0, 0.9)',
+        zIndex: 1000,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        padding: '2rem',
+        animation: 'fadeIn 0.3s ease-out'
+      }}
+      onClick={onClose}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          background: 'linear-gradient(135deg, #0f2027 0%, #203a43 100%)',
+          borderRadius: '24px',
+          maxWidth: '900px',
+          width: '100%',
+          maxHeight: '90vh',
+          overflow: 'auto',
+          border: '1px solid rgba(255, 255, 255, 0.2)',
+          boxShadow: '0 30px 80px rgba(0, 0, 0, 0.5)',
+          animation: 'scaleIn 0.4s ease-out',
+          position: 'relative',
+          padding: '2rem'
+        }}
+      >
+        {/* Close Button */}
+        <button
+          onClick={onClose}
+          style={{
+            position: 'absolute',
+            top: '1.5rem',
+            right: '1.5rem',
+            background: 'rgba(255, 255, 255, 0.1)',
+            border: 'none',
+            borderRadius: '8px',
+            width: '40px',
+            height: '40px',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            cursor: 'pointer',
+            zIndex: 10
+          }}
+        >
+          <X size={24} style={{ color: 'white' }} />
+        </button>
+
+        <h2 style={{
+          fontSize: '1.5rem',
+          color: '#DEB887',
+          margin: '0 0 1.5rem 0',
+          fontWeight: '700',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '0.5rem'
+        }}>
+          <Video size={24} /> Live Classification
+        </h2>
+
+        {/* Video with prediction overlay */}
+        <div style={{
+          position: 'relative',
+          borderRadius: '16px',
+          overflow: 'hidden',
+          border: '2px solid rgba(205, 133, 63, 0.3)',
+          background: 'black',
+          aspectRatio: '16 / 9'
+        }}>
+          <video
+            ref={videoRef}
+            playsInline
+            muted
+            style={{
+              width: '100%',
+              height: '100%',
+              objectFit: 'contain',
+              display: 'block',
+              transform: facingMode === 'user' ? 'scaleX(-1)' : 'none'
+            }}
+          />
+          {!ready && !error && (
+            <div style={{
+              position: 'absolute',
+              top: 0,
+              left: 0,
+              right: 0,
+              bottom: 0,
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'center'
+            }}>
+              <Loader style={{ animation: 'spin 1s linear infinite', color: '#CD853F' }} size={40} />
+            </div>
+          )}
+          {prediction && (
+            <div style={{
+              position: 'absolute',
+              left: '1rem',
+              bottom: '1rem',
+              padding: '0.75rem 1rem',
+              background: 'rgba(0, 0, 0, 0.65)',
+              backdropFilter: 'blur(10px)',
+              borderRadius: '12px',
+              border: '1px solid rgba(205, 133, 63, 0.5)',
+              opacity: running ? 1 : 0.6,
+              transition: 'opacity 0.3s ease'
+            }}>
+              <div style={{ fontSize: '1.4rem', color: 'white', fontWeight: '800', lineHeight: 1.1 }}>
+                {prediction.breed}
+              </div>
+              <div style={{ fontSize: '0.9rem', color: '#4CAF50', fontWeight: '700', marginTop: '0.25rem' }}>
+                {prediction.confidence}% · avg of {prediction.frames} frame{prediction.frames === 1 ? '' : 's'}
+              </div>
+            </div>
+          )}
+          {running && (
+            <div style={{
+              position: 'absolute',
+              top: '1rem',
+              left: '1rem',
+              padding: '0.25rem 0.6rem',
+              background: 'rgba(244, 67, 54, 0.9)',
+              color: 'white',
+              borderRadius: '6px',
+              fontSize: '0.75rem',
+              fontWeight: '800',
+              letterSpacing: '0.08em',
+              animation: 'pulse 1.5s ease-in-out infinite'
+            }}>
+              LIVE
+            </div>
+          )}
+        </div>
+
+        {message && (
+          <div style={{
+            marginTop: '1rem',
+            padding: '0.75rem',
+            background: 'rgba(244, 67, 54, 0.15)',
+            borderRadius: '10px',
+            border: '1px solid rgba(244, 67, 54, 0.4)',
+            color: '#ef5350',
+            fontSize: '0.9rem',
+            fontWeight: '600',
+            textAlign: 'center'
+          }}>
+            ⚠ {message}
+          </div>
+        )}
+
+        {/* Sampling Settings */}
+        <div style={{
+          display: 'flex',
+          flexWrap: 'wrap',
+          gap: '1.5rem',
+          marginTop: '1.5rem',
+          alignItems: 'center',
+          color: 'rgba(255, 255, 255, 0.7)',
+          fontSize: '0.9rem'
+        }}>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+            Sample every
+            <select value={intervalMs} onChange={(e) => setIntervalMs(Number(e.target.value))} style={selectStyle}>
+              {INTERVAL_OPTIONS.map(ms => (
+                <option key={ms} value={ms}>{ms / 1000}s</option>
+              ))}
+            </select>
+          </label>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+            Smooth over
+            <select value={windowSize} onChange={(e) => setWindowSize(Number(e.target.value))} style={selectStyle}>
+              {WINDOW_OPTIONS.map(n => (
+                <option key={n} value={n}>{n} frame{n === 1 ? '' : 's'}</option>
+              ))}
+            </select>
+          </label>
+          <span>
+            Sent: <strong style={{ color: 'white' }}>{frameStats.sent}</strong>
+            {' · '}Dropped: <strong style={{ color: 'white' }}>{frameStats.dropped}</strong>
+            {frameStats.latency !== null && (
+              <>{' · '}Latency: <strong style={{ color: 'white' }}>{frameStats.latency} ms</strong></>
+            )}
+          </span>
+        </div>
+
+        {/* Controls */}
+        <div style={{ display: 'flex', gap: '1rem', marginTop: '1.5rem' }}>
+          <button
+            onClick={handleSwitchCamera}
+            title="Switch between front and rear camera"
+            style={{
+              padding: '1rem 1.25rem',
+              background: 'rgba(255, 255, 255, 0.1)',
+              color: 'white',
+              border: '1px solid rgba(255, 255, 255, 0.2)',
+              borderRadius: '12px',
+              fontSize: '1rem',
+              fontWeight: '600',
+              cursor: 'pointer',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '0.5rem'
+            }}
+          >
+            <SwitchCamera size={20} />
+            {facingMode === 'environment' ? 'Rear' : 'Front'}
+          </button>
+          <button
+            onClick={handleToggleRunning}
+            disabled={!ready}
+            style={{
+              flex: 1,
+              padding: '1rem',
+              background: !ready
+                ? 'rgba(255, 255, 255, 0.1)'
+                : running
+                  ? 'rgba(244, 67, 54, 0.8)'
+                  : 'linear-gradient(135deg, #CD853F 0%, #B8860B 100%)',
+              color: 'white',
+              border: 'none',
+              borderRadius: '12px',
+              fontSize: '1.1rem',
+              fontWeight: '700',
+              cursor: !ready ? 'not-allowed' : 'pointer',
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'center',
+              gap: '0.5rem'
+            }}
+          >
+            {running ? <Pause size={20} /> : <Play size={20} />}
+            {running ? 'Stop Live Analysis' : 'Start Live Analysis'}
+          </button>
+          {onCapture && (
+            <button
+              onClick={handleSaveFrame}
+              disabled={!ready}
+              title="Add the current frame to the batch"
+              style={{
+                padding: '1rem 1.25rem',
+                background: 'rgba(255, 255, 255, 0.1)',
+                color: 'white',
+                border: '1px solid rgba(255, 255, 255, 0.2)',
+                borderRadius: '12px',
+                fontSize: '1rem',
+                fontWeight: '600',
+                cursor: !ready ? 'not-allowed' : 'pointer',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '0.5rem'
+              }}
+            >
+              <Camera size={20} />
+              Save Frame
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
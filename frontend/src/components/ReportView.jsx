@@ -0,0 +1,203 @@
+import React from 'react';
+import { createPortal } from 'react-dom';
+import { Printer, X } from 'lucide-react';
+import { getBatchStats, getBreedDistribution, getImageLabel, isUncertain } from '../utils/stats';
+
+const cellStyle = {
+  padding: '6px 8px',
+  borderBottom: '1px solid #ddd',
+  textAlign: 'left',
+  verticalAlign: 'top',
+  fontSize: '12px'
+};
+
+const headerCellStyle = {
+  ...cellStyle,
+  background: '#f3ece3',
+  fontWeight: 700,
+  borderBottom: '2px solid #CD853F'
+};
+
+// Print-friendly report rendered outside #root so the whole app can be hidden when printing
+export default function ReportView({ images, sessionName, thresholds, onClose }) {
+  const analyzed = images.filter(img => img.result);
+  const stats = getBatchStats(images, thresholds);
+  const distribution = getBreedDistribution(images);
+
+  return createPortal(
+    <div className="print-report" style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      zIndex: 2000,
+      overflow: 'auto',
+      background: '#f5f5f5',
+      color: '#222',
+      fontFamily: '"Plus Jakarta Sans", system-ui, sans-serif'
+    }}>
+      {/* Toolbar (hidden when printing) */}
+      <div className="no-print" style={{
+        position: 'sticky',
+        top: 0,
+        display: 'flex',
+        justifyContent: 'flex-end',
+        gap: '0.75rem',
+        padding: '1rem 2rem',
+        background: '#0f2027',
+        zIndex: 1
+      }}>
+        <button
+          onClick={() => window.print()}
+          style={{
+            padding: '0.6rem 1.2rem',
+            background: 'linear-gradient(135deg, #CD853F 0%, #B8860B 100%)',
+            color: 'white',
+            border: 'none',
+            borderRadius: '10px',
+            fontWeight: 700,
+            cursor: 'pointer',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '0.5rem'
+          }}
+        >
+          <Printer size={18} /> Print / Save as PDF
+        </button>
+        <button
+          onClick={onClose}
+          style={{
+            padding: '0.6rem 1.2rem',
+            background: 'rgba(255, 255, 255, 0.1)',
+            color: 'white',
+            border: '1px solid rgba(255, 255, 255, 0.2)',
+            borderRadius: '10px',
+            fontWeight: 600,
+            cursor: 'pointer',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '0.5rem'
+          }}
+        >
+          <X size={18} /> Close
+        </button>
+      </div>
+
+      <div className="report-page" style={{
+        maxWidth: '900px',
+        margin: '2rem auto',
+        padding: '2.5rem',
+        background: 'white',
+        boxShadow: '0 4px 30px rgba(0, 0, 0, 0.1)'
+      }}>
+        <h1 style={{ margin: 0, fontSize: '26px', color: '#8B5A2B' }}>Cattle Breed Classification Report</h1>
+        <p style={{ margin: '6px 0 24px 0', color: '#666', fontSize: '13px' }}>
+          {sessionName && <><strong>{sessionName}</strong> · </>}
+          Generated {new Date().toLocaleString()} · MobileNetV2, 50 Indian cattle breeds
+        </p>
+
+        {/* Summary */}
+        <h2 style={{ fontSize: '17px', margin: '0 0 10px 0' }}>Summary</h2>
+        <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: '24px' }}>
+          <tbody>
+            <tr>
+              <td style={cellStyle}>Total images</td>
+              <td style={{ ...cellStyle, fontWeight: 700 }}>{stats.total}</td>
+              <td style={cellStyle}>Analyzed</td>
+              <td style={{ ...cellStyle, fontWeight: 700 }}>{stats.analyzed}</td>
+            </tr>
+            <tr>
+              <td style={cellStyle}>Unique breeds</td>
+              <td style={{ ...cellStyle, fontWeight: 700 }}>{stats.uniqueBreeds}</td>
+              <td style={cellStyle}>Average confidence</td>
+              <td style={{ ...cellStyle, fontWeight: 700 }}>{stats.avgConfidence}%</td>
+            </tr>
+            <tr>
+              <td style={cellStyle}>Uncertain (needs review)</td>
+              <td style={{ ...cellStyle, fontWeight: 700 }}>{stats.uncertain}</td>
+              <td style={cellStyle}>Thresholds</td>
+              <td style={cellStyle}>≥ {thresholds.minConfidence}% confidence, ≥ {thresholds.minMargin} pt margin</td>
+            </tr>
+          </tbody>
+        </table>
+
+        {/* Breed Distribution */}
+        <h2 style={{ fontSize: '17px', margin: '0 0 10px 0' }}>Breed Distribution</h2>
+        <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: '24px' }}>
+          <thead>
+            <tr>
+              <th style={headerCellStyle}>Breed</th>
+              <th style={headerCellStyle}>Images</th>
+              <th style={headerCellStyle}>Share</th>
+              <th style={headerCellStyle}>Avg confidence</th>
+            </tr>
+          </thead>
+          <tbody>
+            {distribution.map(row => (
+              <tr key={row.breed}>
+                <td style={cellStyle}>{row.breed}</td>
+                <td style={cellStyle}>{row.count}</td>
+                <td style={cellStyle}>{row.share.toFixed(1)}%</td>
+                <td style={cellStyle}>{row.avgConfidence.toFixed(1)}%</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {/* Per-image Results */}
+        <h2 style={{ fontSize: '17px', margin: '0 0 10px 0' }}>Results</h2>
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr>
+              <th style={headerCellStyle}>Image</th>
+              <th style={headerCellStyle}>File</th>
+              <th style={headerCellStyle}>Predicted breed</th>
+              <th style={headerCellStyle}>Top 5</th>
+            </tr>
+          </thead>
+          <tbody>
+            {analyzed.map(img => (
+              <tr key={img.id} style={{ breakInside: 'avoid' }}>
+                <td style={cellStyle}>
+                  <img
+                    src={img.cropPreview || img.preview}
+                    alt={getImageLabel(img)}
+                    style={{ width: '90px', height: '68px', objectFit: 'cover', borderRadius: '4px', display: 'block' }}
+                  />
+                </td>
+                <td style={{ ...cellStyle, wordBreak: 'break-all' }}>{getImageLabel(img)}</td>
+                <td style={cellStyle}>
+                  <strong>{img.result.breed}</strong>
+                  <div style={{ color: '#666' }}>{img.result.confidence}%</div>
+                  {isUncertain(img.result, thresholds) && (
+                    <div style={{ color: '#c56a00', fontWeight: 700 }}>Uncertain — review</div>
+                  )}
+                  {img.correction && (
+                    <div style={{ color: '#2e7d32', fontWeight: 700 }}>Verified: {img.correction.breed}</div>
+                  )}
+                </td>
+                <td style={cellStyle}>
+                  {img.result.top5.map(pred => (
+                    <div key={pred.breed}>{pred.breed} — {pred.confidence}%</div>
+                  ))}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <style>{`
+        @media print {
+          #root { display: none !important; }
+          body { background: white !important; display: block !important; }
+          .no-print { display: none !important; }
+          .print-report { position: static !important; overflow: visible !important; background: white !important; }
+          .report-page { margin: 0 !important; padding: 0 !important; box-shadow: none !important; max-width: none !important; }
+        }
+      `}</style>
+    </div>,
+    document.body
+  );
+}
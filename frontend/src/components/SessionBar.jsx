@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+import { History, Plus, Trash2, Check } from 'lucide-react';
+
+const controlStyle = {
+  padding: '0.5rem 0.75rem',
+  background: 'rgba(255, 255, 255, 0.1)',
+  color: 'white',
+  border: '1px solid rgba(255, 255, 255, 0.2)',
+  borderRadius: '10px',
+  fontSize: '0.9rem',
+  fontWeight: '600'
+};
+
+export default function SessionBar({ sessions, currentSession, storageError, onCreate, onSwitch, onRename, onDelete }) {
+  const [draftName, setDraftName] = useState(null);
+
+  if (storageError && !currentSession) {
+    return (
+      <div style={{ marginBottom: '1.5rem', color: 'rgba(255, 255, 255, 0.6)', fontSize: '0.85rem', textAlign: 'center' }}>
+        ⚠ Sessions are not saved: {storageError}
+      </div>
+    );
+  }
+  if (!currentSession) return null;
+
+  const handleCreate = () => {
+    const name = window.prompt('Name for the new session (e.g. farm visit):', '');
+    if (name === null) return;
+    onCreate(name.trim());
+  };
+
+  const handleDelete = () => {
+    const confirmed = window.confirm(
+      `Delete session "${currentSession.name}" and all of its images and results? This cannot be undone.`
+    );
+    if (confirmed) onDelete(currentSession.id);
+  };
+
+  const commitRename = () => {
+    if (draftName !== null && draftName.trim() && draftName.trim() !== currentSession.name) {
+      onRename(draftName);
+    }
+    setDraftName(null);
+  };
+
+  return (
+    <div style={{
+      display: 'flex',
+      flexWrap: 'wrap',
+      alignItems: 'center',
+      gap: '0.75rem',
+      marginBottom: '1.5rem',
+      padding: '0.875rem 1.25rem',
+      background: 'rgba(255, 255, 255, 0.05)',
+      backdropFilter: 'blur(20px)',
+      borderRadius: '16px',
+      border: '1px solid rgba(255, 255, 255, 0.1)'
+    }}>
+      <History size={20} style={{ color: '#CD853F' }} />
+      <select
+        value={currentSession.id}
+        onChange={(e) => onSwitch(e.target.value)}
+        title="Switch session"
+        style={{ ...controlStyle, maxWidth: '260px' }}
+      >
+        {sessions.map(session => (
+          <option key={session.id} value={session.id}>
+            {session.name} ({session.imageOrder.length})
+          </option>
+        ))}
+      </select>
+      <input
+        value={draftName ?? currentSession.name}
+        onChange={(e) => setDraftName(e.target.value)}
+        onBlur={commitRename}
+        onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+        aria-label="Session name"
+        style={{ ...controlStyle, flex: 1, minWidth: '180px', fontWeight: '500' }}
+      />
+      {draftName !== null && (
+        <Check size={18} style={{ color: '#4CAF50' }} />
+      )}
+      <button onClick={handleCreate} style={{ ...controlStyle, cursor: 'pointer', display: 'flex', alignItems: 'center', gap: '0.4rem' }}>
+        <Plus size={16} />
+        New Session
+      </button>
+      <button
+        onClick={handleDelete}
+        title="Delete this session"
+        style={{ ...controlStyle, cursor: 'pointer', display: 'flex', alignItems: 'center', color: '#ef5350', border: '1px solid rgba(244, 67, 54, 0.4)' }}
+      >
+        <Trash2 size={16} />
+      </button>
+      {storageError && (
+        <span style={{ width: '100%', color: '#ef5350', fontSize: '0.8rem' }}>⚠ {storageError}</span>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,268 @@
+import React, { useState } from 'react';
+import { PREPROCESS_MAX_SIZES, PREPROCESS_FORMATS, QUEUE_CONCURRENCY_OPTIONS, DEFAULT_API_BASE, INFERENCE_MODES, BROWSER_MODEL_URL, TTA_VARIANTS } from '../config';
+import { loadModelInWorker } from '../utils/imageWorkers';
+
+const sectionStyle = {
+  padding: '1.25rem',
+  background: 'rgba(255, 255, 255, 0.03)',
+  borderRadius: '12px',
+  border: '1px solid rgba(255, 255, 255, 0.1)'
+};
+
+const headingStyle = {
+  fontSize: '1rem',
+  color: '#DEB887',
+  margin: '0 0 1rem 0',
+  fontWeight: '700'
+};
+
+const labelStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  justifyContent: 'space-between',
+  gap: '1rem',
+  color: 'rgba(255, 255, 255, 0.8)',
+  fontSize: '0.9rem',
+  marginBottom: '0.75rem'
+};
+
+const inputStyle = {
+  padding: '0.4rem 0.6rem',
+  background: 'rgba(255, 255, 255, 0.1)',
+  color: 'white',
+  border: '1px solid rgba(255, 255, 255, 0.2)',
+  borderRadius: '8px',
+  fontSize: '0.9rem',
+  fontWeight: '600'
+};
+
+const INFERENCE_HINTS = {
+  server: 'Every image is sent to the backend.',
+  browser: 'Images never leave this device. The model (about 10 MB) is downloaded once and cached.',
+  auto: 'Uses the backend while it is reachable and the in-browser model otherwise.'
+};
+
+export default function SettingsPanel({ preprocess, onPreprocessChange, queueSettings, onQueueSettingsChange, thresholds, onThresholdsChange, apiBaseUrl, onApiBaseUrlChange, inferenceSettings, onInferenceSettingsChange }) {
+  const [draftUrl, setDraftUrl] = useState(null);
+  const [modelStatus, setModelStatus] = useState(null);
+
+  const updatePreprocess = (changes) => onPreprocessChange({ ...preprocess, ...changes });
+  const updateQueue = (changes) => onQueueSettingsChange({ ...queueSettings, ...changes });
+  const updateThresholds = (changes) => onThresholdsChange({ ...thresholds, ...changes });
+  const updateInference = (changes) => onInferenceSettingsChange({ ...inferenceSettings, ...changes });
+  const inferenceMode = inferenceSettings.mode;
+
+  const handleLoadModel = async () => {
+    setModelStatus({ loading: true, message: 'Downloading model…' });
+    try {
+      const { classNames, backend } = await loadModelInWorker();
+      setModelStatus({ loading: false, message: `Ready: ${classNames.length} classes on ${backend}` });
+    } catch (err) {
+      setModelStatus({ loading: false, message: err.detail ? `${err.message} (${err.detail})` : err.message, error: true });
+    }
+  };
+
+  const commitUrl = () => {
+    if (draftUrl !== null) onApiBaseUrlChange(draftUrl.trim() || DEFAULT_API_BASE);
+    setDraftUrl(null);
+  };
+
+  return (
+    <div style={{
+      display: 'grid',
+      gridTemplateColumns: 'repeat(auto-fit, minmax(280px, 1fr))',
+      gap: '1rem',
+      marginTop: '1.5rem',
+      animation: 'fadeIn 0.3s ease-out'
+    }}>
+      {/* Backend */}
+      <div style={sectionStyle}>
+        <h3 style={headingStyle}>Backend</h3>
+        <label style={{ ...labelStyle, flexDirection: 'column', alignItems: 'stretch', gap: '0.5rem' }}>
+          API base URL
+          <input
+            value={draftUrl ?? apiBaseUrl}
+            onChange={(e) => setDraftUrl(e.target.value)}
+            onBlur={commitUrl}
+            onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+            placeholder={DEFAULT_API_BASE}
+            spellCheck={false}
+            style={{ ...inputStyle, fontWeight: '500' }}
+          />
+        </label>
+        <button
+          onClick={() => onApiBaseUrlChange(DEFAULT_API_BASE)}
+          disabled={apiBaseUrl === DEFAULT_API_BASE}
+          style={{
+            ...inputStyle,
+            cursor: apiBaseUrl === DEFAULT_API_BASE ? 'not-allowed' : 'pointer',
+            opacity: apiBaseUrl === DEFAULT_API_BASE ? 0.4 : 1
+          }}
+        >
+          Reset to default ({DEFAULT_API_BASE})
+        </button>
+        <p style={{ fontSize: '0.75rem', color: 'rgba(255, 255, 255, 0.5)', margin: '0.75rem 0 0 0' }}>
+          e.g. http://lab-server:8000. A remote backend must allow this page's origin in its CORS settings.
+        </p>
+      </div>
+
+      {/* Inference */}
+      <div style={sectionStyle}>
+        <h3 style={headingStyle}>Inference</h3>
+        <label style={labelStyle}>
+          Run predictions on
+          <select value={inferenceMode} onChange={(e) => updateInference({ mode: e.target.value })} style={inputStyle}>
+            {INFERENCE_MODES.map(({ value, label }) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <p style={{ fontSize: '0.8rem', color: 'rgba(255, 255, 255, 0.6)', margin: '0 0 0.75rem 0' }}>
+          {INFERENCE_HINTS[inferenceMode]}
+        </p>
+        {inferenceMode !== 'server' && (
+          <>
+            <button
+              onClick={handleLoadModel}
+              disabled={modelStatus?.loading}
+              style={{ ...inputStyle, cursor: modelStatus?.loading ? 'wait' : 'pointer' }}
+            >
+              Download browser model now
+            </button>
+            <p style={{ fontSize: '0.75rem', color: modelStatus?.error ? '#ef9a9a' : 'rgba(255, 255, 255, 0.5)', margin: '0.75rem 0 0 0', wordBreak: 'break-word' }}>
+              {modelStatus?.message || `Loaded from ${BROWSER_MODEL_URL} on first use.`}
+            </p>
+          </>
+        )}
+        <label style={{ ...labelStyle, margin: '1rem 0 0 0' }}>
+          High accuracy (test-time augmentation)
+          <input
+            type="checkbox"
+            checked={inferenceSettings.highAccuracy}
+            onChange={(e) => updateInference({ highAccuracy: e.target.checked })}
+          />
+        </label>
+        <p style={{ fontSize: '0.75rem', color: 'rgba(255, 255, 255, 0.5)', margin: '0.5rem 0 0 0' }}>
+          Classifies {TTA_VARIANTS.length} variants of every image ({TTA_VARIANTS.slice(1).map(variant => variant.label.toLowerCase()).join(', ')}) and averages them.
+          More stable, but {TTA_VARIANTS.length}× the predictions per image.
+        </p>
+      </div>
+
+      {/* Upload Preprocessing */}
+      <div style={sectionStyle}>
+        <h3 style={headingStyle}>Upload Preprocessing</h3>
+        <label style={labelStyle}>
+          Resize & re-encode before upload
+          <input
+            type="checkbox"
+            checked={preprocess.enabled}
+            onChange={(e) => updatePreprocess({ enabled: e.target.checked })}
+          />
+        </label>
+        <label style={{ ...labelStyle, opacity: preprocess.enabled ? 1 : 0.4 }}>
+          Max size (longest side)
+          <select
+            value={preprocess.maxSize}
+            disabled={!preprocess.enabled}
+            onChange={(e) => updatePreprocess({ maxSize: Number(e.target.value) })}
+            style={inputStyle}
+          >
+            {PREPROCESS_MAX_SIZES.map(size => (
+              <option key={size} value={size}>{size}px</option>
+            ))}
+          </select>
+        </label>
+        <label style={{ ...labelStyle, opacity: preprocess.enabled ? 1 : 0.4 }}>
+          Format
+          <select
+            value={preprocess.format}
+            disabled={!preprocess.enabled}
+            onChange={(e) => updatePreprocess({ format: e.target.value })}
+            style={inputStyle}
+          >
+            {PREPROCESS_FORMATS.map(({ value, label }) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label style={{ ...labelStyle, opacity: preprocess.enabled ? 1 : 0.4, marginBottom: 0 }}>
+          Quality ({Math.round(preprocess.quality * 100)}%)
+          <input
+            type="range"
+            min="0.5"
+            max="1"
+            step="0.05"
+            value={preprocess.quality}
+            disabled={!preprocess.enabled}
+            onChange={(e) => updatePreprocess({ quality: Number(e.target.value) })}
+          />
+        </label>
+        <p style={{ fontSize: '0.75rem', color: 'rgba(255, 255, 255, 0.5)', margin: '0.75rem 0 0 0' }}>
+          EXIF orientation is always applied. The server resizes to 224×224, so larger uploads only cost bandwidth.
+        </p>
+      </div>
+
+      {/* Batch Queue */}
+      <div style={sectionStyle}>
+        <h3 style={headingStyle}>Batch Analysis</h3>
+        <label style={labelStyle}>
+          Parallel requests
+          <select
+            value={queueSettings.concurrency}
+            onChange={(e) => updateQueue({ concurrency: Number(e.target.value) })}
+            style={inputStyle}
+          >
+            {QUEUE_CONCURRENCY_OPTIONS.map(n => (
+              <option key={n} value={n}>{n}</option>
+            ))}
+          </select>
+        </label>
+        <label style={{ ...labelStyle, marginBottom: 0 }}>
+          Automatic retries per image
+          <select
+            value={queueSettings.maxRetries}
+            onChange={(e) => updateQueue({ maxRetries: Number(e.target.value) })}
+            style={inputStyle}
+          >
+            {[0, 1, 2, 3, 5].map(n => (
+              <option key={n} value={n}>{n}</option>
+            ))}
+          </select>
+        </label>
+        <p style={{ fontSize: '0.75rem', color: 'rgba(255, 255, 255, 0.5)', margin: '0.75rem 0 0 0' }}>
+          Failed requests are retried with exponential backoff before the image is marked as failed.
+        </p>
+      </div>
+
+      {/* Result Thresholds */}
+      <div style={sectionStyle}>
+        <h3 style={headingStyle}>Result Thresholds</h3>
+        <label style={labelStyle}>
+          Minimum confidence ({thresholds.minConfidence}%)
+          <input
+            type="range"
+            min="0"
+            max="95"
+            step="5"
+            value={thresholds.minConfidence}
+            onChange={(e) => updateThresholds({ minConfidence: Number(e.target.value) })}
+          />
+        </label>
+        <label style={{ ...labelStyle, marginBottom: 0 }}>
+          Minimum lead over runner-up ({thresholds.minMargin} pts)
+          <input
+            type="range"
+            min="0"
+            max="30"
+            step="1"
+            value={thresholds.minMargin}
+            onChange={(e) => updateThresholds({ minMargin: Number(e.target.value) })}
+          />
+        </label>
+        <p style={{ fontSize: '0.75rem', color: 'rgba(255, 255, 255, 0.5)', margin: '0.75rem 0 0 0' }}>
+          Results below either threshold are shown as Uncertain, flagged for review and left out of the average confidence.
+        </p>
+      </div>
+    </div>
+  );
+}
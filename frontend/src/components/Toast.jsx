@@ -0,0 +1,86 @@
+import React, { useEffect } from 'react';
+import { X } from 'lucide-react';
+
+const TONES = {
+  info: { border: 'rgba(205, 133, 63, 0.5)', accent: '#DEB887' },
+  error: { border: 'rgba(244, 67, 54, 0.5)', accent: '#ef5350' }
+};
+
+// Bottom-of-screen notification with an optional action (e.g. Undo) and an optional
+// list of detail lines. Dismisses itself after `duration` ms unless duration is null.
+// `bottom` lets a second toast stack above the first.
+export default function Toast({ message, details, actionLabel, onAction, onDismiss, tone = 'info', duration = 8000, bottom = '2rem' }) {
+  useEffect(() => {
+    if (duration === null) return undefined;
+    const timer = setTimeout(onDismiss, duration);
+    return () => clearTimeout(timer);
+  }, [duration, onDismiss]);
+
+  const colors = TONES[tone] || TONES.info;
+
+  return (
+    <div style={{
+      position: 'fixed',
+      left: '50%',
+      bottom,
+      transform: 'translateX(-50%)',
+      zIndex: 1200,
+      minWidth: '320px',
+      maxWidth: 'min(640px, calc(100vw - 2rem))',
+      padding: '1rem 1.25rem',
+      background: 'rgba(15, 32, 39, 0.97)',
+      borderRadius: '14px',
+      border: `1px solid ${colors.border}`,
+      boxShadow: '0 20px 60px rgba(0, 0, 0, 0.5)',
+      color: 'white',
+      animation: 'fadeInUp 0.3s ease-out'
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '1rem' }}>
+        <span style={{ flex: 1, fontWeight: '600', fontSize: '0.95rem' }}>{message}</span>
+        {actionLabel && (
+          <button
+            onClick={onAction}
+            style={{
+              padding: '0.4rem 0.875rem',
+              background: 'transparent',
+              color: colors.accent,
+              border: `1px solid ${colors.border}`,
+              borderRadius: '8px',
+              fontSize: '0.9rem',
+              fontWeight: '700',
+              cursor: 'pointer'
+            }}
+          >
+            {actionLabel}
+          </button>
+        )}
+        <button
+          onClick={onDismiss}
+          style={{
+            background: 'transparent',
+            border: 'none',
+            padding: '0.25rem',
+            cursor: 'pointer',
+            display: 'flex'
+          }}
+        >
+          <X size={18} style={{ color: 'rgba(255, 255, 255, 0.6)' }} />
+        </button>
+      </div>
+      {details?.length > 0 && (
+        <ul style={{
+          margin: '0.75rem 0 0 0',
+          padding: '0 0 0 1.1rem',
+          maxHeight: '160px',
+          overflow: 'auto',
+          fontSize: '0.85rem',
+          color: 'rgba(255, 255, 255, 0.75)'
+        }}>
+          {details.map((line, index) => (
+            <li key={index} style={{ marginBottom: '0.25rem', wordBreak: 'break-word' }}>{line}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
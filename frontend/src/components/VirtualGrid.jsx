@@ -0,0 +1,65 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { useWindowVirtualizer } from '@tanstack/react-virtual';
+
+// Responsive card grid that only mounts the rows near the viewport. The page itself
+// scrolls, so rows are positioned against the window; cards can differ in height and
+// each row is measured after it renders.
+export default function VirtualGrid({ items, getKey, renderItem, minColumnWidth = 320, gap = 24, estimatedRowHeight = 480 }) {
+  const containerRef = useRef(null);
+  const [layout, setLayout] = useState({ width: 0, top: 0 });
+
+  // Width decides the column count; top is where the grid starts on the page, which
+  // moves whenever panels above it open or close
+  useEffect(() => {
+    const container = containerRef.current;
+    const measure = () => {
+      const width = container.clientWidth;
+      const top = container.getBoundingClientRect().top + window.scrollY;
+      setLayout(prev => (prev.width === width && prev.top === top ? prev : { width, top }));
+    };
+    const observer = new ResizeObserver(measure);
+    observer.observe(container);
+    observer.observe(document.body);
+    return () => observer.disconnect();
+  }, []);
+
+  const columns = Math.max(1, Math.floor((layout.width + gap) / (minColumnWidth + gap)));
+  const rowCount = Math.ceil(items.length / columns);
+
+  const virtualizer = useWindowVirtualizer({
+    count: rowCount,
+    estimateSize: () => estimatedRowHeight,
+    overscan: 2,
+    scrollMargin: layout.top
+  });
+
+  return (
+    <div ref={containerRef} style={{ position: 'relative', height: `${virtualizer.getTotalSize()}px` }}>
+      {virtualizer.getVirtualItems().map(row => {
+        const rowItems = items.slice(row.index * columns, (row.index + 1) * columns);
+        return (
+          <div
+            key={row.key}
+            data-index={row.index}
+            ref={virtualizer.measureElement}
+            style={{
+              position: 'absolute',
+              top: 0,
+              left: 0,
+              width: '100%',
+              transform: `translateY(${row.start - virtualizer.options.scrollMargin}px)`,
+              display: 'grid',
+              gridTemplateColumns: `repeat(${columns}, minmax(0, 1fr))`,
+              gap: `${gap}px`,
+              paddingBottom: `${gap}px`
+            }}
+          >
+            {rowItems.map(item => (
+              <React.Fragment key={getKey(item)}>{renderItem(item)}</React.Fragment>
+            ))}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
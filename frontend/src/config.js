@@ -0,0 +1,102 @@
+// Default client-side preprocessing applied before an image is uploaded to /predict
+export const DEFAULT_PREPROCESS = {
+  enabled: true,
+  maxSize: 1024,
+  format: 'image/jpeg',
+  quality: 0.9
+};
+
+export const PREPROCESS_MAX_SIZES = [224, 512, 1024, 2048];
+
+export const PREPROCESS_FORMATS = [
+  { value: 'image/jpeg', label: 'JPEG' },
+  { value: 'image/webp', label: 'WebP' }
+];
+
+// Batch analysis queue: parallel requests and automatic retries for failed jobs
+export const DEFAULT_QUEUE = {
+  concurrency: 3,
+  maxRetries: 2,
+  retryDelay: 1000
+};
+
+export const QUEUE_CONCURRENCY_OPTIONS = [1, 2, 3, 4, 6, 8];
+
+// Results below the confidence floor, or whose runner-up is within minMargin points,
+// are shown as "Uncertain" and flagged for review
+export const DEFAULT_THRESHOLDS = {
+  minConfidence: 60,
+  minMargin: 5
+};
+
+// Backend URL: VITE_API_BASE_URL at build time, otherwise the dev server's /api proxy.
+// Can be overridden at runtime from the settings panel.
+export const DEFAULT_API_BASE = import.meta.env.VITE_API_BASE_URL || '/api';
+
+export const HEALTH_POLL_INTERVAL = 10000;
+
+// Where predictions run: the FastAPI backend, a TensorFlow.js copy of the model in the
+// browser, or the backend with the browser model as a fallback when it is unreachable
+export const INFERENCE_MODES = [
+  { value: 'server', label: 'Server' },
+  { value: 'browser', label: 'Browser' },
+  { value: 'auto', label: 'Auto (server, browser fallback)' }
+];
+
+export const DEFAULT_INFERENCE = { mode: 'server', highAccuracy: false };
+
+// "High accuracy" test-time augmentation: every image is classified once per variant and the
+// probability vectors are averaged. The unmodified image must stay first.
+export const TTA_VARIANTS = [
+  { id: 'original', label: 'Original' },
+  { id: 'flip', label: 'Horizontal flip', flip: true },
+  { id: 'crop-90', label: 'Center crop 90%', crop: 0.9 },
+  { id: 'crop-80', label: 'Center crop 80%', crop: 0.8 },
+  { id: 'brighter', label: 'Brightness +10%', brightness: 1.1 },
+  { id: 'darker', label: 'Brightness −10%', brightness: 0.9 }
+];
+
+// TF.js graph model exported by backend/export_tfjs.py, with metadata.json beside it
+export const BROWSER_MODEL_URL = import.meta.env.VITE_TFJS_MODEL_URL || `${import.meta.env.BASE_URL}model/model.json`;
+
+// Web Workers for decoding, thumbnails, hashing, preprocessing and browser inference;
+// one core is left for the page itself
+export const IMAGE_WORKER_COUNT = Math.max(1, Math.min(4, (globalThis.navigator?.hardwareConcurrency || 2) - 1));
+
+// Longest side of the card thumbnails generated when an image is added
+export const THUMBNAIL_SIZE = 480;
+
+// "Why this breed?" occlusion heatmap: the analyzed region is scaled to inputSize, split into
+// grid × grid cells and re-classified once per masked cell (grid² + 1 predictions)
+export const OCCLUSION = {
+  grid: 8,
+  inputSize: 448,
+  concurrency: 3
+};
+
+// Formats browsers and the backend read directly; the first type is the canonical one
+export const UPLOAD_FORMATS = [
+  { types: ['image/jpeg'], extensions: ['jpg', 'jpeg'] },
+  { types: ['image/png'], extensions: ['png'] },
+  { types: ['image/webp'], extensions: ['webp'] },
+  { types: ['image/bmp'], extensions: ['bmp'] },
+  { types: ['image/gif'], extensions: ['gif'] }
+];
+
+// Checked in the browser before an image is added to the batch
+export const UPLOAD_RULES = {
+  allowedTypes: UPLOAD_FORMATS.flatMap(format => format.types),
+  allowedExtensions: UPLOAD_FORMATS.flatMap(format => format.extensions),
+  maxBytes: 20 * 1024 * 1024,
+  minWidth: 64,
+  minHeight: 64
+};
+
+// Phone/scanner formats browsers and the backend cannot read; converted to JPEG before upload
+export const CONVERTIBLE_FORMATS = [
+  { label: 'HEIC', types: ['image/heic', 'image/heic-sequence'], extensions: ['heic'] },
+  { label: 'HEIF', types: ['image/heif', 'image/heif-sequence'], extensions: ['heif', 'hif'] },
+  { label: 'TIFF', types: ['image/tiff'], extensions: ['tif', 'tiff'] }
+];
+
+export const CONVERSION_QUALITY = 0.92;
@@ -0,0 +1,55 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { getHealth } from '../api/client';
+import { HEALTH_POLL_INTERVAL } from '../config';
+
+const CHECKING = { state: 'checking', numClasses: null, error: null };
+
+// Polls GET /health for the given backend.
+// state: 'checking' | 'online' (model loaded) | 'no-model' (API up, model missing) | 'offline'
+// onOnline is called after every check that finds the backend ready to classify.
+export default function useBackendStatus(baseUrl, { onOnline } = {}) {
+  const [status, setStatus] = useState({ ...CHECKING, baseUrl });
+  const [checkCount, setCheckCount] = useState(0);
+  const onOnlineRef = useRef(onOnline);
+
+  useEffect(() => {
+    onOnlineRef.current = onOnline;
+  });
+
+  useEffect(() => {
+    let controller = null;
+
+    const check = async () => {
+      controller?.abort();
+      controller = new AbortController();
+      try {
+        const health = await getHealth({ baseUrl, signal: controller.signal, timeout: 5000 });
+        setStatus({
+          state: health.model_loaded ? 'online' : 'no-model',
+          numClasses: health.num_classes,
+          error: null,
+          baseUrl
+        });
+        if (health.model_loaded) onOnlineRef.current?.();
+      } catch (err) {
+        if (err.name === 'AbortError') return;
+        setStatus({ state: 'offline', numClasses: null, error: err.message || 'Backend unreachable', baseUrl });
+      }
+    };
+
+    check();
+    const timer = setInterval(check, HEALTH_POLL_INTERVAL);
+    window.addEventListener('online', check);
+    return () => {
+      clearInterval(timer);
+      window.removeEventListener('online', check);
+      controller?.abort();
+    };
+  }, [baseUrl, checkCount]);
+
+  const recheck = useCallback(() => setCheckCount(count => count + 1), []);
+
+  // Until the first answer for a newly configured URL arrives, report "checking"
+  const current = status.baseUrl === baseUrl ? status : { ...CHECKING, baseUrl };
+  return { ...current, recheck };
+}
@@ -0,0 +1,70 @@
+import { useState, useRef, useEffect } from 'react';
+
+// Opens a getUserMedia stream for the requested camera and attaches it to videoRef.
+// The stream is stopped whenever the facing mode changes or the component unmounts.
+export default function useCameraStream(facingMode, enabled = true) {
+  const videoRef = useRef(null);
+  const [ready, setReady] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const video = videoRef.current;
+    let stream = null;
+    let cancelled = false;
+
+    const start = async () => {
+      setReady(false);
+      setError(null);
+
+      if (!navigator.mediaDevices?.getUserMedia) {
+        setError('Camera access is not supported in this browser');
+        return;
+      }
+
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({
+          video: {
+            facingMode: { ideal: facingMode },
+            width: { ideal: 1920 },
+            height: { ideal: 1080 }
+          },
+          audio: false
+        });
+
+        if (cancelled) {
+          stream.getTracks().forEach(track => track.stop());
+          return;
+        }
+
+        if (video) {
+          video.srcObject = stream;
+          await video.play();
+        }
+        setReady(true);
+      } catch (err) {
+        if (cancelled) return;
+        setError(err.name === 'NotAllowedError'
+          ? 'Camera permission was denied'
+          : err.name === 'NotFoundError'
+            ? 'No camera found on this device'
+            : err.message || 'Could not start camera');
+      }
+    };
+
+    start();
+
+    return () => {
+      cancelled = true;
+      if (stream) {
+        stream.getTracks().forEach(track => track.stop());
+      }
+      if (video) {
+        video.srcObject = null;
+      }
+    };
+  }, [facingMode, enabled]);
+
+  return { videoRef, ready, error };
+}
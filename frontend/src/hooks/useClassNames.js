@@ -0,0 +1,30 @@
+import { useState, useEffect } from 'react';
+import { getModelInfo } from '../api/client';
+import { getBrowserModelInfo } from '../api/browserModel';
+
+// Loads the model's class list from the given backend; `error` is set when it cannot be reached.
+// With `browserFallback`, an unreachable backend falls back to the browser model's metadata.
+// Bump `reloadKey` (e.g. when the backend comes back online) to fetch again.
+export default function useClassNames(baseUrl, reloadKey, { browserFallback = false } = {}) {
+  const [classNames, setClassNames] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    getModelInfo({ baseUrl, signal: controller.signal })
+      .catch(err => {
+        if (!browserFallback || err.name === 'AbortError') throw err;
+        return getBrowserModelInfo();
+      })
+      .then(({ class_names: names }) => {
+        setClassNames([...names].sort((a, b) => a.localeCompare(b)));
+        setError(null);
+      })
+      .catch(err => {
+        if (err.name !== 'AbortError') setError(err.message || 'Could not load breed list');
+      });
+    return () => controller.abort();
+  }, [baseUrl, reloadKey, browserFallback]);
+
+  return { classNames, error };
+}
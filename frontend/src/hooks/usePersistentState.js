@@ -0,0 +1,28 @@
+import { useState, useEffect } from 'react';
+
+// useState backed by localStorage. Stored values are merged over the default
+// so settings added in later versions still get their default value.
+export default function usePersistentState(key, defaultValue) {
+  const [value, setValue] = useState(() => {
+    try {
+      const stored = localStorage.getItem(key);
+      if (stored === null) return defaultValue;
+      const parsed = JSON.parse(stored);
+      return parsed && typeof parsed === 'object' && !Array.isArray(parsed)
+        ? { ...defaultValue, ...parsed }
+        : parsed;
+    } catch {
+      return defaultValue;
+    }
+  });
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+    } catch {
+      // Storage can be full or disabled (private mode); the in-memory value still works
+    }
+  }, [key, value]);
+
+  return [value, setValue];
+}
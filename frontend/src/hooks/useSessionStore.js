@@ -0,0 +1,177 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import {
+  TRANSIENT_IMAGE_KEYS,
+  createSessionRecord,
+  listSessions,
+  putSession,
+  loadSessionImages,
+  saveSessionChanges,
+  deleteSession as deleteStoredSession,
+  getLastSessionId,
+  setLastSessionId
+} from '../utils/sessionStore';
+
+const AUTOSAVE_DELAY = 500;
+
+// True when any persisted field of the image changed since the last save
+const hasPersistedChanges = (image, saved) => {
+  if (!saved) return true;
+  const keys = new Set([...Object.keys(image), ...Object.keys(saved)]);
+  return Array.from(keys).some(key => !TRANSIENT_IMAGE_KEYS.includes(key) && image[key] !== saved[key]);
+};
+
+// Keeps `images` in sync with the current IndexedDB session: restores the last session
+// on mount and autosaves changed images shortly after every update.
+// onRestore is called with the images loaded from storage (e.g. to rebuild object URLs).
+export default function useSessionStore(images, setImages, { onRestore } = {}) {
+  const [sessions, setSessions] = useState([]);
+  const [currentSession, setCurrentSession] = useState(null);
+  const [ready, setReady] = useState(false);
+  const [storageError, setStorageError] = useState(null);
+
+  const savedRef = useRef(new Map());
+  const writeChainRef = useRef(Promise.resolve());
+  const pendingSaveRef = useRef(null);
+  const onRestoreRef = useRef(onRestore);
+
+  useEffect(() => {
+    onRestoreRef.current = onRestore;
+  });
+
+  const refreshSessions = useCallback(async () => {
+    setSessions(await listSessions());
+  }, []);
+
+  // merge keeps images added while the initial restore was still loading
+  const openSession = useCallback(async (session, { merge = false } = {}) => {
+    setReady(false);
+    let restored;
+    try {
+      restored = await loadSessionImages(session);
+    } catch (err) {
+      // Stay on (and keep autosaving) the open session when the other one cannot be read
+      setReady(true);
+      throw err;
+    }
+    savedRef.current = new Map(restored.map(img => [img.id, img]));
+    setLastSessionId(session.id);
+    setCurrentSession(session);
+    setImages(prevImages => (merge ? [...restored, ...prevImages] : restored));
+    setReady(true);
+    onRestoreRef.current?.(restored);
+    return restored;
+  }, [setImages]);
+
+  // Restore the last session (or start a fresh one) on first load
+  useEffect(() => {
+    let cancelled = false;
+
+    const restore = async () => {
+      try {
+        const stored = await listSessions();
+        const lastId = getLastSessionId();
+        const session = stored.find(s => s.id === lastId) || stored[0] || await putSession(createSessionRecord());
+        if (cancelled) return;
+        await openSession(session, { merge: true });
+        await refreshSessions();
+      } catch (err) {
+        if (cancelled) return;
+        // Keep working in memory when storage is unavailable (e.g. private browsing)
+        setStorageError(err.message || 'Session storage unavailable');
+        setReady(false);
+      }
+    };
+
+    restore();
+    return () => {
+      cancelled = true;
+    };
+  }, [openSession, refreshSessions]);
+
+  // Autosave: write only the images whose persisted fields changed
+  useEffect(() => {
+    if (!ready || !currentSession) return undefined;
+
+    const save = () => {
+      if (pendingSaveRef.current !== save) return;
+      pendingSaveRef.current = null;
+      const saved = savedRef.current;
+      const put = images.filter(img => hasPersistedChanges(img, saved.get(img.id)));
+      const currentIds = new Set(images.map(img => img.id));
+      const remove = Array.from(saved.keys()).filter(id => !currentIds.has(id));
+      const imageOrder = images.map(img => img.id);
+      const orderChanged = imageOrder.length !== currentSession.imageOrder.length
+        || imageOrder.some((id, index) => id !== currentSession.imageOrder[index]);
+
+      if (put.length === 0 && remove.length === 0 && !orderChanged) return;
+
+      const session = { ...currentSession, imageOrder, updatedAt: Date.now() };
+      savedRef.current = new Map(images.map(img => [img.id, img]));
+      setCurrentSession(session);
+
+      writeChainRef.current = writeChainRef.current
+        .then(() => saveSessionChanges(session, { put, remove }))
+        .then(refreshSessions)
+        .catch(err => setStorageError(err.message || 'Could not save session'));
+    };
+
+    pendingSaveRef.current = save;
+    const timer = setTimeout(save, AUTOSAVE_DELAY);
+    return () => {
+      clearTimeout(timer);
+      if (pendingSaveRef.current === save) pendingSaveRef.current = null;
+    };
+  }, [images, ready, currentSession, refreshSessions]);
+
+  // Saves changes still waiting on the autosave timer, then waits for every write to finish
+  const flushSaves = async () => {
+    pendingSaveRef.current?.();
+    await writeChainRef.current;
+  };
+
+  const createSession = async (name) => {
+    await flushSaves();
+    const session = await putSession(createSessionRecord(name));
+    await openSession(session);
+    await refreshSessions();
+  };
+
+  const switchSession = async (sessionId) => {
+    const session = sessions.find(s => s.id === sessionId);
+    if (!session) throw new Error('Session not found');
+    if (session.id === currentSession?.id) return;
+    await flushSaves();
+    await openSession(session);
+  };
+
+  const renameSession = async (name) => {
+    if (!currentSession || !name.trim()) return;
+    const session = { ...currentSession, name: name.trim() };
+    setCurrentSession(session);
+    await putSession(session);
+    await refreshSessions();
+  };
+
+  const deleteSession = async (sessionId) => {
+    await flushSaves();
+    await deleteStoredSession(sessionId);
+    const remaining = (await listSessions()).filter(s => s.id !== sessionId);
+
+    if (sessionId === currentSession?.id) {
+      const next = remaining[0] || await putSession(createSessionRecord());
+      await openSession(next);
+    }
+    await refreshSessions();
+  };
+
+  return {
+    sessions,
+    currentSession,
+    ready,
+    storageError,
+    createSession,
+    switchSession,
+    renameSession,
+    deleteSession
+  };
+}
@@ -2,6 +2,10 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { registerSW } from 'virtual:pwa-register'
+
+// Caches the app shell so the app opens without a connection; updates apply on the next load
+registerSW({ immediate: true })
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
@@ -0,0 +1,47 @@
+import { precacheAndRoute, cleanupOutdatedCaches, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute, NavigationRoute } from 'workbox-routing';
+import { CacheFirst, NetworkFirst } from 'workbox-strategies';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { clientsClaim } from 'workbox-core';
+import { REPLAY_SYNC_TAG, REPLAY_MESSAGE } from './utils/offlineQueue';
+
+// New versions take over right away (registerType: 'autoUpdate')
+self.skipWaiting();
+clientsClaim();
+
+// App shell: every built asset, precached at install time
+precacheAndRoute(self.__WB_MANIFEST);
+cleanupOutdatedCaches();
+
+// Client-side navigation falls back to the cached index.html; API calls never do
+registerRoute(new NavigationRoute(createHandlerBoundToURL('index.html'), {
+  denylist: [/^\/api\//]
+}));
+
+// Breed reference photos are fetched on demand and kept for offline use
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && url.pathname.startsWith('/breeds/'),
+  new CacheFirst({
+    cacheName: 'breed-photos',
+    plugins: [new ExpirationPlugin({ maxEntries: 100 })]
+  })
+);
+
+// TF.js model for browser inference: fresh when online (a re-export replaces
+// model.json and its weight shards together), cached copy when offline
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && url.pathname.startsWith('/model/'),
+  new NetworkFirst({ cacheName: 'tfjs-model', networkTimeoutSeconds: 5 })
+);
+
+// Predictions are not replayed from here: preprocessing needs a canvas and results
+// belong to the page's session state. Background Sync just wakes any open page so
+// it can replay its offline queue as soon as the browser sees a connection.
+self.addEventListener('sync', (event) => {
+  if (event.tag !== REPLAY_SYNC_TAG) return;
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window' }).then(clients => {
+      clients.forEach(client => client.postMessage({ type: REPLAY_MESSAGE }));
+    })
+  );
+});
@@ -0,0 +1,93 @@
+import { normalizeLabel } from './labels';
+
+// Bundled reference data for every class the model knows, so the details modal can
+// describe a breed without a network connection. Figures are typical values from
+// published breed descriptions; milk yield varies widely with feed and management.
+// Reference photos are served from public/breeds/<slug>.jpg, one per dataset class; they are
+// generated from dataset/train by backend/export_breed_photos.py (see the README there).
+
+/**
+ * @typedef {Object} BreedInfo
+ * @property {string} name Display name
+ * @property {string[]} [aliases] Other spellings used for the dataset folder
+ * @property {'cattle' | 'buffalo'} species
+ * @property {string} origin State or region of origin
+ * @property {'dairy' | 'draught' | 'dual'} use Primary use
+ * @property {string} coat Typical coat colour
+ * @property {string} horns Typical horn shape
+ * @property {string} milkYield Average milk yield per lactation
+ */
+
+/** @type {BreedInfo[]} */
+export const BREEDS = [
+  { name: 'Alambadi', species: 'cattle', origin: 'Tamil Nadu', use: 'draught', coat: 'Grey to dark grey, bulls almost black', horns: 'Long, curving backward then up and forward', milkYield: '300–500 kg' },
+  { name: 'Amritmahal', aliases: ['Amrit Mahal'], species: 'cattle', origin: 'Karnataka', use: 'draught', coat: 'Grey, from white-grey to almost black', horns: 'Long and pointed, sweeping backward close to the head', milkYield: '500–600 kg' },
+  { name: 'Ayrshire', species: 'cattle', origin: 'Scotland (exotic)', use: 'dairy', coat: 'Red-brown and white patches', horns: 'Long, curving outward and upward (lyre-shaped)', milkYield: '4,500–6,500 kg' },
+  { name: 'Bachaur', species: 'cattle', origin: 'Bihar', use: 'draught', coat: 'Grey to greyish white', horns: 'Medium, stumpy, curving outward', milkYield: '350–550 kg' },
+  { name: 'Banni', species: 'buffalo', origin: 'Gujarat (Kutch)', use: 'dairy', coat: 'Black, occasionally copper-tinged', horns: 'Double-coiled, curling upward into rings', milkYield: '2,000–3,000 kg' },
+  { name: 'Bargur', species: 'cattle', origin: 'Tamil Nadu (Erode)', use: 'draught', coat: 'Red with white markings', horns: 'Light brown, curving backward and upward', milkYield: '250–350 kg' },
+  { name: 'Bhadawari', species: 'buffalo', origin: 'Uttar Pradesh & Madhya Pradesh', use: 'dairy', coat: 'Copper-coloured with light legs', horns: 'Flat, curving backward then upward', milkYield: '750–1,000 kg (very high butterfat)' },
+  { name: 'Binjharpuri', species: 'cattle', origin: 'Odisha', use: 'dual', coat: 'White to light grey', horns: 'Medium, curving upward and outward', milkYield: '800–1,000 kg' },
+  { name: 'Brown Swiss', aliases: ['Brown_Swiss'], species: 'cattle', origin: 'Switzerland (exotic)', use: 'dairy', coat: 'Light to greyish brown', horns: 'Short, curving inward', milkYield: '5,000–7,000 kg' },
+  { name: 'Dangi', species: 'cattle', origin: 'Maharashtra & Gujarat', use: 'draught', coat: 'White with black or red spots', horns: 'Short and thick', milkYield: '400–550 kg' },
+  { name: 'Deoni', species: 'cattle', origin: 'Maharashtra (Latur) & Karnataka', use: 'dual', coat: 'Spotted black and white', horns: 'Thick, emerging sideways then curving outward and back', milkYield: '900–1,200 kg' },
+  { name: 'Gaolao', species: 'cattle', origin: 'Maharashtra & Madhya Pradesh', use: 'dual', coat: 'White, bulls grey over the shoulders', horns: 'Short and stumpy', milkYield: '500–700 kg' },
+  { name: 'Gir', species: 'cattle', origin: 'Gujarat (Gir forest)', use: 'dairy', coat: 'Red or speckled red and white', horns: 'Curving down, back and up (half-moon)', milkYield: '1,600–2,200 kg' },
+  { name: 'Guernsey', species: 'cattle', origin: 'Guernsey, Channel Islands (exotic)', use: 'dairy', coat: 'Fawn or golden with white patches', horns: 'Medium, curving outward', milkYield: '4,500–5,500 kg' },
+  { name: 'Hallikar', species: 'cattle', origin: 'Karnataka', use: 'draught', coat: 'Grey to dark grey', horns: 'Long, upright and backward-curving with sharp tips', milkYield: '500–550 kg' },
+  { name: 'Hariana', species: 'cattle', origin: 'Haryana', use: 'dual', coat: 'White to light grey', horns: 'Small and short', milkYield: '1,000–1,500 kg' },
+  { name: 'Holstein Friesian', aliases: ['Holstein_Friesian', 'Holstein', 'HF'], species: 'cattle', origin: 'Netherlands (exotic)', use: 'dairy', coat: 'Black and white patches', horns: 'Short, curving inward', milkYield: '6,000–10,000 kg' },
+  { name: 'Jaffrabadi', species: 'buffalo', origin: 'Gujarat (Saurashtra)', use: 'dairy', coat: 'Black', horns: 'Heavy, drooping down the neck and curling up at the tips', milkYield: '1,800–2,700 kg' },
+  { name: 'Jersey', species: 'cattle', origin: 'Jersey, Channel Islands (exotic)', use: 'dairy', coat: 'Light fawn to dark brown', horns: 'Short, curving inward', milkYield: '4,000–5,000 kg' },
+  { name: 'Kangayam', species: 'cattle', origin: 'Tamil Nadu (Erode)', use: 'draught', coat: 'Grey to white, bulls darker on the hump', horns: 'Stout, spreading outward and back in a near circle', milkYield: '500–600 kg' },
+  { name: 'Kankrej', species: 'cattle', origin: 'Gujarat & Rajasthan', use: 'dual', coat: 'Silver-grey to iron-grey', horns: 'Large and lyre-shaped, curving outward and up', milkYield: '1,300–1,800 kg' },
+  { name: 'Kasargod', aliases: ['Kasaragod'], species: 'cattle', origin: 'Kerala', use: 'dual', coat: 'Black, brown or red (dwarf)', horns: 'Small and short', milkYield: '400–600 kg' },
+  { name: 'Kenkatha', species: 'cattle', origin: 'Uttar Pradesh & Madhya Pradesh (Bundelkhand)', use: 'draught', coat: 'Grey to dark grey', horns: 'Pointed, curving forward and upward', milkYield: '300–450 kg' },
+  { name: 'Kherigarh', species: 'cattle', origin: 'Uttar Pradesh (Lakhimpur Kheri)', use: 'draught', coat: 'White', horns: 'Thin and upright', milkYield: '300–500 kg' },
+  { name: 'Khillari', species: 'cattle', origin: 'Maharashtra & Karnataka', use: 'draught', coat: 'Grey-white', horns: 'Long and pointed, curving backward then up in a bow', milkYield: '250–500 kg' },
+  { name: 'Krishna Valley', aliases: ['Krishna_Valley'], species: 'cattle', origin: 'Karnataka & Maharashtra', use: 'draught', coat: 'Grey-white, bulls darker on the forequarters', horns: 'Small to medium, curving slightly upward', milkYield: '800–950 kg' },
+  { name: 'Lakhimi', species: 'cattle', origin: 'Assam', use: 'dual', coat: 'Red, brown or black', horns: 'Small, curving upward', milkYield: '300–450 kg' },
+  { name: 'Malnad Gidda', aliases: ['Malnad_gidda'], species: 'cattle', origin: 'Karnataka (Western Ghats)', use: 'dual', coat: 'Black, brown or red (dwarf)', horns: 'Short, small and pointed', milkYield: '200–400 kg' },
+  { name: 'Malvi', species: 'cattle', origin: 'Madhya Pradesh (Malwa)', use: 'draught', coat: 'White to grey, bulls darker on the neck', horns: 'Stout and pointed, curving up and forward', milkYield: '600–900 kg' },
+  { name: 'Mehsana', species: 'buffalo', origin: 'Gujarat', use: 'dairy', coat: 'Black, sometimes brown', horns: 'Sickle-shaped, less curled than Murrah', milkYield: '1,200–2,000 kg' },
+  { name: 'Motu', species: 'cattle', origin: 'Odisha (Malkangiri)', use: 'dual', coat: 'Red-brown (dwarf)', horns: 'Short and thick, curving backward', milkYield: '100–150 kg' },
+  { name: 'Murrah', species: 'buffalo', origin: 'Haryana', use: 'dairy', coat: 'Jet black', horns: 'Short and tightly curled', milkYield: '1,800–2,500 kg' },
+  { name: 'Nagori', aliases: ['Nagauri'], species: 'cattle', origin: 'Rajasthan (Nagaur)', use: 'draught', coat: 'White to light grey', horns: 'Small, pointing upward and forward', milkYield: '500–700 kg' },
+  { name: 'Nagpuri', species: 'buffalo', origin: 'Maharashtra (Vidarbha)', use: 'dual', coat: 'Black with white on the face and legs', horns: 'Long, flat and sword-like, curving back to the shoulders', milkYield: '700–1,200 kg' },
+  { name: 'Nili Ravi', aliases: ['Nili_Ravi', 'Niliravi'], species: 'buffalo', origin: 'Punjab', use: 'dairy', coat: 'Black with white forehead, legs and tail switch', horns: 'Small and tightly coiled', milkYield: '1,800–2,500 kg' },
+  { name: 'Nimari', species: 'cattle', origin: 'Madhya Pradesh (Narmada valley)', use: 'draught', coat: 'Red with white patches', horns: 'Pointed, curving upward and outward', milkYield: '600–900 kg' },
+  { name: 'Ongole', aliases: ['Nellore'], species: 'cattle', origin: 'Andhra Pradesh', use: 'dual', coat: 'White to light grey', horns: 'Short and stumpy', milkYield: '800–1,500 kg' },
+  { name: 'Ponwar', species: 'cattle', origin: 'Uttar Pradesh (Pilibhit)', use: 'draught', coat: 'Black and white patches', horns: 'Long, curving upward and inward', milkYield: '300–500 kg' },
+  { name: 'Pulikulam', species: 'cattle', origin: 'Tamil Nadu (Madurai)', use: 'draught', coat: 'Grey, bulls dark grey', horns: 'Curving backward and outward', milkYield: '250–400 kg' },
+  { name: 'Punganur', species: 'cattle', origin: 'Andhra Pradesh (Chittoor)', use: 'dairy', coat: 'White or grey with red-brown patches (dwarf)', horns: 'Small and crescent-shaped', milkYield: '500–550 kg (high butterfat)' },
+  { name: 'Rathi', species: 'cattle', origin: 'Rajasthan (Bikaner)', use: 'dairy', coat: 'Brown with white patches', horns: 'Short to medium, curving outward and up', milkYield: '1,500–2,500 kg' },
+  { name: 'Red Dane', aliases: ['Red_Dane', 'Red Danish'], species: 'cattle', origin: 'Denmark (exotic)', use: 'dairy', coat: 'Red to dark red', horns: 'Medium, curving forward', milkYield: '5,000–6,000 kg' },
+  { name: 'Red Sindhi', aliases: ['Red_Sindhi'], species: 'cattle', origin: 'Sindh, maintained in India', use: 'dairy', coat: 'Deep to light red', horns: 'Thick, emerging sideways and curving upward', milkYield: '1,500–2,500 kg' },
+  { name: 'Sahiwal', species: 'cattle', origin: 'Punjab', use: 'dairy', coat: 'Reddish brown to pale red', horns: 'Short and stumpy', milkYield: '2,000–3,000 kg' },
+  { name: 'Siri', species: 'cattle', origin: 'Sikkim & Darjeeling hills', use: 'dual', coat: 'Black, black and white, or brown', horns: 'Medium, curving outward and up', milkYield: '500–800 kg' },
+  { name: 'Surti', species: 'buffalo', origin: 'Gujarat', use: 'dairy', coat: 'Black or brown with two white collars', horns: 'Flat and sickle-shaped', milkYield: '900–1,300 kg' },
+  { name: 'Tharparkar', species: 'cattle', origin: 'Rajasthan (Thar desert)', use: 'dual', coat: 'White to light grey', horns: 'Medium, lyre-shaped, curving upward', milkYield: '1,600–2,500 kg' },
+  { name: 'Toda', species: 'buffalo', origin: 'Tamil Nadu (Nilgiris)', use: 'dual', coat: 'Fawn to ash-grey', horns: 'Long, set wide, curving out, up and in (crescent)', milkYield: '400–600 kg' },
+  { name: 'Umblachery', species: 'cattle', origin: 'Tamil Nadu (Cauvery delta)', use: 'draught', coat: 'Grey with white markings, calves red', horns: 'Short, often trimmed', milkYield: '300–500 kg' },
+  { name: 'Vechur', species: 'cattle', origin: 'Kerala', use: 'dairy', coat: 'Light red, black or white (dwarf)', horns: 'Small and thin, pointing forward and up', milkYield: '500–700 kg' }
+];
+
+export const BREED_USE_LABELS = {
+  dairy: 'Dairy',
+  draught: 'Draught',
+  dual: 'Dual purpose'
+};
+
+// "Red_Sindhi" → "red-sindhi"
+export const breedSlug = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// Keyed by the model's class name, so classes without bundled info still get a photo
+export const breedPhotoUrl = (className) => `${import.meta.env.BASE_URL}breeds/${breedSlug(className)}.jpg`;
+
+const BREEDS_BY_KEY = new Map(BREEDS.flatMap(info => (
+  [info.name, ...(info.aliases || [])].map(name => [normalizeLabel(name), info])
+)));
+
+// Reference info for a model class name, or null when the class is not bundled.
+// Matching ignores case and separators, so "Red_Sindhi" and "red sindhi" both work.
+export const getBreedInfo = (className) => BREEDS_BY_KEY.get(normalizeLabel(className || '')) || null;
@@ -0,0 +1,21 @@
+// Draws the current frame of a <video> element to a canvas and encodes it as a File.
+// maxSize caps the longest side, which keeps live-mode uploads small.
+export const captureFrame = (video, { type = 'image/jpeg', quality = 0.92, filename, maxSize = Infinity } = {}) => {
+  const scale = Math.min(1, maxSize / Math.max(video.videoWidth, video.videoHeight));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(video.videoWidth * scale);
+  canvas.height = Math.round(video.videoHeight * scale);
+  canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (!blob) {
+        reject(new Error('Could not capture camera frame'));
+        return;
+      }
+      const extension = type === 'image/png' ? 'png' : type === 'image/webp' ? 'webp' : 'jpg';
+      const name = filename || `camera-${new Date().toISOString().replace(/[:.]/g, '-')}.${extension}`;
+      resolve(new File([blob], name, { type, lastModified: Date.now() }));
+    }, type, quality);
+  });
+};
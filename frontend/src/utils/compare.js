@@ -0,0 +1,35 @@
+// Lines up the top-5 predictions of several analyzed images so they can be compared
+// breed by breed. Each row is a breed that appears in at least one top 5, with that
+// image's confidence or null when the breed is outside its top 5.
+export const compareResults = (images) => {
+  const analyzed = images.filter(img => img.result);
+
+  const counts = new Map();
+  analyzed.forEach(img => counts.set(img.result.breed, (counts.get(img.result.breed) || 0) + 1));
+  const topBreeds = Array.from(counts, ([breed, count]) => ({ breed, count }))
+    .sort((a, b) => b.count - a.count || a.breed.localeCompare(b.breed));
+
+  const byBreed = new Map();
+  analyzed.forEach((img, index) => {
+    img.result.top5.forEach(pred => {
+      if (!byBreed.has(pred.breed)) byBreed.set(pred.breed, new Array(analyzed.length).fill(null));
+      byBreed.get(pred.breed)[index] = pred.confidence;
+    });
+  });
+
+  const rows = Array.from(byBreed, ([breed, values]) => ({
+    breed,
+    values,
+    inAll: values.every(value => value !== null),
+    total: values.reduce((sum, value) => sum + (value ?? 0), 0)
+  })).sort((a, b) => b.total - a.total);
+
+  return {
+    images: analyzed,
+    topBreeds,
+    // Most common top-1 breed; ties go to the alphabetically first
+    majorityBreed: topBreeds[0]?.breed ?? null,
+    agree: topBreeds.length === 1,
+    rows
+  };
+};
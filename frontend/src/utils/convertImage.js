@@ -0,0 +1,130 @@
+import { CONVERTIBLE_FORMATS, CONVERSION_QUALITY, UPLOAD_RULES } from '../config';
+import { extensionOf } from './fileTypes';
+import { checkConvertibleFile } from './validateUpload';
+
+const ascii = (bytes, from, to) => String.fromCharCode(...bytes.slice(from, to));
+
+// Sniffs the first bytes: phones often report HEIC with an empty or generic MIME type
+const sniffFormat = async (file) => {
+  const bytes = new Uint8Array(await file.slice(0, 12).arrayBuffer());
+  if (bytes.length < 12) return null;
+  if (ascii(bytes, 4, 8) === 'ftyp') {
+    const brand = ascii(bytes, 8, 12);
+    if (['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx'].includes(brand)) return 'HEIC';
+    if (['mif1', 'msf1'].includes(brand)) return 'HEIF';
+  }
+  const tiffHeader = ascii(bytes, 0, 4);
+  if (tiffHeader === 'II*\0' || tiffHeader === 'MM\0*') return 'TIFF';
+  return null;
+};
+
+// Label of the convertible format ('HEIC' | 'HEIF' | 'TIFF'), or null for files that need no conversion
+export const detectConvertibleFormat = async (file) => {
+  const extension = extensionOf(file.name);
+  const declared = CONVERTIBLE_FORMATS.find(format =>
+    format.types.includes(file.type) || format.extensions.includes(extension)
+  );
+  if (declared) return declared.label;
+  // Only sniff when the browser could not tell us what the file is
+  if (!file.type || file.type === 'application/octet-stream') return sniffFormat(file);
+  return null;
+};
+
+const canvasToJpeg = (canvas) => new Promise((resolve, reject) => {
+  canvas.toBlob(
+    blob => (blob ? resolve(blob) : reject(new Error('Could not encode JPEG'))),
+    'image/jpeg',
+    CONVERSION_QUALITY
+  );
+});
+
+// Decoders are large, so they are only downloaded the first time such a file is added
+const heicToJpeg = async (file) => {
+  const { default: heic2any } = await import('heic2any');
+  const output = await heic2any({ blob: file, toType: 'image/jpeg', quality: CONVERSION_QUALITY });
+  // Burst/live photos contain several frames; the first is the primary image
+  return Array.isArray(output) ? output[0] : output;
+};
+
+const tiffToJpeg = async (file) => {
+  const { default: UTIF } = await import('utif');
+  const buffer = await file.arrayBuffer();
+  const [ifd] = UTIF.decode(buffer);
+  if (!ifd) throw new Error('No image found in TIFF');
+  UTIF.decodeImage(buffer, ifd);
+  const rgba = UTIF.toRGBA8(ifd);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = ifd.width;
+  canvas.height = ifd.height;
+  canvas.getContext('2d').putImageData(new ImageData(new Uint8ClampedArray(rgba.buffer), ifd.width, ifd.height), 0, 0);
+  return canvasToJpeg(canvas);
+};
+
+const readSize = async (blob) => {
+  const bitmap = await createImageBitmap(blob);
+  const size = { width: bitmap.width, height: bitmap.height };
+  bitmap.close();
+  return size;
+};
+
+// Converts one HEIC/HEIF/TIFF file to JPEG.
+// Returns { file, conversion } where conversion describes the original for the details view.
+export const convertToJpeg = async (file, format) => {
+  const start = performance.now();
+  const blob = format === 'TIFF' ? await tiffToJpeg(file) : await heicToJpeg(file);
+  const baseName = file.name.replace(/\.[^.]+$/, '') || 'image';
+  const converted = new File([blob], `${baseName}.jpg`, { type: 'image/jpeg', lastModified: file.lastModified });
+
+  return {
+    file: converted,
+    conversion: {
+      from: format,
+      to: 'JPEG',
+      originalName: file.name,
+      originalType: file.type || null,
+      originalBytes: file.size,
+      convertedBytes: converted.size,
+      ...(await readSize(converted)),
+      durationMs: performance.now() - start
+    }
+  };
+};
+
+// Converts every phone-native file in `files`, leaving the rest untouched.
+// Phone-native files that break the upload `rules` (size, extension) are failed without being decoded.
+// onProgress({ done, total }) reports conversions only, which can take seconds each.
+// Returns { items: [{ file, conversion, source }], failed: [{ name, reason }] } in the original order,
+// where source is the file that was passed in.
+export const convertPhoneFormats = async (files, { onProgress, rules = UPLOAD_RULES } = {}) => {
+  const formats = [];
+  for (const file of files) formats.push(await detectConvertibleFormat(file));
+  const problems = files.map((file, index) => (formats[index] ? checkConvertibleFile(file, rules) : null));
+  const total = formats.filter((format, index) => format && !problems[index]).length;
+
+  const items = [];
+  const failed = [];
+  let done = 0;
+
+  // Sequential: each conversion decodes a full-resolution photo
+  for (const [index, file] of files.entries()) {
+    const format = formats[index];
+    if (!format) {
+      items.push({ file, conversion: null, source: file });
+      continue;
+    }
+    if (problems[index]) {
+      failed.push({ name: file.name, reason: problems[index] });
+      continue;
+    }
+    onProgress?.({ done, total });
+    try {
+      items.push({ ...await convertToJpeg(file, format), source: file });
+    } catch (err) {
+      failed.push({ name: file.name, reason: `Could not convert ${format} to JPEG (${err.message || err})` });
+    }
+    done += 1;
+  }
+
+  return { items, failed };
+};
@@ -0,0 +1,158 @@
+import { matchClassName } from './labels';
+
+// Known breed for an image: a human correction wins over an imported or folder label
+export const getGroundTruth = (image) => image.correction?.breed ?? image.expectedLabel ?? null;
+
+export const cellKey = (truth, predicted) => `${truth}→${predicted}`;
+
+const safeRatio = (numerator, denominator) => (denominator > 0 ? numerator / denominator : null);
+
+// Scores every analyzed image that has a ground truth.
+// labels: the confusion-matrix axes; every class name when given, otherwise the breeds seen.
+// cells maps cellKey(truth, predicted) to the ids of the images in that cell.
+export const evaluate = (images, classNames = []) => {
+  const scored = images.filter(img => img.result && getGroundTruth(img));
+  const cells = new Map();
+  const perBreed = new Map();
+  let top1Correct = 0;
+  let top5Correct = 0;
+
+  const stats = (breed) => {
+    if (!perBreed.has(breed)) perBreed.set(breed, { breed, support: 0, predicted: 0, truePositives: 0 });
+    return perBreed.get(breed);
+  };
+
+  scored.forEach(img => {
+    const truth = getGroundTruth(img);
+    const predicted = img.result.breed;
+    const key = cellKey(truth, predicted);
+    cells.set(key, [...(cells.get(key) || []), img.id]);
+
+    stats(truth).support += 1;
+    stats(predicted).predicted += 1;
+    if (truth === predicted) {
+      top1Correct += 1;
+      stats(truth).truePositives += 1;
+    }
+    if (img.result.top5.some(pred => pred.breed === truth)) top5Correct += 1;
+  });
+
+  const breeds = Array.from(perBreed.values()).map(entry => {
+    const precision = safeRatio(entry.truePositives, entry.predicted);
+    const recall = safeRatio(entry.truePositives, entry.support);
+    const f1 = precision !== null && recall !== null && precision + recall > 0
+      ? (2 * precision * recall) / (precision + recall)
+      : (precision === null && recall === null ? null : 0);
+    return { ...entry, precision, recall, f1 };
+  });
+
+  // Macro averages only over breeds that actually occur in the ground truth
+  const supported = breeds.filter(entry => entry.support > 0);
+  const macro = (key) => safeRatio(
+    supported.reduce((sum, entry) => sum + (entry[key] ?? 0), 0),
+    supported.length
+  );
+
+  const labels = classNames.length > 0
+    ? [...classNames].sort((a, b) => a.localeCompare(b))
+    : Array.from(perBreed.keys()).sort((a, b) => a.localeCompare(b));
+
+  return {
+    total: scored.length,
+    unlabeled: images.filter(img => img.result && !getGroundTruth(img)).length,
+    top1Correct,
+    top5Correct,
+    top1Accuracy: safeRatio(top1Correct, scored.length),
+    top5Accuracy: safeRatio(top5Correct, scored.length),
+    macroPrecision: macro('precision'),
+    macroRecall: macro('recall'),
+    macroF1: macro('f1'),
+    breeds,
+    labels,
+    cells
+  };
+};
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes, CRLF or LF
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(cell => cell.trim()));
+};
+
+const FILENAME_COLUMNS = ['filename', 'file', 'image', 'path', 'name'];
+const LABEL_COLUMNS = ['label', 'breed', 'ground_truth', 'true_label', 'expected', 'expected_breed', 'corrected', 'class'];
+
+// Sidecar label file → Map(lower-cased filename → class name).
+// Accepts a header naming the columns (e.g. "filename,label", or our corrections manifest);
+// without a recognizable header the first two columns are used.
+// Rows whose label is not a known class are returned in `unknown`.
+export const parseLabelCsv = (text, classNames = []) => {
+  const rows = parseCsvRows(text.replace(/^\uFEFF/, ''));
+  if (rows.length === 0) return { labels: new Map(), unknown: [] };
+
+  const header = rows[0].map(cell => cell.trim().toLowerCase());
+  let fileColumn = header.findIndex(cell => FILENAME_COLUMNS.includes(cell));
+  let labelColumn = header.findIndex(cell => LABEL_COLUMNS.includes(cell));
+  const hasHeader = fileColumn !== -1 && labelColumn !== -1;
+  if (!hasHeader) {
+    fileColumn = 0;
+    labelColumn = 1;
+  }
+
+  const labels = new Map();
+  const unknown = [];
+  rows.slice(hasHeader ? 1 : 0).forEach(row => {
+    const filename = (row[fileColumn] || '').trim();
+    const rawLabel = (row[labelColumn] || '').trim();
+    if (!filename || !rawLabel) return;
+    const label = classNames.length > 0 ? matchClassName(rawLabel, classNames) : rawLabel;
+    if (label) {
+      labels.set(filename.toLowerCase(), label);
+    } else {
+      unknown.push(`${filename} — "${rawLabel}" is not a known breed`);
+    }
+  });
+
+  return { labels, unknown };
+};
+
+// Names an image may appear under in a label file: folder path, upload name, pre-conversion name
+export const imageLookupKeys = (image) => {
+  const names = [image.sourcePath, image.file?.name, image.conversion?.originalName].filter(Boolean);
+  const withBaseNames = names.flatMap(name => [name, name.split('/').pop()]);
+  return Array.from(new Set(withBaseNames.map(name => name.toLowerCase())));
+};
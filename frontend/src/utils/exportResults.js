@@ -0,0 +1,82 @@
+import { getBatchStats, getBreedDistribution, getImageLabel, isUncertain } from './stats';
+import { DEFAULT_THRESHOLDS } from '../config';
+
+// Flat, serializable view of every analyzed image
+export const toExportRows = (images, thresholds = DEFAULT_THRESHOLDS) => images
+  .filter(img => img.result)
+  .map(img => ({
+    filename: getImageLabel(img),
+    predictedBreed: img.result.breed,
+    confidence: parseFloat(img.result.confidence),
+    needsReview: isUncertain(img.result, thresholds),
+    correctedBreed: img.correction?.breed ?? null,
+    expectedBreed: img.expectedLabel ?? null,
+    top5: img.result.top5.map(({ breed, confidence }) => ({ breed, confidence })),
+    processingTimeMs: img.result.timing ? Math.round(img.result.timing.roundTripMs) : null
+  }));
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// File names and labels come from users, so text that looks like a formula is prefixed with ' to keep it text
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) return `"'${text.replace(/"/g, '""')}"`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows) => {
+  const header = ['filename', 'predicted_breed', 'confidence', 'needs_review', 'corrected_breed', 'expected_breed', 'top_5', 'processing_time_ms'];
+  const lines = rows.map(row => [
+    row.filename,
+    row.predictedBreed,
+    row.confidence,
+    row.needsReview ? 'yes' : 'no',
+    row.correctedBreed,
+    row.expectedBreed,
+    row.top5.map(({ breed, confidence }) => `${breed} (${confidence}%)`).join(' | '),
+    row.processingTimeMs
+  ].map(escapeCsv).join(','));
+
+  return [header.join(','), ...lines].join('\r\n');
+};
+
+// Training-data manifest: one line per human-reviewed image
+export const toManifestCsv = (images) => {
+  const lines = images
+    .filter(img => img.result && img.correction)
+    .map(img => [getImageLabel(img), img.result.breed, img.correction.breed].map(escapeCsv).join(','));
+  return [['filename', 'predicted', 'corrected'].join(','), ...lines].join('\r\n');
+};
+
+export const toJson = (images, { sessionName, thresholds = DEFAULT_THRESHOLDS } = {}) => JSON.stringify({
+  exportedAt: new Date().toISOString(),
+  session: sessionName || null,
+  thresholds,
+  summary: getBatchStats(images, thresholds),
+  breedDistribution: getBreedDistribution(images),
+  images: toExportRows(images, thresholds)
+}, null, 2);
+
+// Triggers a browser download of generated content; nothing leaves the machine
+export const downloadFile = (content, filename, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// e.g. "farm-visit-2026-10-19" from the session name and today's date
+export const exportFilename = (sessionName, extension) => {
+  const slug = (sessionName || 'cattle-results')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+    .slice(0, 60) || 'cattle-results';
+  return `${slug}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+};
@@ -0,0 +1,16 @@
+import { UPLOAD_FORMATS, CONVERTIBLE_FORMATS } from '../config';
+
+// Extension → canonical MIME type of every format the app reads or converts
+const TYPE_BY_EXTENSION = new Map(
+  [...UPLOAD_FORMATS, ...CONVERTIBLE_FORMATS].flatMap(format => format.extensions.map(ext => [ext, format.types[0]]))
+);
+
+// Lower-case extension of a file name without the dot, or '' when it has none
+export const extensionOf = (name) => {
+  const match = /\.([^.]+)$/.exec(name || '');
+  return match ? match[1].toLowerCase() : '';
+};
+
+// MIME type for a file name, or '' for formats the app does not read.
+// Files unpacked from ZIP archives carry no type, and the upload checks need one.
+export const mimeTypeOf = (name) => TYPE_BY_EXTENSION.get(extensionOf(name)) || '';
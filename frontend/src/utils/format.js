@@ -0,0 +1,7 @@
+// Human-readable byte size, e.g. 2.4 MB
+export const formatBytes = (bytes) => {
+  if (!Number.isFinite(bytes)) return '—';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+};
@@ -0,0 +1,75 @@
+import { getImageLabel, isUncertain } from './stats';
+
+export const IMAGE_STATUSES = [
+  { value: 'pending', label: 'Pending' },
+  { value: 'analyzing', label: 'Analyzing' },
+  { value: 'done', label: 'Done' },
+  { value: 'uncertain', label: 'Uncertain' },
+  { value: 'error', label: 'Error' }
+];
+
+export const SORT_OPTIONS = [
+  { value: 'added', label: 'Upload time' },
+  { value: 'confidence', label: 'Confidence' },
+  { value: 'breed', label: 'Breed' },
+  { value: 'filename', label: 'Filename' }
+];
+
+export const DEFAULT_GRID_VIEW = {
+  query: '',
+  status: 'all',
+  sort: 'added',
+  descending: false
+};
+
+// Where an image is in its lifecycle; queued images still count as pending
+export const getImageStatus = (image, thresholds) => {
+  if (image.analyzing) return 'analyzing';
+  if (image.result) return isUncertain(image.result, thresholds) ? 'uncertain' : 'done';
+  if (image.error && !image.queued) return 'error';
+  return 'pending';
+};
+
+export const countStatuses = (images, thresholds) => {
+  const counts = Object.fromEntries(IMAGE_STATUSES.map(({ value }) => [value, 0]));
+  images.forEach(img => { counts[getImageStatus(img, thresholds)] += 1; });
+  return counts;
+};
+
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+// Sort keys per option; images without a value (not analyzed yet) always go last
+const SORT_KEYS = {
+  // Image ids are creation timestamps
+  added: img => img.id,
+  confidence: img => (img.result ? parseFloat(img.result.confidence) : null),
+  breed: img => img.result?.breed ?? null,
+  filename: img => getImageLabel(img)
+};
+
+const compareValues = (a, b) => (
+  typeof a === 'string' ? collator.compare(a, b) : a - b
+);
+
+// Applies the toolbar's search, status and breed filters, then its sort order
+export const applyGridView = (images, { query, status, sort, descending }, { breed, thresholds }) => {
+  const needle = query.trim().toLowerCase();
+  const filtered = images.filter(img => {
+    if (breed && img.result?.breed !== breed) return false;
+    if (status !== 'all' && getImageStatus(img, thresholds) !== status) return false;
+    if (needle && !getImageLabel(img).toLowerCase().includes(needle) && !img.sourcePath?.toLowerCase().includes(needle)) return false;
+    return true;
+  });
+
+  const key = SORT_KEYS[sort] || SORT_KEYS.added;
+  return filtered
+    .map((img, index) => ({ img, index, value: key(img) }))
+    .sort((a, b) => {
+      if (a.value === null || b.value === null) {
+        return (a.value === null) - (b.value === null) || a.index - b.index;
+      }
+      const order = compareValues(a.value, b.value);
+      return (descending ? -order : order) || a.index - b.index;
+    })
+    .map(({ img }) => img);
+};
@@ -0,0 +1,104 @@
+import { decodeImage, createCanvas, canvasToBlob, preprocessImage } from './preprocessImage';
+import { loadBrowserModel, predictInBrowser } from '../api/browserModel';
+
+// Everything that decodes or crunches pixels, keyed by task type. Runs inside the image
+// workers (workers/imageWorker.js), or on the main thread where workers cannot draw.
+// Payloads and results must survive structured cloning (Blobs and plain objects only).
+
+const THUMBNAIL_QUALITY = 0.8;
+
+// Hex SHA-256 of the file contents; null where SubtleCrypto is unavailable (plain http on a LAN IP)
+const hashFile = async (file) => {
+  if (!globalThis.crypto?.subtle) return null;
+  const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+const drawThumbnail = async (source, maxSize) => {
+  const scale = Math.min(1, maxSize / Math.max(source.width, source.height));
+  const canvas = createCanvas(Math.max(1, Math.round(source.width * scale)), Math.max(1, Math.round(source.height * scale)));
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+  return canvasToBlob(canvas, 'image/jpeg', THUMBNAIL_QUALITY);
+};
+
+export const IMAGE_TASKS = {
+  // Size, content hash and a small JPEG thumbnail of a newly added image;
+  // rejects when the browser cannot decode the file
+  inspect: async ({ file, thumbnailSize }) => {
+    const source = await decodeImage(file);
+    const { width, height } = source;
+    const thumbnail = await drawThumbnail(source, thumbnailSize);
+    source.close?.();
+    return { width, height, hash: await hashFile(file), thumbnail };
+  },
+
+  preprocess: ({ file, options }) => preprocessImage(file, options),
+
+  predict: ({ file, modelUrl, filename, topK }) => predictInBrowser(file, { modelUrl, filename, topK }),
+
+  // Test-time augmentation copies (see TTA_VARIANTS): mirrored, center-cropped and/or
+  // brightness-scaled. A variant without changes is the original file, not a re-encode.
+  augment: async ({ file, variants, quality }) => {
+    const source = await decodeImage(file);
+    const outputs = [];
+    for (const { flip = false, crop = 1, brightness = 1 } of variants) {
+      if (!flip && crop === 1 && brightness === 1) {
+        outputs.push(file);
+        continue;
+      }
+      const width = Math.max(1, Math.round(source.width * crop));
+      const height = Math.max(1, Math.round(source.height * crop));
+      const canvas = createCanvas(width, height);
+      const ctx = canvas.getContext('2d');
+      if (flip) {
+        ctx.translate(width, 0);
+        ctx.scale(-1, 1);
+      }
+      ctx.drawImage(source, (source.width - width) / 2, (source.height - height) / 2, width, height, 0, 0, width, height);
+      if (brightness !== 1) {
+        // Per-pixel rather than ctx.filter, which not every browser supports on a canvas
+        const pixels = ctx.getImageData(0, 0, width, height);
+        const { data } = pixels;
+        for (let i = 0; i < data.length; i += 4) {
+          data[i] *= brightness;
+          data[i + 1] *= brightness;
+          data[i + 2] *= brightness;
+        }
+        ctx.putImageData(pixels, 0, 0);
+      }
+      outputs.push(await canvasToBlob(canvas, 'image/jpeg', quality));
+    }
+    source.close?.();
+    return outputs;
+  },
+
+  // One copy of the image per grid cell, with that cell painted neutral gray
+  // (128 is 0 after the model's [-1, 1] scaling); cells are listed row by row
+  occlude: async ({ file, grid, quality }) => {
+    const source = await decodeImage(file);
+    const { width, height } = source;
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = 'rgb(128, 128, 128)';
+
+    const variants = [];
+    for (let row = 0; row < grid; row++) {
+      for (let col = 0; col < grid; col++) {
+        const x = Math.round((col * width) / grid);
+        const y = Math.round((row * height) / grid);
+        ctx.drawImage(source, 0, 0);
+        ctx.fillRect(x, y, Math.round(((col + 1) * width) / grid) - x, Math.round(((row + 1) * height) / grid) - y);
+        variants.push(await canvasToBlob(canvas, 'image/jpeg', quality));
+      }
+    }
+    source.close?.();
+    return variants;
+  },
+
+  loadModel: async ({ modelUrl }) => {
+    const { classNames, backend } = await loadBrowserModel(modelUrl);
+    return { classNames, backend };
+  }
+};
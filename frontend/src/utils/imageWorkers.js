@@ -0,0 +1,63 @@
+import { createWorkerPool } from './workerPool';
+import { ApiError } from '../api/errors';
+import { IMAGE_WORKER_COUNT, THUMBNAIL_SIZE, BROWSER_MODEL_URL } from '../config';
+
+// Decoding, thumbnails, hashing, preprocessing and in-browser inference run in a pool of
+// Web Workers so that adding or analyzing a large batch never freezes the page.
+// Browsers that cannot draw inside a worker (no OffscreenCanvas) run the same tasks here.
+
+const supportsWorkers = typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined';
+
+// Errors arrive as plain objects; rebuild ApiErrors so retry and fallback rules still apply
+const reviveError = ({ name, message, kind, status, detail, retryable }) => {
+  const error = kind ? new ApiError(message, { kind, status, detail, retryable }) : new Error(message);
+  error.name = name || error.name;
+  return error;
+};
+
+let pool = null;
+// Without workers, tasks run one at a time: decoding many large photos at once can exhaust memory
+let mainThreadChain = Promise.resolve();
+
+const runOnMainThread = (type, payload, { signal } = {}) => {
+  const run = mainThreadChain.then(async () => {
+    if (signal?.aborted) throw new DOMException('Task aborted', 'AbortError');
+    const { IMAGE_TASKS } = await import('./imageTasks');
+    return IMAGE_TASKS[type](payload);
+  });
+  mainThreadChain = run.catch(() => {});
+  return run;
+};
+
+const runTask = (type, payload, options = {}) => {
+  if (!supportsWorkers) return runOnMainThread(type, payload, options);
+  pool ??= createWorkerPool({
+    createWorker: () => new Worker(new URL('../workers/imageWorker.js', import.meta.url), { type: 'module' }),
+    size: IMAGE_WORKER_COUNT,
+    reviveError
+  });
+  return pool.run(type, payload, options);
+};
+
+/**
+ * Size, SHA-256 hash (null without SubtleCrypto) and JPEG thumbnail of an image file
+ * @param {Blob} file
+ * @returns {Promise<{ width: number, height: number, hash: string | null, thumbnail: Blob }>}
+ */
+export const inspectImage = (file) => runTask('inspect', { file, thumbnailSize: THUMBNAIL_SIZE });
+
+// preprocessImage off the main thread; same options and result
+export const preprocessInWorker = (file, options, { signal } = {}) => runTask('preprocess', { file, options }, { signal });
+
+// Inference is pinned to one worker, so the model is downloaded and compiled only once
+export const predictInWorker = (file, { modelUrl = BROWSER_MODEL_URL, filename, topK, signal } = {}) => (
+  runTask('predict', { file, modelUrl, filename, topK }, { signal, pinned: true })
+);
+
+// One image per test-time augmentation variant, in the same order (see IMAGE_TASKS.augment)
+export const augmentInWorker = (file, variants, { quality = 0.92, signal } = {}) => runTask('augment', { file, variants, quality }, { signal });
+
+// grid × grid copies of the image, each with one cell masked (see IMAGE_TASKS.occlude)
+export const occludeInWorker = (file, grid, { quality = 0.92, signal } = {}) => runTask('occlude', { file, grid, quality }, { signal });
+
+export const loadModelInWorker = (modelUrl = BROWSER_MODEL_URL) => runTask('loadModel', { modelUrl }, { pinned: true });
@@ -0,0 +1,119 @@
+import { extensionOf, mimeTypeOf } from './fileTypes';
+import { matchClassName } from './labels';
+
+// Turns drops, folder picks and ZIP archives into a flat list of { file, path } entries.
+// `path` is the file's location inside the dropped folder or archive, e.g. "Gir/IMG_001.jpg",
+// so the parent folder can be matched against the model's class names.
+
+// macOS resource forks, .DS_Store, Thumbs.db and other files nobody meant to upload
+const isJunk = (path) => path.split('/').some(part => part.startsWith('.') || part === '__MACOSX' || part === 'Thumbs.db');
+
+export const isZipFile = (file) => file.type === 'application/zip'
+  || file.type === 'application/x-zip-compressed'
+  || extensionOf(file.name) === 'zip';
+
+// FileSystemDirectoryReader returns entries in batches; keep reading until it returns none
+const readAllEntries = (reader) => new Promise((resolve, reject) => {
+  const entries = [];
+  const readBatch = () => reader.readEntries(batch => {
+    if (batch.length === 0) {
+      resolve(entries);
+    } else {
+      entries.push(...batch);
+      readBatch();
+    }
+  }, reject);
+  readBatch();
+});
+
+const walkEntry = async (entry, prefix = '') => {
+  const path = `${prefix}${entry.name}`;
+  if (isJunk(path)) return [];
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    return [{ file, path }];
+  }
+  const children = await readAllEntries(entry.createReader());
+  const nested = await Promise.all(children.map(child => walkEntry(child, `${path}/`)));
+  return nested.flat();
+};
+
+// Everything dropped on the upload zone, descending into folders where the browser allows it
+export const collectDroppedFiles = async (dataTransfer) => {
+  const items = Array.from(dataTransfer.items || []).filter(item => item.kind === 'file');
+  const entries = items.map(item => item.webkitGetAsEntry?.()).filter(Boolean);
+  if (entries.length === 0) {
+    return Array.from(dataTransfer.files || []).map(file => ({ file, path: file.name }));
+  }
+  const nested = await Promise.all(entries.map(entry => walkEntry(entry)));
+  return nested.flat();
+};
+
+// Files from <input type="file">, including webkitdirectory folder picks
+export const collectInputFiles = (fileList) => Array.from(fileList)
+  .map(file => ({ file, path: file.webkitRelativePath || file.name }))
+  .filter(({ path }) => !isJunk(path));
+
+const unzipArchive = async (archive) => {
+  const { unzip } = await import('fflate');
+  const data = new Uint8Array(await archive.arrayBuffer());
+  const archiveName = archive.name.replace(/\.zip$/i, '');
+
+  const contents = await new Promise((resolve, reject) => {
+    unzip(data, { filter: ({ name }) => !name.endsWith('/') && !isJunk(name) }, (err, files) => (
+      err ? reject(err) : resolve(files)
+    ));
+  });
+
+  return Object.entries(contents).map(([path, bytes]) => {
+    const name = path.split('/').pop();
+    const file = new File([bytes], name, { type: mimeTypeOf(name) });
+    // Archives without a top-level folder still get the archive name as context
+    return { file, path: path.includes('/') ? path : `${archiveName}/${path}` };
+  });
+};
+
+// Replaces every .zip entry with its contents. Returns { entries, failed: [{ name, reason }] }.
+export const expandZipArchives = async (entries) => {
+  const expanded = [];
+  const failed = [];
+
+  for (const entry of entries) {
+    if (!isZipFile(entry.file)) {
+      expanded.push(entry);
+      continue;
+    }
+    try {
+      expanded.push(...await unzipArchive(entry.file));
+    } catch (err) {
+      failed.push({ name: entry.file.name, reason: `Could not read ZIP archive (${err.message || err})` });
+    }
+  }
+
+  return { entries: expanded, failed };
+};
+
+// The class whose name matches the closest parent folder of `path`, or null
+export const labelFromPath = (path, classNames) => {
+  const folders = path.split('/').slice(0, -1).reverse();
+  for (const folder of folders) {
+    const match = matchClassName(folder, classNames);
+    if (match) return match;
+  }
+  return null;
+};
+
+// Fills in folder labels that could not be matched at import time (e.g. the class list
+// had not loaded yet or the backend was offline); returns `images` itself when nothing changed
+export const resolveFolderLabels = (images, classNames) => {
+  if (classNames.length === 0) return images;
+  let changed = false;
+  const next = images.map(img => {
+    if (img.expectedLabel || !img.sourcePath) return img;
+    const label = labelFromPath(img.sourcePath, classNames);
+    if (!label) return img;
+    changed = true;
+    return { ...img, expectedLabel: label };
+  });
+  return changed ? next : images;
+};
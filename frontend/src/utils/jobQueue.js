@@ -0,0 +1,156 @@
+// Promise job queue with a concurrency limit, per-job AbortController cancellation,
+// pause/resume and automatic retries with exponential backoff.
+//
+// run(signal, attempt) must return a promise; rejecting with an AbortError never retries.
+// onChange receives a snapshot of the current batch whenever anything moves.
+
+const isAbortError = (err) => err?.name === 'AbortError';
+
+const emptyBatch = () => ({ total: 0, done: 0, failed: 0, cancelled: 0, durations: [], startedAt: null });
+
+export const createJobQueue = ({
+  concurrency = 3,
+  maxRetries = 2,
+  retryDelay = 1000,
+  shouldRetry = (err) => !isAbortError(err),
+  onChange,
+  onRetry,
+  onSettled
+} = {}) => {
+  const jobs = new Map();
+  const waiting = [];
+  let running = 0;
+  let paused = false;
+  let batch = emptyBatch();
+  let options = { concurrency, maxRetries, retryDelay };
+
+  const snapshot = () => {
+    const finished = batch.done + batch.failed + batch.cancelled;
+    const remaining = batch.total - finished;
+    const avgMs = batch.durations.length
+      ? batch.durations.reduce((sum, ms) => sum + ms, 0) / batch.durations.length
+      : null;
+
+    return {
+      total: batch.total,
+      done: batch.done,
+      failed: batch.failed,
+      cancelled: batch.cancelled,
+      running,
+      remaining,
+      paused,
+      active: remaining > 0,
+      etaMs: avgMs === null || remaining === 0
+        ? null
+        : (avgMs * remaining) / Math.min(options.concurrency, remaining)
+    };
+  };
+
+  const notify = () => onChange?.(snapshot());
+
+  const settle = (job, status, error) => {
+    jobs.delete(job.id);
+    if (status === 'done') batch.done += 1;
+    else if (status === 'failed') batch.failed += 1;
+    else batch.cancelled += 1;
+    onSettled?.(job.id, status, error);
+  };
+
+  const pump = () => {
+    while (!paused && running < options.concurrency && waiting.length > 0) {
+      const job = jobs.get(waiting.shift());
+      if (job) start(job);
+    }
+    notify();
+
+    // A finished batch resets so the next one reports its own progress
+    if (running === 0 && waiting.length === 0 && jobs.size === 0 && batch.total > 0) {
+      batch = emptyBatch();
+    }
+  };
+
+  const start = async (job) => {
+    running += 1;
+    job.status = 'running';
+    job.attempt += 1;
+    job.controller = new AbortController();
+    const startTime = performance.now();
+    batch.startedAt ??= Date.now();
+
+    try {
+      await job.run(job.controller.signal, job.attempt);
+      batch.durations.push(performance.now() - startTime);
+      settle(job, 'done');
+    } catch (err) {
+      if (job.cancelled || isAbortError(err)) {
+        settle(job, 'cancelled');
+      } else if (job.attempt <= options.maxRetries && shouldRetry(err)) {
+        const delay = options.retryDelay * 2 ** (job.attempt - 1) * (0.8 + Math.random() * 0.4);
+        job.status = 'retrying';
+        onRetry?.(job.id, job.attempt, delay, err);
+        job.timer = setTimeout(() => {
+          job.timer = null;
+          if (jobs.has(job.id)) {
+            job.status = 'queued';
+            waiting.unshift(job.id);
+            pump();
+          }
+        }, delay);
+      } else {
+        settle(job, 'failed', err);
+      }
+    } finally {
+      running -= 1;
+      job.controller = null;
+      pump();
+    }
+  };
+
+  const add = (id, run) => {
+    if (jobs.has(id)) return;
+    jobs.set(id, { id, run, status: 'queued', attempt: 0, controller: null, timer: null, cancelled: false });
+    waiting.push(id);
+    batch.total += 1;
+    pump();
+  };
+
+  const cancel = (id) => {
+    const job = jobs.get(id);
+    if (!job) return;
+    job.cancelled = true;
+
+    if (job.controller) {
+      // start() settles it once the running promise rejects
+      job.controller.abort();
+      return;
+    }
+    clearTimeout(job.timer);
+    const index = waiting.indexOf(id);
+    if (index !== -1) waiting.splice(index, 1);
+    settle(job, 'cancelled');
+    pump();
+  };
+
+  const cancelAll = () => {
+    Array.from(jobs.keys()).forEach(cancel);
+  };
+
+  const pause = () => {
+    paused = true;
+    notify();
+  };
+
+  const resume = () => {
+    paused = false;
+    pump();
+  };
+
+  const configure = (changes) => {
+    options = { ...options, ...changes };
+    pump();
+  };
+
+  const has = (id) => jobs.has(id);
+
+  return { add, cancel, cancelAll, pause, resume, configure, has, snapshot };
+};
@@ -0,0 +1,11 @@
+// Class-name matching shared by folder labels, label CSVs and the breed reference data
+
+export const normalizeLabel = (name) => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// The class name that `name` refers to, or null. Matching ignores case, spaces,
+// dashes and underscores ("red sindhi" → "Red_Sindhi").
+export const matchClassName = (name, classNames) => {
+  const key = normalizeLabel(name || '');
+  if (!key) return null;
+  return classNames.find(className => normalizeLabel(className) === key) || null;
+};
@@ -0,0 +1,18 @@
+// One object URL per Blob, created the first time it is shown. Used for full-size views
+// (details modal, crop editor), so only the small thumbnails stay in state as URLs.
+
+const urls = new WeakMap();
+
+export const getObjectUrl = (blob) => {
+  if (!blob) return null;
+  if (!urls.has(blob)) urls.set(blob, URL.createObjectURL(blob));
+  return urls.get(blob);
+};
+
+// Frees the URL once the image has left the session; a later getObjectUrl makes a new one
+export const releaseObjectUrl = (blob) => {
+  const url = blob && urls.get(blob);
+  if (!url) return;
+  URL.revokeObjectURL(url);
+  urls.delete(blob);
+};
@@ -0,0 +1,45 @@
+// Offline prediction queue. An image waiting for a connection is marked with
+// `offlineQueuedAt`; the session store persists that flag (and the image blob) in
+// IndexedDB, so the queue survives reloads and is replayed once the backend is reachable.
+
+export const REPLAY_SYNC_TAG = 'replay-predictions';
+export const REPLAY_MESSAGE = 'replay-predictions';
+
+// Failures that mean "the server could not be reached" rather than "this image is bad".
+// Only the server path reports 'network'; browser inference failures are real errors even offline.
+export const isOfflineError = (err) => err?.kind === 'network';
+
+export const isQueuedOffline = (image) => Boolean(image.offlineQueuedAt) && !image.result;
+
+// Asks the service worker for a Background Sync, so the browser wakes the page as soon
+// as it has connectivity again. Silently does nothing where the API is missing.
+export const requestReplaySync = async () => {
+  try {
+    const registration = await navigator.serviceWorker?.ready;
+    await registration?.sync?.register(REPLAY_SYNC_TAG);
+  } catch {
+    // Background Sync unsupported or denied; the online event and health polling still replay
+  }
+};
+
+// Ask the browser not to evict queued photos under storage pressure
+export const requestPersistentStorage = async () => {
+  try {
+    if (navigator.storage?.persist && !(await navigator.storage.persisted())) {
+      await navigator.storage.persist();
+    }
+  } catch {
+    // Best effort only
+  }
+};
+
+// Calls `callback` whenever the service worker relays a Background Sync; returns an unsubscribe function
+export const onReplayRequest = (callback) => {
+  const container = typeof navigator !== 'undefined' ? navigator.serviceWorker : null;
+  if (!container) return () => {};
+  const handleMessage = (event) => {
+    if (event.data?.type === REPLAY_MESSAGE) callback();
+  };
+  container.addEventListener('message', handleMessage);
+  return () => container.removeEventListener('message', handleMessage);
+};
@@ -0,0 +1,176 @@
+// Canvas-based preprocessing run in the browser before an image is uploaded:
+// EXIF orientation, optional crop, downscaling and JPEG/WebP re-encoding.
+// Works on the main thread and inside the image workers (OffscreenCanvas).
+
+// Modern browsers already rotate images by their EXIF orientation when decoding.
+// Only older ones need the canvas transform below, otherwise we would rotate twice.
+// Workers have no CSS object, but every browser that can draw in a worker rotates already.
+const browserAppliesOrientation = typeof document === 'undefined'
+  || (typeof CSS !== 'undefined' && CSS.supports?.('image-orientation', 'from-image'));
+
+// Reads the EXIF Orientation tag (1–8) from a JPEG, or 1 when absent
+export const readExifOrientation = async (file) => {
+  if (!/jpe?g/i.test(file.type) && !/\.jpe?g$/i.test(file.name)) return 1;
+
+  try {
+    const view = new DataView(await file.slice(0, 128 * 1024).arrayBuffer());
+    if (view.getUint16(0) !== 0xFFD8) return 1;
+
+    let offset = 2;
+    while (offset + 4 <= view.byteLength) {
+      const marker = view.getUint16(offset);
+      if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) { // APP1 "Exif"
+        const tiff = offset + 10;
+        const little = view.getUint16(tiff) === 0x4949;
+        const ifd0 = tiff + view.getUint32(tiff + 4, little);
+        const entries = view.getUint16(ifd0, little);
+
+        for (let i = 0; i < entries; i++) {
+          const entry = ifd0 + 2 + i * 12;
+          if (view.getUint16(entry, little) === 0x0112) {
+            const orientation = view.getUint16(entry + 8, little);
+            return orientation >= 1 && orientation <= 8 ? orientation : 1;
+          }
+        }
+        return 1;
+      }
+      // Stop at start-of-scan or anything that is not a marker
+      if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) break;
+      offset += 2 + view.getUint16(offset + 2);
+    }
+  } catch {
+    // Truncated or malformed EXIF: treat as upright
+  }
+  return 1;
+};
+
+export const decodeImage = async (file) => {
+  if (typeof createImageBitmap === 'function') {
+    return createImageBitmap(file);
+  }
+
+  const url = URL.createObjectURL(file);
+  try {
+    const img = new Image();
+    img.src = url;
+    await img.decode();
+    return img;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+// Maps raw image coordinates onto the upright orientation (see EXIF spec, tag 0x0112)
+const applyOrientation = (ctx, orientation, width, height) => {
+  switch (orientation) {
+    case 2: ctx.transform(-1, 0, 0, 1, width, 0); break;
+    case 3: ctx.transform(-1, 0, 0, -1, width, height); break;
+    case 4: ctx.transform(1, 0, 0, -1, 0, height); break;
+    case 5: ctx.transform(0, 1, 1, 0, 0, 0); break;
+    case 6: ctx.transform(0, 1, -1, 0, height, 0); break;
+    case 7: ctx.transform(0, -1, -1, 0, height, width); break;
+    case 8: ctx.transform(0, -1, 1, 0, 0, width); break;
+    default: break;
+  }
+};
+
+// OffscreenCanvas inside workers, a regular canvas element on the main thread
+export const createCanvas = (width, height) => {
+  if (typeof document === 'undefined') return new OffscreenCanvas(width, height);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+export const canvasToBlob = (canvas, type, quality) => {
+  if (canvas.convertToBlob) return canvas.convertToBlob({ type, quality });
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      blob => (blob ? resolve(blob) : reject(new Error('Image encoding failed'))),
+      type,
+      quality
+    );
+  });
+};
+
+const renameWithExtension = (name, type) => {
+  const extension = type === 'image/webp' ? 'webp' : 'jpg';
+  const base = name.replace(/\.[^./]+$/, '') || 'image';
+  return `${base}.${extension}`;
+};
+
+// Returns the file to upload plus before/after metadata for the calculations panel.
+// crop is an optional { x, y, width, height } rectangle normalized to 0–1 of the upright image.
+export const preprocessImage = async (file, { enabled = true, maxSize = 1024, format = 'image/jpeg', quality = 0.9, crop = null } = {}) => {
+  const startTime = performance.now();
+  const exifOrientation = await readExifOrientation(file);
+
+  // Nothing to fix: upload the original bytes untouched
+  if (!enabled && !crop && exifOrientation === 1) {
+    return {
+      file,
+      originalBytes: file.size,
+      uploadedBytes: file.size,
+      orientation: exifOrientation,
+      skipped: true,
+      durationMs: 0
+    };
+  }
+
+  const source = await decodeImage(file);
+  const orientation = browserAppliesOrientation ? 1 : exifOrientation;
+  const rawWidth = source.width;
+  const rawHeight = source.height;
+  const swapsAxes = orientation >= 5;
+  const uprightWidth = swapsAxes ? rawHeight : rawWidth;
+  const uprightHeight = swapsAxes ? rawWidth : rawHeight;
+
+  const region = crop
+    ? {
+        x: Math.round(crop.x * uprightWidth),
+        y: Math.round(crop.y * uprightHeight),
+        width: Math.max(1, Math.round(crop.width * uprightWidth)),
+        height: Math.max(1, Math.round(crop.height * uprightHeight))
+      }
+    : { x: 0, y: 0, width: uprightWidth, height: uprightHeight };
+
+  const limit = enabled ? maxSize : Infinity;
+  const scale = Math.min(1, limit / Math.max(region.width, region.height));
+  const canvas = createCanvas(Math.max(1, Math.round(region.width * scale)), Math.max(1, Math.round(region.height * scale)));
+
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+  ctx.scale(scale, scale);
+  ctx.translate(-region.x, -region.y);
+  applyOrientation(ctx, orientation, rawWidth, rawHeight);
+  ctx.drawImage(source, 0, 0);
+  source.close?.();
+
+  let blob = await canvasToBlob(canvas, format, quality);
+  // Browsers without WebP encoding silently fall back to PNG
+  if (blob.type !== format) {
+    blob = await canvasToBlob(canvas, 'image/jpeg', quality);
+  }
+
+  // The original bytes still carry EXIF rotation the server would ignore, so only reuse upright files
+  const unchanged = !crop && scale === 1 && exifOrientation === 1;
+  const useOriginal = unchanged && blob.size >= file.size;
+  const output = useOriginal
+    ? file
+    : new File([blob], renameWithExtension(file.name, blob.type), { type: blob.type, lastModified: Date.now() });
+
+  return {
+    file: output,
+    originalBytes: file.size,
+    uploadedBytes: output.size,
+    originalWidth: uprightWidth,
+    originalHeight: uprightHeight,
+    width: useOriginal ? uprightWidth : canvas.width,
+    height: useOriginal ? uprightHeight : canvas.height,
+    orientation: exifOrientation,
+    format: output.type,
+    skipped: false,
+    durationMs: performance.now() - startTime
+  };
+};
@@ -0,0 +1,127 @@
+// IndexedDB persistence for analysis sessions.
+//
+// "sessions" holds one record per named session (with the image order), and
+// "images" holds one record per image keyed by `${sessionId}:${imageId}` so an
+// autosave only rewrites the images that actually changed.
+
+const DB_NAME = 'cattle-classifier';
+const DB_VERSION = 1;
+const LAST_SESSION_KEY = 'cattle-classifier:last-session';
+
+// Runtime-only fields that make no sense after a reload (object URLs die with the page)
+export const TRANSIENT_IMAGE_KEYS = ['analyzing', 'queued', 'progress', 'preview', 'cropPreview'];
+
+let dbPromise = null;
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error);
+});
+
+const openDb = () => {
+  dbPromise ??= new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available in this browser'));
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains('sessions')) {
+        db.createObjectStore('sessions', { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains('images')) {
+        const store = db.createObjectStore('images', { keyPath: 'key' });
+        store.createIndex('sessionId', 'sessionId');
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  return dbPromise;
+};
+
+const imageKey = (sessionId, imageId) => `${sessionId}:${imageId}`;
+
+export const toStoredImage = (sessionId, image) => {
+  const stored = { key: imageKey(sessionId, image.id), sessionId };
+  Object.entries(image).forEach(([key, value]) => {
+    if (!TRANSIENT_IMAGE_KEYS.includes(key)) stored[key] = value;
+  });
+  return stored;
+};
+
+export const fromStoredImage = (record) => {
+  const { key: _key, sessionId: _sessionId, ...image } = record;
+  return { ...image, analyzing: false, queued: false, progress: null, preview: null, cropPreview: null };
+};
+
+export const createSessionRecord = (name) => {
+  const now = Date.now();
+  return {
+    id: `session-${now}`,
+    name: name || `Session ${new Date(now).toLocaleString()}`,
+    createdAt: now,
+    updatedAt: now,
+    imageOrder: []
+  };
+};
+
+export const listSessions = async () => {
+  const db = await openDb();
+  const sessions = await promisify(db.transaction('sessions').objectStore('sessions').getAll());
+  return sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+export const putSession = async (session) => {
+  const db = await openDb();
+  const tx = db.transaction('sessions', 'readwrite');
+  tx.objectStore('sessions').put(session);
+  await transactionDone(tx);
+  return session;
+};
+
+// Returns the session's images in their saved order
+export const loadSessionImages = async (session) => {
+  const db = await openDb();
+  const records = await promisify(
+    db.transaction('images').objectStore('images').index('sessionId').getAll(session.id)
+  );
+  const byId = new Map(records.map(record => [record.id, fromStoredImage(record)]));
+  const ordered = session.imageOrder.map(id => byId.get(id)).filter(Boolean);
+  // Anything missing from imageOrder (e.g. an interrupted save) goes last rather than being lost
+  const orderedIds = new Set(session.imageOrder);
+  return [...ordered, ...Array.from(byId.values()).filter(img => !orderedIds.has(img.id))];
+};
+
+// Writes changed images, deletes removed ones and updates the session record in one transaction
+export const saveSessionChanges = async (session, { put = [], remove = [] }) => {
+  const db = await openDb();
+  const tx = db.transaction(['sessions', 'images'], 'readwrite');
+  const images = tx.objectStore('images');
+  put.forEach(image => images.put(toStoredImage(session.id, image)));
+  remove.forEach(id => images.delete(imageKey(session.id, id)));
+  tx.objectStore('sessions').put(session);
+  await transactionDone(tx);
+};
+
+export const deleteSession = async (sessionId) => {
+  const db = await openDb();
+  const tx = db.transaction(['sessions', 'images'], 'readwrite');
+  tx.objectStore('sessions').delete(sessionId);
+  const keys = await promisify(tx.objectStore('images').index('sessionId').getAllKeys(sessionId));
+  keys.forEach(key => tx.objectStore('images').delete(key));
+  await transactionDone(tx);
+};
+
+export const getLastSessionId = () => localStorage.getItem(LAST_SESSION_KEY);
+
+export const setLastSessionId = (sessionId) => {
+  localStorage.setItem(LAST_SESSION_KEY, sessionId);
+};
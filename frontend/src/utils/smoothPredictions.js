@@ -0,0 +1,24 @@
+// Averages the top-5 confidences of the last N predictions so the live label does not flicker.
+// Breeds missing from a frame's top-5 count as 0% for that frame.
+export const smoothPredictions = (history) => {
+  if (history.length === 0) return null;
+
+  const totals = new Map();
+  history.forEach((result) => {
+    result.top5.forEach(({ breed, confidence }) => {
+      totals.set(breed, (totals.get(breed) || 0) + confidence);
+    });
+  });
+
+  const ranked = Array.from(totals, ([breed, total]) => ({
+    breed,
+    confidence: total / history.length
+  })).sort((a, b) => b.confidence - a.confidence);
+
+  return {
+    breed: ranked[0].breed,
+    confidence: ranked[0].confidence.toFixed(1),
+    top5: ranked.slice(0, 5),
+    frames: history.length
+  };
+};
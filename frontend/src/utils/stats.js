@@ -0,0 +1,83 @@
+import { DEFAULT_THRESHOLDS } from '../config';
+
+// Summary numbers for the current batch, shared by the stats bar and exports.
+// Uncertain results are counted on their own and left out of the breed and confidence figures.
+export const getBatchStats = (images, thresholds = DEFAULT_THRESHOLDS) => {
+  const analyzed = images.filter(img => img.result);
+  const confident = analyzed.filter(img => !isUncertain(img.result, thresholds));
+  const uniqueBreeds = new Set(confident.map(img => img.result.breed)).size;
+  const avgConfidence = confident.length > 0
+    ? (confident.reduce((sum, img) => sum + parseFloat(img.result.confidence), 0) / confident.length).toFixed(1)
+    : 0;
+
+  return {
+    total: images.length,
+    analyzed: analyzed.length,
+    uncertain: analyzed.length - confident.length,
+    uniqueBreeds,
+    avgConfidence
+  };
+};
+
+// Breed → count and mean confidence, most frequent first
+export const getBreedDistribution = (images) => {
+  const byBreed = new Map();
+  images.filter(img => img.result).forEach(img => {
+    const entry = byBreed.get(img.result.breed) || { breed: img.result.breed, count: 0, totalConfidence: 0 };
+    entry.count += 1;
+    entry.totalConfidence += parseFloat(img.result.confidence);
+    byBreed.set(img.result.breed, entry);
+  });
+
+  const analyzedCount = images.filter(img => img.result).length;
+  return Array.from(byBreed.values())
+    .map(({ breed, count, totalConfidence }) => ({
+      breed,
+      count,
+      share: analyzedCount ? (count / analyzedCount) * 100 : 0,
+      avgConfidence: totalConfidence / count
+    }))
+    .sort((a, b) => b.count - a.count || a.breed.localeCompare(b.breed));
+};
+
+// Display name for an image, marking extra crop entries taken from the same photo
+export const getImageLabel = (image) => (
+  image.cropIndex ? `${image.file.name} [region ${image.cropIndex}]` : image.file.name
+);
+
+// Counts of analyzed images per confidence bucket (0–10%, 10–20%, … 90–100%)
+export const getConfidenceHistogram = (images, bucketSize = 10) => {
+  const buckets = Array.from({ length: Math.ceil(100 / bucketSize) }, (_, i) => ({
+    from: i * bucketSize,
+    to: Math.min(100, (i + 1) * bucketSize),
+    count: 0
+  }));
+  images.filter(img => img.result).forEach(img => {
+    const index = Math.min(buckets.length - 1, Math.floor(parseFloat(img.result.confidence) / bucketSize));
+    buckets[index].count += 1;
+  });
+  return buckets;
+};
+
+// Gap in percentage points between the top two predictions, or null with fewer than two
+export const getTopMargin = (result) => (
+  result.top5.length > 1 ? result.top5[0].confidence - result.top5[1].confidence : null
+);
+
+// True when the model did not clearly pick a breed: low top-1 confidence or a close runner-up
+export const isUncertain = (result, { minConfidence, minMargin } = DEFAULT_THRESHOLDS) => {
+  if (parseFloat(result.confidence) < minConfidence) return true;
+  const gap = getTopMargin(result);
+  return gap !== null && gap < minMargin;
+};
+
+// Analyzed images whose runner-up is within `margin` points of the winner
+export const getCloseCalls = (images, margin) => images.filter(img => {
+  if (!img.result) return false;
+  const gap = getTopMargin(img.result);
+  return gap !== null && gap < margin;
+});
+
+export const getLowConfidence = (images, threshold) => images
+  .filter(img => img.result && parseFloat(img.result.confidence) < threshold)
+  .sort((a, b) => parseFloat(a.result.confidence) - parseFloat(b.result.confidence));
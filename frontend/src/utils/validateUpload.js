@@ -0,0 +1,75 @@
+import { formatBytes } from './format';
+import { extensionOf } from './fileTypes';
+import { inspectImage } from './imageWorkers';
+import { UPLOAD_RULES, CONVERTIBLE_FORMATS } from '../config';
+
+const checkSize = (file, rules) => {
+  if (file.size === 0) return 'File is empty';
+  if (file.size > rules.maxBytes) {
+    return `Too large (${formatBytes(file.size)}; limit ${formatBytes(rules.maxBytes)})`;
+  }
+  return null;
+};
+
+const checkFile = (file, rules) => {
+  const extension = extensionOf(file.name);
+  const typeAllowed = file.type
+    ? rules.allowedTypes.includes(file.type)
+    : rules.allowedExtensions.includes(extension);
+  if (!typeAllowed) {
+    return `Unsupported file type (${file.type || (extension ? `.${extension}` : 'unknown')})`;
+  }
+  return checkSize(file, rules);
+};
+
+// Cheap checks for a HEIC/HEIF/TIFF file before it is converted, so an oversized or misnamed file
+// is never decoded; the JPEG it becomes still goes through validateFiles. Returns the problem or null.
+export const checkConvertibleFile = (file, rules = UPLOAD_RULES) => {
+  const extension = extensionOf(file.name);
+  const typeDeclared = CONVERTIBLE_FORMATS.some(format => format.types.includes(file.type));
+  const knownExtensions = [...rules.allowedExtensions, ...CONVERTIBLE_FORMATS.flatMap(format => format.extensions)];
+  // Same rule as checkFile: the extension only counts when the browser did not report a type
+  if (!typeDeclared && extension && !knownExtensions.includes(extension)) {
+    return `Unsupported file type (.${extension})`;
+  }
+  return checkSize(file, rules);
+};
+
+// Splits files into accepted ({ file, hash, width, height, thumbnail }) and rejected ({ name, reason }).
+// knownHashes holds the hashes of images already in the batch; duplicates within `files` are caught too.
+// Decoding, hashing and thumbnails run in the image workers, as many files at a time as there are workers.
+export const validateFiles = async (files, knownHashes = new Set(), rules = UPLOAD_RULES) => {
+  const seen = new Set(knownHashes);
+  const accepted = [];
+  const rejected = [];
+
+  // Cheap checks first, so a PDF or an oversized file is never read into memory
+  const inspections = files.map(file => {
+    const problem = checkFile(file, rules);
+    return problem ? { problem } : inspectImage(file).catch(() => ({ problem: 'Not a readable image (file may be corrupt)' }));
+  });
+
+  // Results are checked in the original order, so the first of two duplicates is the one kept
+  for (const [index, file] of files.entries()) {
+    const { problem, width, height, hash, thumbnail } = await inspections[index];
+    if (problem) {
+      rejected.push({ name: file.name, reason: problem });
+      continue;
+    }
+    if (width < rules.minWidth || height < rules.minHeight) {
+      rejected.push({
+        name: file.name,
+        reason: `Too small (${width} × ${height}; minimum ${rules.minWidth} × ${rules.minHeight})`
+      });
+      continue;
+    }
+    if (hash && seen.has(hash)) {
+      rejected.push({ name: file.name, reason: 'Duplicate of an image already in this session' });
+      continue;
+    }
+    if (hash) seen.add(hash);
+    accepted.push({ file, hash, width, height, thumbnail });
+  }
+
+  return { accepted, rejected };
+};
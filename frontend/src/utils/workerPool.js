@@ -0,0 +1,96 @@
+import { abortError } from '../api/errors';
+
+// Fixed-size pool of identical Web Workers. Each worker runs one task at a time;
+// tasks are posted as { id, type, payload } and answered with { id, result } or { id, error }.
+//
+// Pinned tasks always run on the first worker, so state that is expensive to build
+// (e.g. a loaded model) exists once instead of once per worker.
+// Workers are started lazily, the first time a task needs one.
+
+export const createWorkerPool = ({ createWorker, size = 2, reviveError = (error) => error }) => {
+  const slots = [];
+  const waiting = [];
+  let nextId = 1;
+
+  const finish = (slot, message) => {
+    const task = slot.task;
+    slot.task = null;
+    if (task && !task.settled) {
+      task.settled = true;
+      task.signal?.removeEventListener('abort', task.onAbort);
+      if ('error' in message) task.reject(reviveError(message.error));
+      else task.resolve(message.result);
+    }
+    pump();
+  };
+
+  const startWorker = (slot) => {
+    slot.worker = createWorker();
+    slot.worker.onmessage = (event) => {
+      if (event.data?.id === slot.task?.id) finish(slot, event.data);
+    };
+    // A crashed worker takes its state with it: fail the task it was running and
+    // start a fresh worker when the slot is next needed
+    slot.worker.onerror = (event) => {
+      event.preventDefault?.();
+      slot.worker.terminate();
+      slot.worker = null;
+      finish(slot, { error: { name: 'Error', message: event.message || 'Image worker crashed' } });
+    };
+  };
+
+  const idleSlot = (task) => {
+    if (task.pinned) {
+      if (slots.length === 0) slots.push({ worker: null, task: null });
+      return slots[0].task ? null : slots[0];
+    }
+    const idle = slots.find((slot, index) => !slot.task && (index > 0 || slots.length === size));
+    if (idle) return idle;
+    if (slots.length < size) {
+      slots.push({ worker: null, task: null });
+      return slots.at(-1);
+    }
+    return null;
+  };
+
+  const pump = () => {
+    for (let i = 0; i < waiting.length; i++) {
+      const task = waiting[i];
+      const slot = idleSlot(task);
+      if (!slot) continue;
+      waiting.splice(i, 1);
+      i -= 1;
+      if (!slot.worker) startWorker(slot);
+      slot.task = task;
+      slot.worker.postMessage({ id: task.id, type: task.type, payload: task.payload }, task.transfer);
+    }
+  };
+
+  // Resolves with the worker's result. Aborting drops a waiting task; a running one
+  // finishes in the background and its result is ignored.
+  const run = (type, payload, { signal, pinned = false, transfer = [] } = {}) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortError('Task aborted'));
+      return;
+    }
+    const task = { id: nextId++, type, payload, pinned, transfer, signal, resolve, reject, settled: false };
+    task.onAbort = () => {
+      if (task.settled) return;
+      task.settled = true;
+      const index = waiting.indexOf(task);
+      if (index !== -1) waiting.splice(index, 1);
+      reject(abortError('Task aborted'));
+    };
+    signal?.addEventListener('abort', task.onAbort, { once: true });
+    waiting.push(task);
+    pump();
+  });
+
+  const terminate = () => {
+    slots.forEach(slot => slot.worker?.terminate());
+    slots.length = 0;
+    waiting.splice(0).forEach(task => task.reject(abortError('Task aborted')));
+  };
+
+  return { run, terminate };
+};
@@ -0,0 +1,22 @@
+import { IMAGE_TASKS } from '../utils/imageTasks';
+
+// Entry point of each image worker; see utils/imageWorkers.js for the main-thread side.
+// Errors are sent back as plain objects because Error subclasses do not survive postMessage.
+self.onmessage = async ({ data: { id, type, payload } }) => {
+  try {
+    const result = await IMAGE_TASKS[type](payload);
+    self.postMessage({ id, result });
+  } catch (err) {
+    self.postMessage({
+      id,
+      error: {
+        name: err.name,
+        message: err.message || String(err),
+        kind: err.kind,
+        status: err.status,
+        detail: err.detail,
+        retryable: err.retryable
+      }
+    });
+  }
+};
@@ -1,9 +1,42 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { VitePWA } from 'vite-plugin-pwa'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [
+    react(),
+    // Service worker lives in src/sw.js; the plugin injects the precache manifest into it
+    VitePWA({
+      strategies: 'injectManifest',
+      srcDir: 'src',
+      filename: 'sw.js',
+      registerType: 'autoUpdate',
+      injectRegister: false,
+      injectManifest: {
+        // Keep the lazily loaded HEIC/TIFF converters available offline too
+        maximumFileSizeToCacheInBytes: 5 * 1024 * 1024,
+      },
+      manifest: {
+        name: 'Indian Cattle Breed Classifier',
+        short_name: 'Cattle Classifier',
+        description: 'Identify Indian cattle breeds from photos, even with patchy connectivity.',
+        theme_color: '#203a43',
+        background_color: '#0f2027',
+        display: 'standalone',
+        start_url: '/',
+        icons: [
+          { src: '/icons/icon-192.png', sizes: '192x192', type: 'image/png' },
+          { src: '/icons/icon-512.png', sizes: '512x512', type: 'image/png' },
+          { src: '/icons/maskable-512.png', sizes: '512x512', type: 'image/png', purpose: 'maskable' },
+        ],
+      },
+    }),
+  ],
+  // The image workers lazy-load TensorFlow.js, which needs code splitting inside the worker
+  worker: {
+    format: 'es',
+  },
   server: {
     proxy: {
       '/api': {